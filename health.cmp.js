@@ -0,0 +1,229 @@
+// Cookie consent platform (CMP) adapters
+//
+// Each adapter describes one CMP: how to detect it and which buttons accept or
+// reject cookies. Buttons are found with Playwright locators, which pierce open
+// shadow roots, and adapters with a `frame` pattern are searched inside the
+// matching iframes (Sourcepoint, TrustArc, …). The generic adapter goes last and
+// falls back to button labels. Supporting a new CMP means adding an adapter here.
+//
+// Adapter shape:
+//   id, name   — reported on the result as cmp: { id, name }
+//   detect     — { selectors?: [], globals?: [] } present in the page, or a
+//                 matching frame URL when `frame` is set
+//   frame      — RegExp for the iframe URL the banner lives in (optional)
+//   accept     — selectors for "accept all"
+//   reject     — selectors for "reject all" / "necessary only"
+//   acceptLabels / rejectLabels — button text prefixes tried after the selectors (optional;
+//                 the generic adapter's come from the check's locale pack). Accepting by label
+//                 never clicks a button that starts with a reject label, so "Continue" cannot
+//                 match "Continue without accepting".
+
+const { LOCALES } = require('./health.locales');
+
+const CLICK_TIMEOUT_MS = 2000;
+
+const BUTTON_SELECTOR = "button, a[role='button'], [role='button'], [type='button'], [type='submit']";
+
+const CMP_ADAPTERS = [
+  {
+    id: 'onetrust', name: 'OneTrust',
+    detect: { selectors: ['#onetrust-consent-sdk', '#onetrust-banner-sdk'], globals: ['OneTrust', 'Optanon'] },
+    accept: ['#onetrust-accept-btn-handler'],
+    reject: ['#onetrust-reject-all-handler', '.ot-pc-refuse-all-handler']
+  },
+  {
+    id: 'cookiebot', name: 'Cookiebot',
+    detect: { selectors: ['#CybotCookiebotDialog'], globals: ['Cookiebot', 'CookieConsent'] },
+    accept: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept'],
+    reject: ['#CybotCookiebotDialogBodyButtonDecline']
+  },
+  {
+    id: 'usercentrics', name: 'Usercentrics',
+    // Banner is rendered inside #usercentrics-root's shadow root
+    detect: { selectors: ['#usercentrics-root', '#usercentrics-cmp-ui'], globals: ['UC_UI'] },
+    accept: ["[data-testid='uc-accept-all-button']", '#accept'],
+    reject: ["[data-testid='uc-deny-all-button']", '#deny']
+  },
+  {
+    id: 'didomi', name: 'Didomi',
+    detect: { selectors: ['#didomi-host'], globals: ['Didomi'] },
+    accept: ['#didomi-notice-agree-button'],
+    reject: ['#didomi-notice-disagree-button', '.didomi-continue-without-agreeing']
+  },
+  {
+    id: 'quantcast', name: 'Quantcast Choice',
+    detect: { selectors: ['.qc-cmp2-container', '#qc-cmp2-ui'] },
+    accept: [".qc-cmp2-summary-buttons button[mode='primary']", ".qc-cmp2-footer button[mode='primary']"],
+    reject: [".qc-cmp2-summary-buttons button[mode='secondary']", ".qc-cmp2-footer button[mode='secondary']"]
+  },
+  {
+    id: 'sourcepoint', name: 'Sourcepoint',
+    frame: /privacy-mgmt\.com|sourcepoint|sp-prod\.net/i,
+    detect: { globals: ['_sp_'] },
+    accept: ['button.sp_choice_type_11', "button[title='Accept all']", "button[title='Accept']"],
+    reject: ['button.sp_choice_type_13', "button[title='Reject all']", "button[title='Reject']"]
+  },
+  {
+    id: 'trustarc', name: 'TrustArc',
+    frame: /consent-pref\.trustarc\.com|trustarc\.com\/.*notice/i,
+    detect: { selectors: ['#truste-consent-track', '#teconsent'], globals: ['truste'] },
+    accept: ['#truste-consent-button', 'a.call', '.acceptAllButtonLower'],
+    reject: ['#truste-consent-required', '.rejectAllButtonLower', '.declineAllButtonLower']
+  },
+  {
+    id: 'complianz', name: 'Complianz',
+    detect: { selectors: ['#cmplz-cookiebanner-container', '.cmplz-cookiebanner'] },
+    accept: ['.cmplz-accept'],
+    reject: ['.cmplz-deny']
+  },
+  {
+    id: 'cookieyes', name: 'CookieYes',
+    detect: { selectors: ['.cky-consent-container'], globals: ['getCkyConsent'] },
+    accept: ['.cky-btn-accept'],
+    reject: ['.cky-btn-reject']
+  },
+  {
+    id: 'webtoffee', name: 'GDPR Cookie Consent (WebToffee)',
+    detect: { selectors: ['#cookie-law-info-bar', '.wt-cli-cookie-bar'] },
+    accept: ['#wt-cli-accept-all-btn', '.wt-cli-accept-all-btn', '#cookie_action_close_header'],
+    reject: ['#wt-cli-reject-btn', '#cookie_action_close_header_reject']
+  },
+  {
+    id: 'borlabs', name: 'Borlabs Cookie',
+    detect: { selectors: ['#BorlabsCookieBox'], globals: ['BorlabsCookie'] },
+    accept: ['a[data-cookie-accept-all]', 'a[data-cookie-accept]'],
+    reject: ['a[data-cookie-refuse]']
+  },
+  {
+    id: 'iubenda', name: 'iubenda',
+    detect: { selectors: ['#iubenda-cs-banner'], globals: ['_iub'] },
+    accept: ['.iubenda-cs-accept-btn'],
+    reject: ['.iubenda-cs-reject-btn']
+  },
+  {
+    id: 'osano', name: 'Osano',
+    detect: { selectors: ['.osano-cm-window'], globals: ['Osano'] },
+    accept: ['.osano-cm-accept-all'],
+    reject: ['.osano-cm-denyAll']
+  },
+  {
+    id: 'termly', name: 'Termly',
+    detect: { selectors: ['#termly-code-snippet-support'] },
+    accept: ["[data-tid='banner-accept']"],
+    reject: ["[data-tid='banner-decline']"]
+  },
+  {
+    // Home-grown and theme banners — always "detected", tried last
+    id: 'generic', name: 'Generic banner',
+    accept: ['.cookie-accept', '.accept-cookies', "[aria-label='Accept cookies']",
+      "[id*='accept'][class*='cookie']", "[class*='accept'][class*='cookie']"],
+    reject: ['.cookie-reject', '.reject-cookies', "[aria-label='Reject cookies']",
+      "[id*='reject'][class*='cookie']", "[class*='reject'][class*='cookie']", "[class*='decline'][class*='cookie']"],
+    acceptLabels: LOCALES.en.consent_accept,
+    rejectLabels: LOCALES.en.consent_reject
+  }
+];
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function cmpFrames(page, adapter) {
+  return adapter.frame ? page.frames().filter(f => adapter.frame.test(f.url())) : [];
+}
+
+// Main document first (shadow roots included), then the adapter's iframes
+function adapterFrames(page, adapter) {
+  return [page.mainFrame(), ...cmpFrames(page, adapter)];
+}
+
+/**
+ * CMPs whose markup, globals or iframe are present on the page, in registry order.
+ * The generic adapter is not included.
+ * @returns {Promise<object[]>}
+ */
+async function detectCmps(page) {
+  const probes = CMP_ADAPTERS.filter(a => a.detect).map(a => ({
+    id: a.id, selectors: a.detect.selectors || [], globals: a.detect.globals || []
+  }));
+  let present = [];
+  try {
+    present = await page.evaluate(list => list.filter(p =>
+      p.selectors.some(sel => { try { return !!document.querySelector(sel); } catch { return false; } }) ||
+      p.globals.some(g => window[g] !== undefined)
+    ).map(p => p.id), probes);
+  } catch {}
+  return CMP_ADAPTERS.filter(a => a.id !== 'generic' &&
+    (present.includes(a.id) || cmpFrames(page, a).length > 0));
+}
+
+// First visible match wins; a click that Playwright refuses (overlay, animation)
+// is retried as a DOM click
+async function clickFirstVisible(locator) {
+  const count = await locator.count().catch(() => 0);
+  for (let i = 0; i < count; i++) {
+    const el = locator.nth(i);
+    if (!await el.isVisible().catch(() => false)) continue;
+    try {
+      await el.click({ timeout: CLICK_TIMEOUT_MS });
+    } catch {
+      if (!await el.evaluate(node => { node.click(); return true; }).catch(() => false)) continue;
+    }
+    return true;
+  }
+  return false;
+}
+
+function labelPattern(label) {
+  return new RegExp(`^\\s*${escapeRegex(label)}`);
+}
+
+async function clickAdapterButton(page, adapter, action, labelOverride = null, refusalOverride = null) {
+  const selectors = adapter[action] || [];
+  const labels = (adapter.id === 'generic' && labelOverride) || adapter[`${action}Labels`] || [];
+  const refusals = action === 'accept' ? (adapter.id === 'generic' && refusalOverride) || adapter.rejectLabels || [] : [];
+  for (const frame of adapterFrames(page, adapter)) {
+    for (const sel of selectors) {
+      if (await clickFirstVisible(frame.locator(sel))) return { clicked: true, frame };
+    }
+    for (const label of labels) {
+      let byText = frame.locator(BUTTON_SELECTOR).filter({ hasText: labelPattern(label) });
+      for (const refusal of refusals) byText = byText.filter({ hasNotText: labelPattern(refusal) });
+      if (await clickFirstVisible(byText)) return { clicked: true, frame };
+    }
+  }
+  return { clicked: false, frame: null };
+}
+
+/**
+ * Identify the page's CMP and click its accept or reject button. Detected
+ * adapters are tried first, then the generic one.
+ * @param {object} page - Playwright page
+ * @param {'accept'|'reject'} action
+ * @param {{labels?: string[], rejectLabels?: string[]}} [options] - button labels for the generic
+ *   adapter (from the locale pack); rejectLabels are the refusals an accept must not click
+ * @returns {Promise<{clicked: boolean, cmp: {id: string, name: string}|null,
+ *   clicked_by: string|null, frame_url: string|null}>}
+ */
+async function runConsentAction(page, action, { labels = null, rejectLabels = null } = {}) {
+  const detected = await detectCmps(page);
+  const generic = CMP_ADAPTERS.find(a => a.id === 'generic');
+  const cmp = detected[0] ? { id: detected[0].id, name: detected[0].name } : null;
+
+  for (const adapter of [...detected, generic]) {
+    const { clicked, frame } = await clickAdapterButton(page, adapter, action, labels, rejectLabels);
+    if (clicked) {
+      return {
+        clicked: true, cmp, clicked_by: adapter.id,
+        frame_url: frame && frame !== page.mainFrame() ? frame.url() : null
+      };
+    }
+  }
+  return { clicked: false, cmp, clicked_by: null, frame_url: null };
+}
+
+module.exports = {
+  CMP_ADAPTERS,
+  detectCmps,
+  runConsentAction
+};
@@ -0,0 +1,269 @@
+// Third-party form embed adapters
+//
+// HubSpot, Typeform, Jotform and Calendly forms live in the vendor's iframe (or,
+// for HubSpot, in markup the vendor script renders), so the first-party form test
+// cannot drive them or read their outcome. Each adapter says how to find the embed,
+// how to get through it, and which message the vendor posts to the host page once
+// the submission went through — the same signal a GTM listener would use to fire
+// the GA4 event. Supporting a new vendor means adding an adapter here.
+//
+// Adapter shape:
+//   id, name      — reported on the result as vendor / vendor_name
+//   frame         — RegExp for the embed's iframe URL
+//   frameSelector — iframe element selector, for embeds written into about:blank frames (optional)
+//   inline        — form selector when the vendor renders into the host page (optional)
+//   endpoints     — RegExp for the vendor's submission endpoints, so form modes can let
+//                   them through or answer them (an inline form posts from the host page)
+//   driver        — 'form' (fill and submit one form), 'typeform' or 'calendly'
+//   submit        — submit button selectors for the 'form' driver
+//   success       — (message data) => true when it is the vendor's "submitted" message
+//   events        — window event types that also mean "submitted" (optional)
+//   signal        — the success signal's name, for reasons and fixes
+//   fix           — how to track it when the signal fires but no GA4 event follows
+//
+// The vendor only sends its "submitted" message once its own servers took the
+// submission, so an embed can only be confirmed when the submission really goes
+// out (form mode live). In the other modes the vendor gets the check's mock instead.
+
+const STEP_WAIT_MS = 700;
+const MAX_TYPEFORM_STEPS = 20;
+const CLICK_TIMEOUT_MS = 2000;
+
+const EMBED_ADAPTERS = [
+  {
+    id: 'hubspot', name: 'HubSpot',
+    frame: /hsforms\.(com|net)|hubspot\.com|hs-sites\.com/i,
+    frameSelector: 'iframe.hs-form-iframe',
+    inline: 'form.hs-form',
+    endpoints: /(forms|forms-[a-z0-9]+|api)\.hsforms\.com\/submissions\//i,
+    driver: 'form',
+    submit: ["input[type='submit']", "button[type='submit']", '.hs-button'],
+    success: d => d?.type === 'hsFormCallback' && d?.eventName === 'onFormSubmitted',
+    events: ['hs-form-event:on-submission:success'],
+    signal: 'onFormSubmitted',
+    fix: 'In GTM, add a Custom HTML listener for the hsFormCallback message (eventName onFormSubmitted) that pushes a dataLayer event, then a Custom Event trigger on it with a GA4 Event tag (e.g. generate_lead).'
+  },
+  {
+    id: 'typeform', name: 'Typeform',
+    frame: /typeform\.com\/to\/|form\.typeform\.com/i,
+    driver: 'typeform',
+    endpoints: /typeform\.com\/forms\/[^/?]+\/(start|complete)-submission/i,
+    success: d => d?.type === 'form-submit',
+    signal: 'form-submit',
+    fix: 'Use the embed\'s onSubmit callback (or a GTM message listener for type "form-submit") to push a dataLayer event, then fire a GA4 Event tag on it. Typeform\'s own GA4 integration tracks inside the iframe only.'
+  },
+  {
+    id: 'jotform', name: 'Jotform',
+    frame: /jotform\.(com|eu|us)|jotfor\.ms/i,
+    endpoints: /(jotform\.(com|eu|us)|jotfor\.ms)\/submit\//i,
+    driver: 'form',
+    submit: ["button[type='submit']", '.form-submit-button', "input[type='submit']"],
+    success: d => d?.action === 'submission-completed',
+    signal: 'submission-completed',
+    fix: 'In GTM, add a Custom HTML listener for the Jotform "submission-completed" message that pushes a dataLayer event, then a Custom Event trigger on it with a GA4 Event tag.'
+  },
+  {
+    id: 'calendly', name: 'Calendly',
+    frame: /calendly\.com/i,
+    driver: 'calendly',
+    endpoints: /calendly\.com\/api\/booking\//i,
+    submit: ["button[type='submit']"],
+    success: d => d?.event === 'calendly.event_scheduled',
+    signal: 'calendly.event_scheduled',
+    fix: 'In GTM, add a Custom HTML listener for the "calendly.event_scheduled" message that pushes a dataLayer event, then a Custom Event trigger on it with a GA4 Event tag.'
+  }
+];
+
+async function matchesSelector(frame, selector) {
+  if (!selector) return false;
+  const el = await frame.frameElement().catch(() => null);
+  if (!el) return false;
+  const matched = await el.evaluate((node, sel) => node.matches(sel), selector).catch(() => false);
+  await el.dispose().catch(() => null);
+  return matched;
+}
+
+/**
+ * Adapter for an iframe, by its URL or its iframe element — null when it is not a known embed.
+ */
+async function adapterForFrame(frame) {
+  for (const adapter of EMBED_ADAPTERS) {
+    if (adapter.frame.test(frame.url()) || await matchesSelector(frame, adapter.frameSelector)) return adapter;
+  }
+  return null;
+}
+
+/**
+ * Known embeds on the page: one entry per vendor iframe, plus inline-rendered
+ * forms (form_index is the form's position in document.forms).
+ * @returns {Promise<Array<{adapter: object, frame: object, form_index: number|null}>>}
+ */
+async function detectEmbeds(page) {
+  const found = [];
+  for (const frame of page.frames()) {
+    if (frame === page.mainFrame() || frame.isDetached()) continue;
+    const adapter = await adapterForFrame(frame);
+    // Vendor frames nest (Calendly's booking frame, Typeform's renderer) — keep the outermost
+    if (adapter && !found.some(e => e.adapter === adapter && isDescendant(frame, e.frame))) {
+      found.push({ adapter, frame, form_index: null });
+    }
+  }
+  for (const adapter of EMBED_ADAPTERS.filter(a => a.inline)) {
+    const indexes = await page.evaluate(sel =>
+      [...document.querySelectorAll('form')].map((f, i) => f.matches(sel) ? i : -1).filter(i => i >= 0), adapter.inline
+    ).catch(() => []);
+    for (const idx of indexes) found.push({ adapter, frame: page.mainFrame(), form_index: idx });
+  }
+  return found;
+}
+
+function isDescendant(frame, ancestor) {
+  for (let f = frame.parentFrame(); f; f = f.parentFrame()) if (f === ancestor) return true;
+  return false;
+}
+
+/**
+ * Predicate for the requests an embed's submission makes: non-GET requests to the
+ * vendor's endpoints, or from inside the vendor's iframe (and the frames it nests).
+ * @param {{adapter: object, frame: object, form_index: number|null}} embed - from detectEmbeds()
+ * @returns {(req: object) => boolean} takes a Playwright request
+ */
+function embedSubmissionMatcher(embed) {
+  const { adapter, frame, form_index } = embed;
+  return req => {
+    if (req.method() === 'GET') return false;
+    if (adapter.endpoints && adapter.endpoints.test(req.url())) return true;
+    if (form_index !== null) return false;
+    let from = null;
+    try { from = req.frame(); } catch {}
+    return !!from && (from === frame || isDescendant(from, frame));
+  };
+}
+
+/**
+ * Start recording postMessages (and the adapters' window events) on the host page.
+ * Safe to call more than once.
+ */
+async function watchEmbedMessages(page) {
+  const events = [...new Set(EMBED_ADAPTERS.flatMap(a => a.events || []))];
+  await page.evaluate(events => {
+    if (window.__embedMessages) return;
+    window.__embedMessages = [];
+    const record = (data, origin) => {
+      let value = data;
+      if (typeof value === 'string') { try { value = JSON.parse(value); } catch {} }
+      try { window.__embedMessages.push({ data: JSON.parse(JSON.stringify(value)), origin }); } catch {}
+    };
+    window.addEventListener('message', e => record(e.data, e.origin));
+    events.forEach(type => window.addEventListener(type, () => record({ type }, location.origin)));
+  }, events).catch(() => null);
+}
+
+/**
+ * The recorded message that means this adapter's form was submitted, or null.
+ */
+async function findSuccessMessage(page, adapter, fromIdx = 0) {
+  const messages = await page.evaluate(() => window.__embedMessages || []).catch(() => []);
+  return messages.slice(fromIdx).find(m => adapter.success(m.data) || (adapter.events || []).includes(m.data?.type)) || null;
+}
+
+async function messageCount(page) {
+  return await page.evaluate(() => (window.__embedMessages || []).length).catch(() => 0);
+}
+
+async function clickVisible(locator) {
+  const el = locator.first();
+  if (!await el.isVisible().catch(() => false)) return false;
+  return await el.click({ timeout: CLICK_TIMEOUT_MS }).then(() => true).catch(() => false);
+}
+
+async function fillVisibleFields(scope, fill) {
+  const fields = scope.locator('input:visible,textarea:visible,select:visible');
+  const count = await fields.count().catch(() => 0);
+  for (let i = 0; i < count; i++) await fill(fields.nth(i));
+  return count;
+}
+
+// HubSpot and Jotform: one form, fill it, click submit
+async function driveForm(embed, { fill }) {
+  const { adapter, frame, form_index } = embed;
+  const form = form_index !== null ? frame.locator('form').nth(form_index) : frame.locator('form').first();
+  if (!await form.count().catch(() => 0)) return { submitted: false, reason: `No form found inside the ${adapter.name} embed` };
+  await fillVisibleFields(form, fill);
+  await new Promise(r => setTimeout(r, 300));
+  if (await clickVisible(form.locator(adapter.submit.join(',')))) return { submitted: true };
+  return { submitted: false, reason: `No visible submit button inside the ${adapter.name} embed` };
+}
+
+// Typeform asks one question at a time: answer what is on screen, press Enter or
+// the OK / Submit button, repeat until the form reports it was submitted
+async function driveTypeform(embed, { fill, isDone }) {
+  const { frame } = embed;
+  let idle = 0;
+  for (let step = 0; step < MAX_TYPEFORM_STEPS; step++) {
+    if (await isDone()) return { submitted: true, steps: step };
+    let acted = false;
+    const field = frame.locator('input:visible:not([type=hidden]),textarea:visible').first();
+    if (await field.count().catch(() => 0)) {
+      if (!(await field.inputValue().catch(() => ''))) await fill(field);
+      await field.press('Enter').catch(() => null);
+      acted = true;
+    } else {
+      acted = await clickVisible(frame.locator("[data-qa^='choice'], [role='radio'], [role='checkbox'], [role='option']"));
+    }
+    if (await clickVisible(frame.getByRole('button', { name: /^\s*(start|begin|ok|next|continue|submit)/i }))) acted = true;
+    idle = acted ? 0 : idle + 1;
+    if (idle >= 2) return { submitted: false, reason: 'Typeform stopped advancing — nothing left to answer or click' };
+    await new Promise(r => setTimeout(r, STEP_WAIT_MS));
+  }
+  return { submitted: await isDone(), reason: `Typeform not finished after ${MAX_TYPEFORM_STEPS} steps` };
+}
+
+// Calendly: first available day, first time slot, Next, then the invitee form
+async function driveCalendly(embed, { fill }) {
+  const { frame } = embed;
+  const pause = () => new Promise(r => setTimeout(r, STEP_WAIT_MS * 2));
+  if (!await clickVisible(frame.locator("button[aria-label*='times available' i]:not([disabled]):not([aria-label*='no times' i])"))) {
+    return { submitted: false, reason: 'No available day in the Calendly calendar' };
+  }
+  await pause();
+  if (!await clickVisible(frame.locator("button[data-container='time-button'], [data-container='time-button'] button"))) {
+    return { submitted: false, reason: 'No available time slot in the Calendly calendar' };
+  }
+  await pause();
+  await clickVisible(frame.getByRole('button', { name: /^\s*next/i }));
+  await pause();
+  const form = frame.locator('form').first();
+  if (!await form.count().catch(() => 0)) return { submitted: false, reason: 'Calendly booking form did not appear' };
+  await fillVisibleFields(form, fill);
+  if (await clickVisible(form.locator(embed.adapter.submit.join(',')))) return { submitted: true };
+  return { submitted: false, reason: 'No "Schedule Event" button in the Calendly booking form' };
+}
+
+const DRIVERS = { form: driveForm, typeform: driveTypeform, calendly: driveCalendly };
+
+/**
+ * Work through an embed until it is submitted.
+ * @param {{adapter: object, frame: object, form_index: number|null}} embed - from detectEmbeds()
+ * @param {{fill: (locator) => Promise<void>, isDone: () => Promise<boolean>}} helpers -
+ *   fill types a test value into one field; isDone reports whether the success signal arrived
+ * @returns {Promise<{submitted: boolean, reason?: string}>}
+ */
+async function driveEmbed(embed, helpers) {
+  try {
+    return await DRIVERS[embed.adapter.driver](embed, helpers);
+  } catch (e) {
+    return { submitted: false, reason: `${embed.adapter.name} embed error: ${e.message}` };
+  }
+}
+
+module.exports = {
+  EMBED_ADAPTERS,
+  adapterForFrame,
+  detectEmbeds,
+  embedSubmissionMatcher,
+  watchEmbedMessages,
+  findSuccessMessage,
+  messageCount,
+  driveEmbed
+};
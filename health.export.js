@@ -0,0 +1,261 @@
+// Spreadsheet export for tracking health check results
+//
+// Flattens trackingHealthCheckSite() output into one row per client and writes
+// it as CSV or XLSX. The XLSX writer is a minimal single-sheet OOXML package
+// (inline strings, no styles) zipped with node's zlib — no extra dependency.
+
+const zlib = require('zlib');
+
+// Fields that are part of a batch entry but not client passthrough metadata
+const RESULT_FIELDS = new Set([
+  'ok', 'script_version', 'url', 'timestamp', 'grade', 'overall_status', 'why',
+  'category_scores', 'failure_detail', 'needs_improvement', 'pages_visited',
+  'locale', 'cookie_consent', 'consent_mode', 'consent_reject', 'tracking', 'ctas', 'forms', 'index', 'state', 'completedAt',
+  'duration_ms', 'error', 'status', 'expected', 'options', 'evidence', 'regressed', 'changes', 'assertions'
+]);
+
+const GRADE_SEVERITY = { FAIL: 0, T2: 1, T3: 2 };
+
+/**
+ * The single most important fix for a result — from the most severe failure_detail entry.
+ */
+function topFix(result) {
+  const detail = [...(result.failure_detail || [])]
+    .sort((a, b) => (GRADE_SEVERITY[a.grade_impact] ?? 9) - (GRADE_SEVERITY[b.grade_impact] ?? 9))[0];
+  if (!detail) return '';
+  return detail.fix || detail.items?.find(i => i.fix)?.fix || detail.summary || '';
+}
+
+/**
+ * Flatten one result (single-site or batch entry) into a spreadsheet row.
+ * @param {object} result
+ * @param {string[]} metadataKeys - passthrough columns to lead with (client_name, cid, ...)
+ */
+function flattenResult(result, metadataKeys = []) {
+  const phones = result.ctas?.phones || {};
+  const emails = result.ctas?.emails || {};
+  const forms  = (result.forms?.pages || []).flatMap(p => [...(p.first_party_forms || []), ...(p.third_party_forms || [])]);
+  const tags   = result.tracking?.tags_found || {};
+
+  const row = {};
+  for (const key of metadataKeys) row[key] = result[key] ?? '';
+
+  return Object.assign(row, {
+    url:                   result.url || '',
+    grade:                 result.grade || '',
+    overall_status:        result.overall_status || '',
+    why:                   result.why || result.error || '',
+    regressed:             result.regressed === undefined ? '' : (result.regressed ? 'yes' : 'no'),
+    gtm_ids:               (tags.gtm || []).join(' '),
+    ga4_ids:               [...(tags.ga4 || []), ...(tags.unlinked_ga4 || [])].join(' '),
+    other_pixels:          Object.entries(result.tracking?.pixels || {}).map(([vendor, ids]) => `${vendor}:${ids.join('/')}`).join(' '),
+    phones_found:          phones.found ?? '',
+    phones_passed:         phones.passed ?? '',
+    phones_failed:         phones.failed ?? '',
+    phones_not_clickable:  phones.not_clickable ?? '',
+    emails_found:          emails.found ?? '',
+    emails_passed:         emails.passed ?? '',
+    emails_failed:         emails.failed ?? '',
+    emails_not_clickable:  emails.not_clickable ?? '',
+    forms_found:           result.forms ? forms.length : '',
+    forms_passed:          result.forms ? forms.filter(f => f.status === 'PASS').length : '',
+    forms_failed:          result.forms ? forms.filter(f => f.status === 'FAIL').length : '',
+    form_embeds:           [...new Set(forms.filter(f => f.vendor_name).map(f => f.vendor_name))].join(' '),
+    test_lead_token:       result.test_lead?.submissions?.length ? result.test_lead.token : '',
+    duplicate_fire_phones: result.category_scores?.duplicate_fire_phones ?? '',
+    duplicate_fire_emails: result.category_scores?.duplicate_fire_emails ?? '',
+    consent_mode:          result.consent_mode ? `${result.consent_mode.status} ${result.consent_mode.behaviour}` : '',
+    locale:                result.locale?.code || '',
+    cmp:                   result.cookie_consent?.cmp?.name || result.consent_reject?.cmp?.name || '',
+    cookie_refusal:        result.consent_reject ? (result.consent_reject.rejected ? result.consent_reject.status : 'NO_REJECT_BUTTON') : '',
+    assertions_failed:     result.assertions ? result.assertions.failed : '',
+    top_fix:               topFix(result),
+    pages_visited:         (result.pages_visited || []).join(' '),
+    checked_at:            result.timestamp || '',
+    duration_ms:           result.duration_ms ?? ''
+  });
+}
+
+/**
+ * Passthrough metadata columns present on any of the results, in first-seen order.
+ */
+function metadataKeysOf(results) {
+  const keys = [];
+  for (const r of results) {
+    for (const k of Object.keys(r)) {
+      if (!RESULT_FIELDS.has(k) && !keys.includes(k) && (r[k] === null || typeof r[k] !== 'object')) keys.push(k);
+    }
+  }
+  return keys;
+}
+
+function toRows(results) {
+  const keys = metadataKeysOf(results);
+  return results.map(r => flattenResult(r, keys));
+}
+
+// ─────────────────────────────────────────────
+// CSV
+// ─────────────────────────────────────────────
+function csvCell(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  // Stop spreadsheet apps evaluating text cells as formulas (OWASP CSV injection:
+  // = + - @ and a leading tab or carriage return)
+  if (/^[=+\-@\t\r]/.test(s) && Number.isNaN(Number(s))) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+  const headers = Object.keys(rows[0]);
+  const lines = [headers.map(csvCell).join(',')];
+  for (const row of rows) lines.push(headers.map(h => csvCell(row[h])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ─────────────────────────────────────────────
+// XLSX
+// ─────────────────────────────────────────────
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+function columnName(i) {
+  let name = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function sheetXml(rows) {
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const cell = (value, col, rowNum) => {
+    const ref = `${columnName(col)}${rowNum}`;
+    if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+    if (value === '' || value === null || value === undefined) return '';
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+  };
+  const rowXml = (values, rowNum) =>
+    `<row r="${rowNum}">${values.map((v, col) => cell(v, col, rowNum)).join('')}</row>`;
+
+  const body = [rowXml(headers, 1), ...rows.map((r, i) => rowXml(headers.map(h => r[h]), i + 2))].join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Minimal ZIP writer (deflate, no directories, no zip64) — enough for an XLSX package.
+ */
+function zip(files) {
+  const locals = [], centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);                 // version needed
+    local.writeUInt16LE(0x0800, 6);             // UTF-8 names
+    local.writeUInt16LE(8, 8);                  // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);               // version made by
+    central.writeUInt16LE(20, 6);               // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + compressed.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function toXlsx(rows, sheetName = 'Health Checks') {
+  return zip({
+    '[Content_Types].xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>',
+    '_rels/.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>',
+    'xl/worksheets/sheet1.xml': sheetXml(rows)
+  });
+}
+
+const EXPORT_FORMATS = {
+  csv:  { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: rows => toCsv(rows) },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', render: rows => toXlsx(rows) }
+};
+
+/**
+ * Render results as a spreadsheet.
+ * @param {object[]} results - single-site results or batch entries
+ * @param {'csv'|'xlsx'} format
+ * @returns {{body: string|Buffer, contentType: string, extension: string}}
+ */
+function exportResults(results, format = 'csv') {
+  const fmt = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!fmt) throw new Error(`Unsupported export format: ${format}`);
+  return { body: fmt.render(toRows(results)), contentType: fmt.contentType, extension: fmt.extension };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  flattenResult,
+  exportResults
+};
@@ -0,0 +1,294 @@
+// Per-site health check history and regression detection
+//
+// Every finished check is appended to HEALTH_DATA_DIR/history/<hash>.jsonl, keyed
+// by a normalised site URL (no scheme, no www., no query/hash, no trailing slash)
+// so http://www.acme.com/ and https://acme.com land in the same file. Each new
+// result is diffed against the previous successful run for that site that used
+// the same settings — a dry run is not compared with a real submission.
+//
+// <hash>.latest.json keeps the run count and the latest successful result per
+// settings, so a check never has to read the whole history file.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./health.store');
+
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const MAX_RUNS_PER_SITE = Number(process.env.HEALTH_HISTORY_MAX_RUNS || 100);
+// The history file is trimmed back to MAX_RUNS_PER_SITE once it is this many runs over
+const TRIM_SLACK = Math.max(1, Math.ceil(MAX_RUNS_PER_SITE / 10));
+
+// Higher is worse — a move up this scale is a regression
+const GRADE_RANK = { T1: 0, T3: 1, T2: 2, FAIL: 3, ERROR: 4 };
+
+/**
+ * Normalised site key for a URL: "acme.com", "acme.com/locations/leeds".
+ */
+function siteKey(url) {
+  const raw = String(url || '').trim();
+  let u;
+  try { u = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`); } catch { return null; }
+  const host = u.host.toLowerCase().replace(/^www\./, '');
+  const pathname = u.pathname.replace(/\/+$/, '');
+  return host + pathname;
+}
+
+// Files are named by a hash of the site key: an encoded long URL can pass the
+// 255-byte file name limit
+function fileBase(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+function historyFile(key) {
+  return path.join(HISTORY_DIR, `${fileBase(key)}.jsonl`);
+}
+
+function indexFile(key) {
+  return path.join(HISTORY_DIR, `${fileBase(key)}.latest.json`);
+}
+
+// Histories written before the files were hashed were named by the encoded key
+function migrateLegacyFiles(key) {
+  const legacy = encodeURIComponent(key);
+  for (const [from, to] of [[`${legacy}.jsonl`, historyFile(key)], [`${legacy}.latest.json`, indexFile(key)]]) {
+    try {
+      if (!fs.existsSync(to)) fs.renameSync(path.join(HISTORY_DIR, from), to);
+    } catch {}
+  }
+}
+
+function readRuns(key) {
+  let content;
+  try { content = fs.readFileSync(historyFile(key), 'utf8'); } catch { return []; }
+  const runs = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    try { runs.push(JSON.parse(line)); } catch {}
+  }
+  return runs;
+}
+
+// The last `count` runs, read backwards from the end of the file in chunks so a
+// long history isn't read whole for one page of it
+function readLastRuns(key, count) {
+  let fd;
+  try { fd = fs.openSync(historyFile(key), 'r'); } catch { return []; }
+  const runs = [];
+  try {
+    const chunk = Buffer.alloc(64 * 1024);
+    let position = fs.fstatSync(fd).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0 && runs.length < count) {
+      const length = Math.min(chunk.length, position);
+      position -= length;
+      fs.readSync(fd, chunk, 0, length, position);
+      const buf = Buffer.concat([chunk.subarray(0, length), rest]);
+      // Everything after the first newline is whole lines; what is before it may
+      // continue in the previous chunk (or is the first line when nothing is left)
+      const start = position > 0 ? buf.indexOf(10) + 1 : 0;
+      if (start === 0 && position > 0) { rest = buf; continue; }
+      const lines = buf.subarray(start).toString('utf8').split('\n');
+      rest = buf.subarray(0, start);
+      for (let i = lines.length - 1; i >= 0 && runs.length < count; i--) {
+        if (!lines[i]) continue;
+        try { runs.unshift(JSON.parse(lines[i])); } catch {}
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return runs;
+}
+
+function resultGrade(result) {
+  return result.ok === false || result.overall_status === 'ERROR' ? 'ERROR' : result.grade;
+}
+
+/**
+ * Runs are only compared when this matches: the check options (form_mode, pages,
+ * timeouts, …, but not the test values or lead webhook, which change nothing that
+ * is measured), the expected configuration and the locale pack used.
+ */
+function comparisonKey(result, expected = null) {
+  const { test_values: _values, lead_webhook: _webhook, ...options } = result.options || {};
+  const settings = JSON.stringify({ options, expected: expected || null, locale: result.locale?.code || null });
+  return crypto.createHash('sha1').update(settings).digest('hex').slice(0, 16);
+}
+
+// { runs, latest: { [comparisonKey]: result } } — rebuilt from the history file
+// when missing (histories written before the index existed)
+function readIndex(key) {
+  try { return JSON.parse(fs.readFileSync(indexFile(key), 'utf8')); } catch {}
+  const runs = readRuns(key);
+  const latest = {};
+  for (const run of runs) {
+    if (run.result.ok !== false) latest[run.compare_key || comparisonKey(run.result)] = run.result;
+  }
+  return { runs: runs.length, latest };
+}
+
+// ─────────────────────────────────────────────
+// Diffing
+// ─────────────────────────────────────────────
+function ctaKey(type, href) {
+  const h = String(href || '').trim().toLowerCase();
+  return `${type}:${type === 'phone' ? h.replace(/[^\d+]/g, '') : h}`;
+}
+
+function ctaMap(result) {
+  const map = new Map();
+  for (const type of ['phone', 'email']) {
+    for (const item of result.ctas?.[`${type}s`]?.items || []) {
+      map.set(ctaKey(type, item.href), { type, ...item });
+    }
+  }
+  return map;
+}
+
+function plainTextContacts(result) {
+  const map = new Map();
+  for (const type of ['phone', 'email']) {
+    for (const item of result.ctas?.[`${type}s`]?.not_clickable_items || []) {
+      const raw = String(item.raw || '');
+      const norm = type === 'phone' ? raw.replace(/\D/g, '') : raw.trim().toLowerCase();
+      if (norm) map.set(`${type}:${norm}`, { type, raw, page_url: item.page_url || null });
+    }
+  }
+  return map;
+}
+
+/**
+ * Compare a result with the previous run for the same site.
+ * @param {object} previous - earlier trackingHealthCheckSite() result
+ * @param {object} current  - the new result
+ * @returns {{compared_to: string|null, regressed: boolean, regressions: object[],
+ *   grade: {from: string, to: string, change: 'better'|'worse'|'same'},
+ *   ctas_stopped_firing: object[], gtm_containers: {added: string[], removed: string[]},
+ *   new_plain_text_contacts: object[]}}
+ */
+function diffResults(previous, current) {
+  const from = resultGrade(previous);
+  const to   = resultGrade(current);
+  const rankDelta = (GRADE_RANK[to] ?? 0) - (GRADE_RANK[from] ?? 0);
+
+  const before = ctaMap(previous);
+  const ctas_stopped_firing = [];
+  for (const [key, item] of ctaMap(current)) {
+    const prev = before.get(key);
+    if (prev?.status === 'PASS' && item.status !== 'PASS') {
+      ctas_stopped_firing.push({
+        type: item.type,
+        href: item.href,
+        page_url: item.page_url || null,
+        previous_status: prev.status,
+        status: item.status,
+        previous_events: prev.ga4_events || [],
+        reason: item.reason || null
+      });
+    }
+  }
+
+  const gtmBefore = new Set(previous.tracking?.tags_found?.gtm || []);
+  const gtmNow    = new Set(current.tracking?.tags_found?.gtm || []);
+  const gtm_containers = {
+    added:   [...gtmNow].filter(id => !gtmBefore.has(id)),
+    removed: [...gtmBefore].filter(id => !gtmNow.has(id))
+  };
+
+  const contactsBefore = plainTextContacts(previous);
+  const new_plain_text_contacts = [...plainTextContacts(current)]
+    .filter(([key]) => !contactsBefore.has(key))
+    .map(([, contact]) => contact);
+
+  const regressions = [];
+  if (rankDelta > 0) regressions.push({ type: 'grade', detail: `Grade dropped from ${from} to ${to}` });
+  for (const c of ctas_stopped_firing) {
+    regressions.push({ type: 'cta_stopped_firing', detail: `${c.type === 'phone' ? 'Phone' : 'Email'} link ${c.href} no longer fires a GA4 event (${c.status})` });
+  }
+  for (const id of gtm_containers.removed) {
+    regressions.push({ type: 'gtm_container_removed', detail: `GTM container ${id} is no longer on the site` });
+  }
+  for (const c of new_plain_text_contacts) {
+    regressions.push({ type: 'new_plain_text_contact', detail: `New plain-text ${c.type} ${c.raw} is not clickable, so it cannot be tracked` });
+  }
+
+  return {
+    compared_to: previous.timestamp || null,
+    regressed: regressions.length > 0,
+    regressions,
+    grade: { from, to, change: rankDelta > 0 ? 'worse' : rankDelta < 0 ? 'better' : 'same' },
+    ctas_stopped_firing,
+    gtm_containers,
+    new_plain_text_contacts
+  };
+}
+
+// ─────────────────────────────────────────────
+// Storage
+// ─────────────────────────────────────────────
+
+/**
+ * Diff a result against the site's last successful run with the same settings
+ * (see comparisonKey) and store it in the history. Errored checks are stored but
+ * never diffed — a timeout is not a regression.
+ * @param {string} url
+ * @param {object} result
+ * @param {{expected?: object|null}} [context] - the check's expected configuration
+ * @returns {object} the result with `changes` (diffResults() output, null for a
+ *   first run, an errored check or a run with no comparable predecessor) and `regressed` added
+ */
+function recordRun(url, result, { expected = null } = {}) {
+  const key = siteKey(url);
+  if (!key) return { ...result, regressed: false, changes: null };
+
+  migrateLegacyFiles(key);
+  const index = readIndex(key);
+  const compareKey = comparisonKey(result, expected);
+  const previous = index.latest[compareKey] || null;
+  const changes = previous && result.ok !== false ? diffResults(previous, result) : null;
+  const annotated = { ...result, regressed: !!changes?.regressed, changes };
+
+  const record = { site: key, checked_at: result.timestamp || new Date().toISOString(), compare_key: compareKey, result: annotated };
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    const file = historyFile(key);
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+    index.runs++;
+    if (index.runs >= MAX_RUNS_PER_SITE + TRIM_SLACK) {
+      // Rewrite without the oldest runs rather than letting the file grow forever
+      const kept = readRuns(key).slice(-MAX_RUNS_PER_SITE);
+      fs.writeFileSync(file, kept.map(r => JSON.stringify(r)).join('\n') + '\n');
+      index.runs = kept.length;
+    }
+    if (result.ok !== false) index.latest[compareKey] = annotated;
+    fs.writeFileSync(indexFile(key), JSON.stringify(index));
+  } catch (error) {
+    console.error(`History write failed for ${key}:`, error.message);
+  }
+  return annotated;
+}
+
+/**
+ * Stored runs for a site, newest first.
+ * @param {string} url
+ * @param {{limit?: number}} [options]
+ * @returns {{site: string|null, total: number, runs: object[]}}
+ */
+function loadHistory(url, { limit = 20 } = {}) {
+  const key = siteKey(url);
+  if (!key) return { site: null, total: 0, runs: [] };
+  migrateLegacyFiles(key);
+  // The file can run a few checks over the limit between trims
+  const total = Math.min(readIndex(key).runs, MAX_RUNS_PER_SITE);
+  const runs = readLastRuns(key, Math.min(limit, total)).reverse();
+  return { site: key, total, runs };
+}
+
+module.exports = {
+  siteKey,
+  comparisonKey,
+  diffResults,
+  recordRun,
+  loadHistory
+};
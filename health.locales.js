@@ -0,0 +1,159 @@
+// Locale packs for the health check heuristics
+//
+// Contact-page discovery, cookie banner button labels, submit / next-step button and
+// success-message detection and form test values all depend on the site's
+// language. A pack is picked from the request's `locale` or the page's
+// <html lang>, and every non-English pack is merged on top of English —
+// plenty of French or German sites still use /contact and "OK".
+
+const LOCALES = {
+  en: {
+    name: 'English',
+    browser_locale: 'en-GB', timezone: 'Europe/London',
+    contact_keywords: ['contact', 'get-in-touch', 'enquire', 'enquiry', 'quote', 'book', 'request', 'reach-us', 'talk', 'call-us'],
+    contact_paths: ['/contact', '/contact-us', '/get-in-touch', '/enquiry', '/quote', '/book', '/reach-us'],
+    consent_accept: ['Accept All', 'Accept all', 'Accept All Cookies', 'I Accept', 'Allow All', 'Allow all', 'Agree', 'OK', 'Got it', 'Continue'],
+    consent_reject: ['Reject All', 'Reject all', 'Reject', 'Decline All', 'Decline all', 'Decline', 'Deny', 'Refuse',
+      'Necessary only', 'Only necessary', 'Necessary cookies only', 'Use necessary cookies only', 'Essential only', 'Only essential',
+      'Continue without accepting'],
+    submit_labels: ['Send', 'Submit', 'Enquire', 'Book', 'Request'],
+    next_labels: ['Next', 'Continue', 'Next step', 'Proceed'],
+    submit_pattern: 'send|submit|enquir|quote|request|book|contact|get.?in.?touch',
+    success_pattern: 'thank|thanks|sent|success|confirm|received|we.ll be in touch|we will be in touch|message received',
+    success_url_pattern: 'thank|success|confirm|sent',
+    test_values: {}
+  },
+  fr: {
+    name: 'French',
+    browser_locale: 'fr-FR', timezone: 'Europe/Paris',
+    contact_keywords: ['nous-contacter', 'contactez', 'devis', 'rendez-vous', 'demande', 'ecrivez', 'écrivez'],
+    contact_paths: ['/nous-contacter', '/contactez-nous', '/devis', '/demande-de-devis', '/rendez-vous'],
+    consent_accept: ['Tout accepter', 'Accepter tout', 'Accepter et fermer', 'Accepter', "J'accepte", 'Autoriser tous', 'Autoriser', "D'accord"],
+    consent_reject: ['Tout refuser', 'Refuser tout', 'Refuser', 'Continuer sans accepter', 'Uniquement les cookies nécessaires', 'Cookies nécessaires uniquement', 'Nécessaires uniquement'],
+    submit_labels: ['Envoyer', 'Valider', 'Soumettre', 'Demander', 'Réserver'],
+    next_labels: ['Suivant', 'Continuer', 'Étape suivante'],
+    submit_pattern: 'envoy|valider|soumettre|demande|devis|réserv|contact',
+    success_pattern: 'merci|envoyé|bien été|reçu|confirm|nous vous recontacterons|nous reviendrons vers vous',
+    success_url_pattern: 'merci|confirmation|envoye',
+    test_values: {
+      message: 'Ceci est un test de suivi automatique. Merci de ne pas en tenir compte.',
+      subject: 'Demande générale', company: 'Société Test',
+      postcode: '75001', city: 'Paris', address: '1 rue du Test', phone: '0199001234'
+    }
+  },
+  de: {
+    name: 'German',
+    browser_locale: 'de-DE', timezone: 'Europe/Berlin',
+    contact_keywords: ['kontakt', 'anfrage', 'angebot', 'termin', 'beratung', 'schreiben-sie-uns'],
+    contact_paths: ['/kontakt', '/kontaktformular', '/anfrage', '/angebot', '/termin'],
+    consent_accept: ['Alle akzeptieren', 'Alles akzeptieren', 'Akzeptieren', 'Alle zulassen', 'Alle erlauben', 'Zustimmen', 'Einverstanden', 'Verstanden'],
+    consent_reject: ['Alle ablehnen', 'Ablehnen', 'Nur notwendige', 'Nur essenzielle', 'Nur erforderliche', 'Nur notwendige Cookies', 'Weiter ohne Einwilligung'],
+    submit_labels: ['Senden', 'Absenden', 'Abschicken', 'Anfragen', 'Anfrage senden'],
+    next_labels: ['Weiter', 'Nächster Schritt', 'Fortfahren'],
+    submit_pattern: 'send|absend|abschick|anfrag|angebot|termin|kontakt',
+    success_pattern: 'danke|vielen dank|gesendet|versendet|erhalten|erfolgreich|bestätig|wir melden uns',
+    success_url_pattern: 'danke|bestaetigung|erfolg',
+    test_values: {
+      message: 'Dies ist ein automatischer Tracking-Test. Bitte ignorieren.',
+      subject: 'Allgemeine Anfrage', company: 'Testfirma GmbH',
+      postcode: '10115', city: 'Berlin', address: 'Teststraße 1', phone: '03023125123'
+    }
+  },
+  es: {
+    name: 'Spanish',
+    browser_locale: 'es-ES', timezone: 'Europe/Madrid',
+    contact_keywords: ['contacto', 'contactar', 'contacta', 'presupuesto', 'cita', 'solicitud', 'reservar'],
+    contact_paths: ['/contacto', '/contactar', '/contacta', '/presupuesto', '/pide-cita'],
+    consent_accept: ['Aceptar todo', 'Aceptar todas', 'Aceptar', 'Acepto', 'Permitir todas', 'De acuerdo', 'Entendido'],
+    consent_reject: ['Rechazar todo', 'Rechazar todas', 'Rechazar', 'Denegar', 'Solo necesarias', 'Sólo necesarias', 'Solo las necesarias', 'Continuar sin aceptar'],
+    submit_labels: ['Enviar', 'Solicitar', 'Reservar', 'Pedir'],
+    next_labels: ['Siguiente', 'Continuar', 'Paso siguiente'],
+    submit_pattern: 'enviar|solicit|reserv|pedir|presupuesto|contact',
+    success_pattern: 'gracias|enviado|recibido|confirmad|con éxito|nos pondremos en contacto',
+    success_url_pattern: 'gracias|confirmacion|enviado',
+    test_values: {
+      message: 'Esto es una prueba automática de seguimiento. Por favor, ignórela.',
+      subject: 'Consulta general', company: 'Empresa de Prueba',
+      postcode: '28001', city: 'Madrid', address: 'Calle de Prueba 1', phone: '910000000'
+    }
+  },
+  nl: {
+    name: 'Dutch',
+    browser_locale: 'nl-NL', timezone: 'Europe/Amsterdam',
+    contact_keywords: ['contact', 'offerte', 'afspraak', 'aanvraag', 'aanvragen', 'neem-contact-op'],
+    contact_paths: ['/contact', '/neem-contact-op', '/offerte', '/offerte-aanvragen', '/afspraak-maken'],
+    consent_accept: ['Alles accepteren', 'Alle cookies accepteren', 'Accepteren', 'Akkoord', 'Alles toestaan', 'Toestaan', 'Ik ga akkoord', 'Prima'],
+    consent_reject: ['Alles weigeren', 'Weigeren', 'Afwijzen', 'Alleen noodzakelijke', 'Alleen functionele', 'Alleen noodzakelijke cookies', 'Niet akkoord'],
+    submit_labels: ['Verstuur', 'Versturen', 'Verzenden', 'Aanvragen', 'Plannen'],
+    next_labels: ['Volgende', 'Verder', 'Ga verder'],
+    submit_pattern: 'verstu|verzend|aanvra|offerte|afspraak|contact',
+    success_pattern: 'bedankt|dank je|dank u|verzonden|verstuurd|ontvangen|gelukt|we nemen contact',
+    success_url_pattern: 'bedankt|bevestiging|verzonden',
+    test_values: {
+      message: 'Dit is een automatische trackingtest. U kunt dit bericht negeren.',
+      subject: 'Algemene vraag', company: 'Testbedrijf BV',
+      postcode: '1012 AB', city: 'Amsterdam', address: 'Teststraat 1', phone: '0201234567'
+    }
+  }
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+/**
+ * Pack code for a BCP 47 tag ("fr-BE" → "fr"), or null when unsupported.
+ */
+function normaliseLocale(tag) {
+  const code = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES[code] ? code : null;
+}
+
+/**
+ * The pack for a locale with English merged underneath: lists are the locale's
+ * entries followed by English ones, patterns match either language, test values
+ * override English ones.
+ * @param {string} code - a SUPPORTED_LOCALES entry
+ */
+function getLocalePack(code) {
+  const en = LOCALES.en;
+  const pack = LOCALES[normaliseLocale(code) || 'en'];
+  if (pack === en) return { code: 'en', ...en };
+  const list = key => [...new Set([...pack[key], ...en[key]])];
+  const pattern = key => `${pack[key]}|${en[key]}`;
+  return {
+    code: normaliseLocale(code),
+    name: pack.name,
+    browser_locale: pack.browser_locale,
+    timezone: pack.timezone,
+    contact_keywords: list('contact_keywords'),
+    contact_paths: list('contact_paths'),
+    consent_accept: list('consent_accept'),
+    consent_reject: list('consent_reject'),
+    submit_labels: list('submit_labels'),
+    next_labels: list('next_labels'),
+    submit_pattern: pattern('submit_pattern'),
+    success_pattern: pattern('success_pattern'),
+    success_url_pattern: pattern('success_url_pattern'),
+    test_values: { ...en.test_values, ...pack.test_values }
+  };
+}
+
+/**
+ * Pick the pack for a check: an explicit request locale wins, then the page's
+ * <html lang>, then English.
+ * @returns {{code: string, source: 'request'|'page'|'default', page_lang: string|null}}
+ */
+function resolveLocale(requested, pageLang) {
+  const fromRequest = normaliseLocale(requested);
+  if (fromRequest) return { code: fromRequest, source: 'request', page_lang: pageLang || null };
+  const fromPage = normaliseLocale(pageLang);
+  if (fromPage) return { code: fromPage, source: 'page', page_lang: pageLang };
+  return { code: 'en', source: 'default', page_lang: pageLang || null };
+}
+
+module.exports = {
+  LOCALES,
+  SUPPORTED_LOCALES,
+  normaliseLocale,
+  getLocalePack,
+  resolveLocale
+};
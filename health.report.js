@@ -0,0 +1,190 @@
+// Client-facing tracking health report
+//
+// Renders one trackingHealthCheckSite() result as a standalone HTML page — the
+// same story the console summary tells (grade, why, failures with fixes, per-CTA
+// lines), laid out per page so it can be sent to clients. PDF output is produced
+// by printing this HTML in the bundled Chromium (see renderPdf in health.runners.js).
+
+const GRADE_META = {
+  T1:    { label: "Pass",                   colour: "#1a7f37", blurb: "Every conversion action we tested is tracked correctly." },
+  T2:    { label: "Issues found",           colour: "#b35900", blurb: "Tracking works in places, but some conversions are missed or miscounted." },
+  T3:    { label: "Manual check needed",    colour: "#57606a", blurb: "We could not test everything automatically — a person needs to verify some items." },
+  FAIL:  { label: "No conversions tracked", colour: "#cf222e", blurb: "Tracking is installed but no conversion events are being recorded." },
+  ERROR: { label: "Check failed",           colour: "#57606a", blurb: "The automated check could not complete for this site." }
+};
+
+const PIXEL_LABELS = {
+  google_ads: "Google Ads", meta_pixel: "Meta Pixel", microsoft_uet: "Microsoft UET",
+  linkedin_insight: "LinkedIn Insight", tiktok_pixel: "TikTok Pixel"
+};
+
+const CONSENT_LABELS = {
+  BLOCKED_UNTIL_CONSENT:           "Tags wait for consent",
+  COOKIELESS_PINGS_BEFORE_CONSENT: "Cookieless pings before consent (advanced mode)",
+  FIRES_BEFORE_CONSENT:            "Tags fire before consent",
+  NO_BANNER_FOUND:                 "No cookie banner to test"
+};
+
+const STATUS_COLOUR = { PASS: "#1a7f37", FAIL: "#cf222e", NOT_TESTED: "#57606a", NOT_CLICKABLE: "#b35900" };
+
+function esc(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+function statusBadge(status) {
+  const colour = STATUS_COLOUR[status] || "#57606a";
+  return `<span class="badge" style="background:${colour}">${esc(String(status || "").replace(/_/g, " "))}</span>`;
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return "";
+  return `<table><thead><tr>${headers.map(h => `<th>${esc(h)}</th>`).join("")}</tr></thead>` +
+    `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+}
+
+function reportGrade(result) {
+  if (result.ok === false || result.overall_status === "ERROR") return "ERROR";
+  return GRADE_META[result.grade] ? result.grade : "ERROR";
+}
+
+function renderFailures(failureDetail) {
+  if (!failureDetail.length) return `<p class="muted">No issues found.</p>`;
+  return failureDetail.map(f => {
+    const items = (f.items || []).map(i => `
+      <li>
+        <div><strong>${esc(i.display_text || i.href || i.raw || (i.form_index !== undefined ? `Form ${i.form_index + 1}` : ""))}</strong>
+          ${i.status ? statusBadge(i.status) : ""}
+          ${i.page_url ? `<span class="muted">on ${esc(i.page_url)}</span>` : ""}</div>
+        ${i.reason ? `<div>Reason: ${esc(i.reason)}</div>` : ""}
+        ${i.warning ? `<div>Warning: ${esc(i.warning)}</div>` : ""}
+        ${i.fix ? `<div class="fix">How to fix: ${esc(i.fix)}</div>` : ""}
+      </li>`).join("");
+    return `
+    <div class="failure">
+      <h3>${esc(f.category)} <span class="badge" style="background:${(GRADE_META[f.grade_impact] || GRADE_META.ERROR).colour}">${esc(f.grade_impact)}</span></h3>
+      <p>${esc(f.summary)}</p>
+      ${f.fix ? `<p class="fix">How to fix: ${esc(f.fix)}</p>` : ""}
+      ${items ? `<ol>${items}</ol>` : ""}
+    </div>`;
+  }).join("");
+}
+
+/**
+ * Group every tested CTA, plain-text contact and form by the page it was found on.
+ */
+function renderPages(result) {
+  const pages = new Map();
+  const pageFor = url => {
+    if (!pages.has(url)) pages.set(url, { ctas: [], forms: [] });
+    return pages.get(url);
+  };
+  for (const url of result.pages_visited || []) pageFor(url);
+
+  const phones = result.ctas?.phones || {};
+  const emails = result.ctas?.emails || {};
+  for (const [kind, items] of [["Phone link", phones.items], ["Email link", emails.items]]) {
+    for (const i of items || []) {
+      const dup = i.duplicate_fire_test?.result === "DUPLICATE_FIRED" ? "Fires twice — double counts"
+        : i.duplicate_fire_test?.result === "CORRECTLY_SUPPRESSED" ? "Once per page — OK" : "—";
+      pageFor(i.page_url || "").ctas.push([
+        esc(kind), esc(i.display_text || i.href), statusBadge(i.status),
+        esc((i.ga4_events || []).join(", ") || (i.generic_events_seen || []).join(", ") || "—"),
+        esc(dup), esc(i.reason || i.match_note || "")
+      ]);
+    }
+  }
+  for (const [kind, items] of [["Phone (plain text)", phones.not_clickable_items], ["Email (plain text)", emails.not_clickable_items]]) {
+    for (const i of items || []) {
+      pageFor(i.page_url || "").ctas.push([esc(kind), esc(i.raw), statusBadge("NOT_CLICKABLE"), "—", "—", esc(i.reason || "")]);
+    }
+  }
+  for (const p of result.forms?.pages || []) {
+    const forms = [...(p.first_party_forms || []), ...(p.third_party_forms || [])];
+    forms.forEach((f, idx) => pageFor(p.page_url || "").forms.push([
+      esc(f.vendor_name ? `${f.vendor_name} form` : `Form ${idx + 1}`), statusBadge(f.status),
+      esc((f.ga4_events || f.ga4_events_seen || []).join(", ") || "—"), esc(f.reason || "")
+    ]));
+  }
+
+  return [...pages].map(([url, p]) => `
+    <section class="page">
+      <h3>${esc(url || "Unknown page")}</h3>
+      ${table(["Type", "Contact", "Result", "GA4 events", "Duplicate test", "Notes"], p.ctas) || `<p class="muted">No phone or email links found on this page.</p>`}
+      ${table(["Form", "Result", "GA4 events", "Notes"], p.forms)}
+    </section>`).join("");
+}
+
+/**
+ * Render a health check result as a self-contained HTML document.
+ * @param {object} result - trackingHealthCheckSite() output or a batch entry
+ * @param {{clientName?: string}} [options]
+ * @returns {string}
+ */
+function renderReportHtml(result, { clientName = null } = {}) {
+  const grade = reportGrade(result);
+  const meta  = GRADE_META[grade];
+  const tags  = result.tracking?.tags_found || {};
+  const scores = result.category_scores || {};
+  const name  = clientName || result.client_name || null;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Tracking health report — ${esc(name || result.url)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 960px; margin: 32px auto; padding: 0 24px; line-height: 1.45; }
+  h1 { margin-bottom: 4px; } h2 { margin-top: 32px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; } h3 { margin-bottom: 6px; }
+  .muted { color: #57606a; }
+  .grade { border-left: 8px solid ${meta.colour}; background: #f6f8fa; padding: 16px 20px; margin: 20px 0; }
+  .grade .label { font-size: 24px; font-weight: 700; color: ${meta.colour}; }
+  .badge { display: inline-block; color: #fff; border-radius: 10px; padding: 1px 8px; font-size: 12px; font-weight: 600; }
+  .fix { background: #ddf4ff; padding: 6px 10px; border-radius: 4px; margin-top: 4px; }
+  .failure { margin-bottom: 20px; } .failure li { margin-bottom: 10px; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; font-size: 13px; }
+  th, td { border: 1px solid #d0d7de; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+  dt { color: #57606a; }
+  .page { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+  <h1>Tracking health report</h1>
+  <div class="muted">${name ? `${esc(name)} · ` : ""}${esc(result.url)} · checked ${esc(result.timestamp || "")}</div>
+
+  <div class="grade">
+    <div class="label">${esc(grade === "ERROR" ? meta.label : `${grade} — ${meta.label}`)}</div>
+    <div>${esc(meta.blurb)}</div>
+    ${result.why ? `<p><strong>Why:</strong> ${esc(result.why)}</p>` : ""}
+  </div>
+
+  <h2>Summary</h2>
+  <dl>
+    <dt>Forms tracked</dt><dd>${esc(scores.forms ?? "—")}</dd>
+    <dt>Phone links tracked</dt><dd>${esc(scores.calls ?? "—")}</dd>
+    <dt>Email links tracked</dt><dd>${esc(scores.emails ?? "—")}</dd>
+    <dt>Plain-text phones / emails</dt><dd>${esc(scores.non_clickable_phones ?? 0)} / ${esc(scores.non_clickable_emails ?? 0)}</dd>
+    <dt>Duplicate firing (phones / emails)</dt><dd>${esc(scores.duplicate_fire_phones ?? 0)} / ${esc(scores.duplicate_fire_emails ?? 0)}</dd>
+    <dt>Google Tag Manager</dt><dd>${esc((tags.gtm || []).join(", ") || "none found")}</dd>
+    <dt>GA4</dt><dd>${esc([...(tags.ga4 || []), ...(tags.unlinked_ga4 || [])].join(", ") || "none found")}</dd>
+    <dt>Ad &amp; social pixels</dt><dd>${esc(Object.entries(result.tracking?.pixels || {}).map(([vendor, ids]) => `${PIXEL_LABELS[vendor] || vendor} (${ids.join(", ")})`).join(", ") || "none found")}</dd>
+    <dt>Cookie banner</dt><dd>${esc(`${result.cookie_consent?.accepted ? "found and accepted" : "none found"}${result.cookie_consent?.cmp ? ` (${result.cookie_consent.cmp.name})` : ""}`)}</dd>
+    <dt>Cookie refusal</dt><dd>${esc(!result.consent_reject ? "not checked" : !result.consent_reject.rejected ? "no reject option found" : result.consent_reject.status === "PASS" ? "respected — no identifying hits after refusal" : `ignored — ${result.consent_reject.hits_after_reject.hits} hit(s) after refusal`)}</dd>
+    <dt>Google Consent Mode</dt><dd>${esc(result.consent_mode ? `${CONSENT_LABELS[result.consent_mode.behaviour] || result.consent_mode.behaviour}${result.consent_mode.default_found ? (result.consent_mode.v2_signals ? " — v2 signals set" : " — v1 only") : " — no consent default"}` : "not checked")}</dd>
+  </dl>
+
+  <h2>Issues and fixes</h2>
+  ${renderFailures(result.failure_detail || [])}
+
+  <h2>What we tested, page by page</h2>
+  ${renderPages(result) || `<p class="muted">No pages were checked.</p>`}
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderReportHtml
+};
@@ -1,10 +1,46 @@
 const express = require('express');
-const { trackingHealthCheckSite, runBatchHealthCheck, getBatchJob } = require('./health.runners');
+const {
+  EVIDENCE_DIR,
+  trackingHealthCheckSite,
+  normaliseCheckOptions,
+  renderPdf,
+  runBatchHealthCheck,
+  getBatchJob,
+  getBatchResults,
+  getBatchCounts,
+  getBatchSummary,
+  getClientStateCounts,
+  getCallbackStatus,
+  subscribeToBatchJob,
+  pauseBatchJob,
+  resumeBatchJob,
+  cancelBatchJob,
+  retryFailedBatchClients,
+  restoreBatchJobs
+} = require('./health.runners');
+const { EXPORT_FORMATS, exportResults } = require('./health.export');
+const { renderReportHtml } = require('./health.report');
+const { loadHistory } = require('./health.history');
+const { SUPPORTED_LOCALES, normaliseLocale } = require('./health.locales');
+const {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  startScheduler
+} = require('./health.schedule');
 const crypto = require('crypto');
 const router = express.Router();
 
+// Reload persisted batch jobs (re-queueing unfinished clients) and schedules.
+// Both server.js and runners.js mount this router, so this runs once on boot either way.
+restoreBatchJobs();
+startScheduler();
+
 router.post('/run', async (req, res) => {
-  const { action, url, expected } = req.body || {};
+  const { action, url, expected, evidence, locale, options, client } = req.body || {};
   
   if (action !== 'tracking_health_check_site') {
     return res.status(400).json({ ok: false, error: 'Unknown action' });
@@ -13,12 +49,34 @@ router.post('/run', async (req, res) => {
   if (!url) {
     return res.status(400).json({ ok: false, error: 'URL is required' });
   }
+
+  if (expected !== undefined && expected !== null && (typeof expected !== 'object' || Array.isArray(expected))) {
+    return res.status(400).json({ ok: false, error: 'expected must be an object' });
+  }
+
+  if (locale !== undefined && locale !== null && !normaliseLocale(locale)) {
+    return res.status(400).json({ ok: false, error: `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+  }
+
+  if (client !== undefined && client !== null && (typeof client !== 'object' || Array.isArray(client))) {
+    return res.status(400).json({ ok: false, error: 'client must be an object' });
+  }
+
+  const { error: optionsError } = normaliseCheckOptions(options);
+  if (optionsError) {
+    return res.status(400).json({ ok: false, error: optionsError });
+  }
   
   try {
     console.log(`Received health check request for: ${url}`);
     
     // Call the health runner function
-    const results = await trackingHealthCheckSite(url);
+    // evidence: true | { mode: "fail" | "all", trace: boolean } — screenshots for failing CTAs
+    // expected: { gtm_id, ga4_id, phone_event, email_event, form_event, phones, emails } — checked into `assertions`
+    // locale: "fr" | "de" | "es" | "nl" | "en" — otherwise taken from the homepage's <html lang>
+    // options: per-site overrides (max_pages, pages, skip_forms, timeouts, test_values, …) — echoed as `options`
+    // client: { client_name, cid, … } — sent to the lead webhook with every test submission
+    const results = await trackingHealthCheckSite(url, { evidence: evidence || null, expected: expected || null, locale: locale || null, options: options || null, client: client || null });
     
     // Return results
     return res.json({
@@ -37,38 +95,126 @@ router.post('/run', async (req, res) => {
   }
 });
 
-// Batch health check endpoint
-// Accepts either:
-//   { clients: [{url, client_name, supabase_id, cid, order_number, ...}], callback_url? }
-//   { urls: ["https://..."], callback_url? }  (legacy — plain URL strings)
-router.post('/batch', async (req, res) => {
-  const { clients, urls, callback_url } = req.body || {};
+// Evidence artifacts (screenshots, trace.zip) referenced from a /run result
+router.get('/evidence/:run_id/:file', (req, res) => {
+  const { run_id, file } = req.params;
+
+  if (!/^[0-9a-f-]{36}$/i.test(run_id) || !/^[\w.-]+\.(jpg|zip)$/i.test(file)) {
+    return res.status(400).json({ ok: false, error: 'Invalid evidence path' });
+  }
+
+  return res.sendFile(`${run_id}/${file}`, { root: EVIDENCE_DIR }, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ ok: false, error: 'Evidence not found' });
+  });
+});
+
+// Past checks for one site, newest first
+// GET /history?url=acme.com&limit=20&full=true — full=true includes every stored result
+router.get('/history', (req, res) => {
+  const { url, limit, full } = req.query;
+
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({ ok: false, error: 'url is required' });
+  }
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) > 0 && Number(limit) <= 500)) {
+    return res.status(400).json({ ok: false, error: 'limit must be an integer between 1 and 500' });
+  }
 
+  const history = loadHistory(url, { limit: limit ? Number(limit) : 20 });
+  if (!history.site) {
+    return res.status(400).json({ ok: false, error: 'Invalid url' });
+  }
+
+  return res.json({
+    ok: true,
+    site: history.site,
+    total: history.total,
+    runs: history.runs.map(({ checked_at, result }) => ({
+      checked_at,
+      grade: result.grade,
+      overall_status: result.overall_status,
+      why: result.why,
+      regressed: !!result.regressed,
+      changes: result.changes ?? null,
+      duration_ms: result.duration_ms ?? null,
+      ...(full === 'true' ? { result } : {})
+    }))
+  });
+});
+
+/**
+ * Validate the client list and callback options shared by /batch and /schedules.
+ * @returns {{input: Array<string|object>}|{error: string}}
+ */
+function validateBatchInput({ clients, urls, options, callback_url, callback_mode = 'job' }) {
   // Support both `clients` (objects) and legacy `urls` (strings)
-  const input = clients || urls;
+  let input = clients || urls;
 
   if (!input || !Array.isArray(input)) {
-    return res.status(400).json({
-      ok: false,
-      error: 'Provide either a "clients" array of objects or a "urls" array of strings'
-    });
+    return { error: 'Provide either a "clients" array of objects or a "urls" array of strings' };
   }
 
   if (input.length === 0) {
-    return res.status(400).json({ ok: false, error: 'clients/urls array cannot be empty' });
+    return { error: 'clients/urls array cannot be empty' };
   }
 
   if (input.length > 2000) {
-    return res.status(400).json({ ok: false, error: 'Maximum 2000 clients per batch' });
+    return { error: 'Maximum 2000 clients per batch' };
   }
 
   // Each entry must be a string URL or an object with a url field
   const invalid = input.find(c => typeof c !== 'string' && (typeof c !== 'object' || !c.url));
   if (invalid) {
-    return res.status(400).json({
-      ok: false,
-      error: 'Each entry must be a string URL or an object with a "url" field'
-    });
+    return { error: 'Each entry must be a string URL or an object with a "url" field' };
+  }
+
+  const badLocale = input.find(c => typeof c === 'object' && c.locale != null && !normaliseLocale(c.locale));
+  if (badLocale) {
+    return { error: `Invalid locale "${badLocale.locale}" for ${badLocale.url} — must be one of: ${SUPPORTED_LOCALES.join(', ')}` };
+  }
+
+  // Batch-level options apply to every client; a client's own options override them
+  if (options !== undefined && options !== null) {
+    const { error } = normaliseCheckOptions(options);
+    if (error) return { error };
+    input = input.map(c => typeof c === 'string'
+      ? { url: c, options }
+      : { ...c, options: { ...options, ...(c.options || {}) } });
+  }
+  for (const c of input) {
+    if (typeof c !== 'object' || c.options == null) continue;
+    const { error } = normaliseCheckOptions(c.options);
+    if (error) return { error: `${error} (client ${c.url})` };
+  }
+
+  if (callback_mode !== 'job' && callback_mode !== 'per_site') {
+    return { error: 'callback_mode must be "job" or "per_site"' };
+  }
+
+  if (callback_url) {
+    let parsed = null;
+    try { parsed = new URL(callback_url); } catch {}
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+      return { error: 'callback_url must be an http(s) URL' };
+    }
+  }
+
+  return { input };
+}
+
+// Batch health check endpoint
+// Accepts either:
+//   { clients: [{url, client_name, supabase_id, cid, order_number, ...}], options?, callback_url?, callback_mode? }
+//   { urls: ["https://..."], options?, callback_url?, callback_mode? }  (legacy — plain URL strings)
+// options: check options for every client; a client's own `options` (and `expected`, `locale`) override per site
+// callback_mode: "job" (default) — one callback with all results when the job finishes
+//                "per_site"      — one callback per finished site, then a final one with counts only
+router.post('/batch', async (req, res) => {
+  const { callback_url, callback_mode = 'job' } = req.body || {};
+
+  const { input, error } = validateBatchInput(req.body || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error });
   }
 
   try {
@@ -76,7 +222,7 @@ router.post('/batch', async (req, res) => {
     console.log(`Batch job ${jobId} started — ${input.length} clients`);
 
     // Fire-and-forget; results accumulate in the job store
-    runBatchHealthCheck(jobId, input, callback_url).catch(err => {
+    runBatchHealthCheck(jobId, input, callback_url || null, { callbackMode: callback_mode }).catch(err => {
       console.error(`Batch job ${jobId} fatal error:`, err);
     });
 
@@ -95,8 +241,36 @@ router.post('/batch', async (req, res) => {
 });
 
 // Get batch job status
+// Query params (all optional — with none, every result is returned as before):
+//   limit=100           page size (max 2000)
+//   cursor=<index>      continue after this client index (use next_cursor from the previous page)
+//   since=<ISO time>    only results completed after this time (use next_since from the previous poll)
+//   grade=T2,FAIL       filter on grade, overall_status, state, url, regressed or the job's passthrough
+//                       metadata, comma-separated values — e.g. overall_status=ERROR,
+//                       client_name=Acme, supabase_id=123. Any other param is a 400.
+const PAGINATION_PARAMS = new Set(['limit', 'cursor', 'since']);
+const RESULT_FILTER_FIELDS = ['grade', 'overall_status', 'state', 'url', 'regressed'];
+// Client fields that configure the check rather than identify the client
+const CLIENT_SETTING_FIELDS = new Set(['_index', 'expected', 'locale', 'options']);
+
+function parseResultFilters(query, job) {
+  const metadataFields = job.clients.flatMap(c => Object.keys(c)).filter(k => !CLIENT_SETTING_FIELDS.has(k));
+  const allowed = new Set([...RESULT_FILTER_FIELDS, ...metadataFields]);
+  const filters = {};
+  for (const [field, value] of Object.entries(query)) {
+    if (PAGINATION_PARAMS.has(field)) continue;
+    if (!allowed.has(field)) {
+      return { error: `Unknown filter "${field}" — filter on one of: ${[...allowed].join(', ')}` };
+    }
+    if (typeof value !== 'string') return { error: `Filter "${field}" must be given once, as comma-separated values` };
+    filters[field] = value.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  return { filters };
+}
+
 router.get('/batch/:job_id', (req, res) => {
   const { job_id } = req.params;
+  const { limit, cursor, since } = req.query;
 
   const job = getBatchJob(job_id);
 
@@ -107,16 +281,342 @@ router.get('/batch/:job_id', (req, res) => {
     });
   }
 
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) > 0 && Number(limit) <= 2000)) {
+    return res.status(400).json({ ok: false, error: 'limit must be an integer between 1 and 2000' });
+  }
+  if (cursor !== undefined && !/^\d+$/.test(cursor)) {
+    return res.status(400).json({ ok: false, error: 'cursor must be a client index (use next_cursor)' });
+  }
+  if (since !== undefined && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ ok: false, error: 'since must be an ISO timestamp' });
+  }
+  const { filters, error: filterError } = parseResultFilters(req.query, job);
+  if (filterError) {
+    return res.status(400).json({ ok: false, error: filterError });
+  }
+
+  const page = getBatchResults(job, {
+    limit: limit !== undefined ? Number(limit) : null,
+    cursor: cursor !== undefined ? Number(cursor) : null,
+    since: since || null,
+    filters
+  });
+
   return res.json({
     ok: true,
     job_id,
+    schedule_id: job.scheduleId || null,
     status: job.status,
     total: job.total,
     completed: job.completed,
-    results: job.results,
+    clients: getClientStateCounts(job),
+    summary: getBatchSummary(job),
+    matched: page.matched,
+    returned: page.results.length,
+    next_cursor: page.next_cursor,
+    next_since: page.next_since,
+    results: page.results,
+    callback: getCallbackStatus(job),
     startedAt: job.startedAt,
-    completedAt: job.status === 'complete' ? new Date().toISOString() : null
+    completedAt: job.completedAt || null
+  });
+});
+
+// Live batch progress as Server-Sent Events
+//   event: result    — one per finished client, same shape as the entries in `results`
+//   event: status    — job paused / resumed / cancelled
+//   event: complete  — job finished (complete or cancelled) with summary counts; stream then ends
+// Results that finished before the client connected are replayed first (only those after
+// ?since=<ISO time> if given), so reconnecting with the last seen completedAt loses nothing.
+router.get('/batch/:job_id/events', (req, res) => {
+  const { job_id } = req.params;
+  const { since } = req.query;
+
+  const job = getBatchJob(job_id);
+
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'Job not found' });
+  }
+  if (since !== undefined && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ ok: false, error: 'since must be an ISO timestamp' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const sendComplete = (j) => {
+    send('complete', {
+      job_id,
+      status: j.status,
+      ...getBatchCounts(j),
+      summary: getBatchSummary(j),
+      startedAt: j.startedAt,
+      completedAt: j.completedAt || null
+    });
+    res.end();
+  };
+
+  for (const result of getBatchResults(job, { since: since || null }).results) send('result', result);
+
+  if (job.status !== 'running' && job.status !== 'paused') {
+    return sendComplete(job);
+  }
+
+  // Comment lines keep the gateway proxy and any load balancer from idling the stream out
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = subscribeToBatchJob(job_id, {
+    onResult: result => send('result', result),
+    onStatus: j => send('status', { job_id, status: j.status, clients: getClientStateCounts(j) }),
+    onComplete: j => { cleanup(); sendComplete(j); }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+// Spreadsheet export — one row per client with grade, why, GTM/GA4 IDs, CTA/form
+// counts, duplicate fires and the top fix. Passthrough metadata (client_name, cid,
+// order_number, ...) leads as columns.
+//   GET  /health/batch/:job_id/export?format=csv|xlsx  (accepts the same filters as the status endpoint)
+//   POST /health/export  { result: {...} } or { results: [...] }, format?  — for single-site /run output
+function sendExport(res, results, format, basename) {
+  const out = exportResults(results, format);
+  res.set('Content-Type', out.contentType);
+  res.set('Content-Disposition', `attachment; filename="${basename}.${out.extension}"`);
+  return res.send(out.body);
+}
+
+router.get('/batch/:job_id/export', (req, res) => {
+  const { job_id } = req.params;
+  const format = req.query.format || 'csv';
+
+  const job = getBatchJob(job_id);
+
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'Job not found' });
+  }
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ ok: false, error: 'format must be csv or xlsx' });
+  }
+
+  const { format: _format, ...filterQuery } = req.query;
+  const { filters, error: filterError } = parseResultFilters(filterQuery, job);
+  if (filterError) {
+    return res.status(400).json({ ok: false, error: filterError });
+  }
+
+  const { results } = getBatchResults(job, { filters });
+  return sendExport(res, results, format, `health-check-${job_id}`);
+});
+
+router.post('/export', (req, res) => {
+  const { result, results, format = 'csv' } = req.body || {};
+  const input = results || (result ? [result] : null);
+
+  if (!Array.isArray(input) || input.length === 0 || input.some(r => !r || typeof r !== 'object')) {
+    return res.status(400).json({ ok: false, error: 'Provide a "result" object or a non-empty "results" array' });
+  }
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ ok: false, error: 'format must be csv or xlsx' });
+  }
+
+  return sendExport(res, input, format, 'health-check');
+});
+
+// Client-facing report for one site — HTML, or PDF printed by the bundled Chromium
+//   POST /health/report  { result: {...}, format?: "html" | "pdf", client_name? }
+//   GET  /health/batch/:job_id/report/:index?format=html|pdf
+async function sendReport(res, result, format, basename, clientName) {
+  const html = renderReportHtml(result, { clientName });
+  if (format === 'html') {
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    return res.send(html);
+  }
+  try {
+    const pdf = await renderPdf(html);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${basename}.pdf"`);
+    return res.send(pdf);
+  } catch (error) {
+    console.error('Report PDF error:', error);
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
+
+function reportBasename(result) {
+  const host = (() => { try { return new URL(result.url).hostname; } catch { return 'site'; } })();
+  return `tracking-report-${host}`;
+}
+
+router.post('/report', async (req, res) => {
+  const { result, format = 'html', client_name } = req.body || {};
+
+  if (!result || typeof result !== 'object' || !result.url) {
+    return res.status(400).json({ ok: false, error: 'Provide a "result" object from /health/run' });
+  }
+  if (format !== 'html' && format !== 'pdf') {
+    return res.status(400).json({ ok: false, error: 'format must be html or pdf' });
+  }
+
+  return sendReport(res, result, format, reportBasename(result), client_name);
+});
+
+router.get('/batch/:job_id/report/:index', async (req, res) => {
+  const { job_id, index } = req.params;
+  const format = req.query.format || 'html';
+
+  const job = getBatchJob(job_id);
+
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'Job not found' });
+  }
+  if (format !== 'html' && format !== 'pdf') {
+    return res.status(400).json({ ok: false, error: 'format must be html or pdf' });
+  }
+
+  const result = job.results.find(r => String(r.index) === index);
+  if (!result) {
+    return res.status(404).json({ ok: false, error: 'No result for that client index yet' });
+  }
+
+  return sendReport(res, result, format, reportBasename(result));
+});
+
+// Per-client state for a batch job, optionally filtered: ?state=queued|running|done|error|cancelled
+router.get('/batch/:job_id/clients', (req, res) => {
+  const { job_id } = req.params;
+  const { state } = req.query;
+
+  const job = getBatchJob(job_id);
+
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'Job not found' });
+  }
+
+  const clients = job.clients
+    .filter(c => !state || c.state === state)
+    .map(({ _index, ...client }) => ({ index: _index, ...client }));
+
+  return res.json({ ok: true, job_id, status: job.status, clients });
+});
+
+// Batch control endpoints — pause / resume / cancel / retry failed clients only
+function batchControl(action) {
+  return (req, res) => {
+    const { job_id } = req.params;
+    const out = action(job_id);
+
+    if (out.error) {
+      return res.status(out.code).json({ ok: false, error: out.error });
+    }
+
+    return res.json({
+      ok: true,
+      job_id,
+      status: out.job.status,
+      clients: getClientStateCounts(out.job),
+      ...(out.requeued !== undefined ? { requeued: out.requeued } : {})
+    });
+  };
+}
+
+router.post('/batch/:job_id/pause', batchControl(pauseBatchJob));
+router.post('/batch/:job_id/resume', batchControl(resumeBatchJob));
+router.post('/batch/:job_id/cancel', batchControl(cancelBatchJob));
+router.post('/batch/:job_id/retry', batchControl(retryFailedBatchClients));
+
+// ─────────────────────────────────────────────
+// Recurring schedules
+// Body: { name?, cron: "0 6 * * 1", timezone?: "Europe/London", clients | urls,
+//         options?, callback_url?, callback_mode? } — same client list rules as /batch
+// ─────────────────────────────────────────────
+function scheduleSummary(schedule) {
+  const { clients, runs, ...rest } = schedule;
+  return { ...rest, client_count: clients.length, last_job_id: [...runs].reverse().find(r => r.job_id)?.job_id || null };
+}
+
+router.post('/schedules', (req, res) => {
+  const { name, cron, timezone = 'UTC', callback_url, callback_mode = 'job' } = req.body || {};
+
+  if (!cron || typeof cron !== 'string') {
+    return res.status(400).json({ ok: false, error: 'cron is required, e.g. "0 6 * * 1"' });
+  }
+  if (typeof timezone !== 'string') {
+    return res.status(400).json({ ok: false, error: 'timezone must be an IANA time zone name' });
+  }
+
+  const { input, error } = validateBatchInput(req.body || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  let schedule;
+  try {
+    schedule = createSchedule({
+      name: typeof name === 'string' ? name : null,
+      cron,
+      timezone,
+      clients: input,
+      callback_url: callback_url || null,
+      callback_mode
+    });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+
+  console.log(`Schedule ${schedule.id} created — "${schedule.cron}" (${schedule.timezone}), ${input.length} clients`);
+  return res.status(201).json({ ok: true, schedule: scheduleSummary(schedule) });
+});
+
+router.get('/schedules', (req, res) => {
+  return res.json({ ok: true, schedules: listSchedules().map(scheduleSummary) });
+});
+
+router.get('/schedules/:schedule_id', (req, res) => {
+  const schedule = getSchedule(req.params.schedule_id);
+  if (!schedule) {
+    return res.status(404).json({ ok: false, error: 'Schedule not found' });
+  }
+  // Runs newest first, each linked to its batch job
+  return res.json({
+    ok: true,
+    schedule: {
+      ...scheduleSummary(schedule),
+      clients: schedule.clients,
+      runs: [...schedule.runs].reverse().map(r => ({ ...r, status_url: r.job_id ? `/health/batch/${r.job_id}` : null }))
+    }
   });
 });
 
+function scheduleControl(action) {
+  return (req, res) => {
+    const schedule = action(req.params.schedule_id);
+    if (!schedule) {
+      return res.status(404).json({ ok: false, error: 'Schedule not found' });
+    }
+    return res.json({ ok: true, schedule: scheduleSummary(schedule) });
+  };
+}
+
+router.post('/schedules/:schedule_id/pause', scheduleControl(pauseSchedule));
+router.post('/schedules/:schedule_id/resume', scheduleControl(resumeSchedule));
+
+router.delete('/schedules/:schedule_id', (req, res) => {
+  if (!deleteSchedule(req.params.schedule_id)) {
+    return res.status(404).json({ ok: false, error: 'Schedule not found' });
+  }
+  return res.json({ ok: true, deleted: req.params.schedule_id });
+});
+
 module.exports = router;
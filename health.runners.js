@@ -7,6 +7,16 @@
 const SCRIPT_VERSION = "2026-03-13T18:00:00Z-V27";
 
 const { chromium } = require("playwright");
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jobStore = require("./health.store");
+const history = require("./health.history");
+const cmp = require("./health.cmp");
+const embeds = require("./health.embeds");
+const locales = require("./health.locales");
+const submissions = require("./health.submissions");
 
 const LOG_LEVEL = (process.env.LOG_LEVEL || "info").toLowerCase();
 function logInfo(msg, data = null) {
@@ -26,8 +36,9 @@ function logDebug(msg, data = null) {
 // Configuration — all overridable via env vars
 // ─────────────────────────────────────────────
 const MAX_PAGES_TO_VISIT   = Number(process.env.HEALTH_MAX_PAGES          || 3);
-const MAX_PHONE_TESTS      = Number(process.env.HEALTH_MAX_PHONE_TESTS     || 50);
-const MAX_EMAIL_TESTS      = Number(process.env.HEALTH_MAX_EMAIL_TESTS     || 50);
+// Distinct phone / email links clicked per run — the first one found, by default
+const MAX_PHONE_TESTS      = Number(process.env.HEALTH_MAX_PHONE_TESTS     || 1);
+const MAX_EMAIL_TESTS      = Number(process.env.HEALTH_MAX_EMAIL_TESTS     || 1);
 
 // FIX 3: single nav attempt, hard 15s cap
 const NAV_TIMEOUT_MS       = Number(process.env.HEALTH_NAV_TIMEOUT        || 15000);
@@ -56,15 +67,136 @@ const MAX_CONCURRENT_CHECKS = Number(process.env.HEALTH_MAX_CONCURRENT    || 20)
 const POST_CONSENT_MAX_WAIT_MS = Number(process.env.HEALTH_CONSENT_WAIT   || 4000);
 const POST_CONSENT_POLL_MS     = 200; // check every 200ms
 
+// Second pass that refuses cookies on a fresh browser context. Opt-in (HEALTH_REJECT_PASS=true
+// or options.reject_pass): it loads the site twice more, so a check running it gets a longer
+// global timeout (see checkTimeoutMs)
+const REJECT_PASS_ENABLED  = process.env.HEALTH_REJECT_PASS === "true";
+
+// Finished batch jobs are kept (in memory and on disk) for this long, then deleted
+const BATCH_JOB_RETENTION_MS = Number(process.env.HEALTH_JOB_RETENTION_HOURS || 168) * 60 * 60 * 1000;
+
+// Batch callbacks — HMAC-signed when a secret is set, retried with exponential backoff
+const CALLBACK_SECRET       = process.env.HEALTH_CALLBACK_SECRET || null;
+const CALLBACK_MAX_ATTEMPTS = Number(process.env.HEALTH_CALLBACK_ATTEMPTS   || 5);
+const CALLBACK_RETRY_MS     = Number(process.env.HEALTH_CALLBACK_RETRY_MS   || 2000);
+const CALLBACK_TIMEOUT_MS   = Number(process.env.HEALTH_CALLBACK_TIMEOUT    || 10000);
+
+// Told about every form submission (token, client, form) so CRMs can drop test leads;
+// options.lead_webhook overrides it per site. Signed like batch callbacks.
+const LEAD_WEBHOOK_URL = process.env.HEALTH_LEAD_WEBHOOK || null;
+
+// Event parameters a conversion event must carry, per CTA type — without them a conversion
+// can't be tied to the number, address or form that produced it. HEALTH_REQUIRED_PARAMS
+// replaces the defaults ("phone:link_url,form:form_id,form:form_name"; set it empty to
+// require none), and expected.required_params overrides them per check
+const DEFAULT_REQUIRED_PARAMS = "phone:link_url,email:link_url,form:form_id";
+const REQUIRED_EVENT_PARAMS = { phone: [], email: [], form: [] };
+for (const pair of (process.env.HEALTH_REQUIRED_PARAMS ?? DEFAULT_REQUIRED_PARAMS).split(",")) {
+  const [type, param] = pair.split(":").map(x => (x || "").trim());
+  if (REQUIRED_EVENT_PARAMS[type] && param) REQUIRED_EVENT_PARAMS[type].push(param);
+}
+
 const TEST_VALUES = {
   firstName: "HealthCheck", lastName: "Test", fullName: "HealthCheck Test",
   email:   process.env.HEALTH_TEST_EMAIL   || "test-automation@example.com",
   phone:   process.env.HEALTH_TEST_PHONE   || "01632960123",
   message: process.env.HEALTH_TEST_MESSAGE || "This is a tracking health check. Please ignore.",
   company: "Test Company", postcode: "SW1A 1AA", city: "London",
-  address: "1 Test Street", subject: "General Enquiry",
-  date: "2026-12-31", number: "1"
+  address: "1 Test Street", subject: "General Enquiry", country: "United Kingdom",
+  url: "https://example.com",
+  date: new Date(Date.now() + 14 * 864e5).toISOString().slice(0, 10), // two weeks out — booking dates must be in the future
+  time: "10:00", birthday: "1990-01-01", number: "1"
+};
+
+// Locale packs replace the English test values, except ones set explicitly by env var;
+// per-request options.test_values win over both
+const TEST_VALUE_ENV = { email: "HEALTH_TEST_EMAIL", phone: "HEALTH_TEST_PHONE", message: "HEALTH_TEST_MESSAGE" };
+function testValuesFor(pack, overrides = {}) {
+  const values = { ...TEST_VALUES, ...pack.test_values };
+  for (const [key, env] of Object.entries(TEST_VALUE_ENV)) if (process.env[env]) values[key] = process.env[env];
+  return { ...values, ...overrides };
+}
+
+// ─────────────────────────────────────────────
+// Per-request check options
+// `options` on /run and each batch client overrides the env-var defaults above
+// for that one site. The resolved settings are echoed on the result as `options`.
+// ─────────────────────────────────────────────
+const NUMERIC_OPTIONS = {
+  // option:            [default,                  min,  max]
+  max_pages:           [MAX_PAGES_TO_VISIT,        1,    10],
+  max_phone_tests:     [MAX_PHONE_TESTS,           1,    20],
+  max_email_tests:     [MAX_EMAIL_TESTS,           1,    20],
+  nav_timeout_ms:      [NAV_TIMEOUT_MS,            1000, 60000],
+  poll_ms:             [POST_ACTION_POLL_MS,       500,  15000],
+  second_poll_ms:      [SECOND_CLICK_POLL_MS,      500,  15000],
+  duplicate_settle_ms: [DUPLICATE_TEST_SETTLE_MS,  0,    5000],
+  form_wait_ms:        [FORM_SUBMIT_WAIT_MS,       1000, 30000],
+  consent_wait_ms:     [POST_CONSENT_MAX_WAIT_MS,  0,    15000]
 };
+const BOOLEAN_OPTIONS = { skip_forms: false, skip_duplicate_test: false, reject_pass: REJECT_PASS_ENABLED };
+// submit    — fill and submit; the form's submission requests are answered with the check's
+//             mock, like every other non-analytics POST (see openCheckPage)
+// intercept — submit, but fake every request the submission makes, whatever its method
+// live      — submit for real: the submission reaches the site and creates a real lead
+//             (email, CRM record, SMS alert). Opt-in per check only
+// dry_run   — fill only; report whether tracking looks ready (GTM form trigger, form_start, listeners)
+const FORM_MODES = ["submit", "intercept", "live", "dry_run"];
+const MAX_EXPLICIT_PAGES = 10;
+
+/**
+ * Validate per-request options and merge them over the defaults.
+ * @param {object|null} options - { max_pages, max_phone_tests, max_email_tests, pages, skip_forms, skip_duplicate_test, reject_pass, form_mode,
+ *   nav_timeout_ms, poll_ms, second_poll_ms, duplicate_settle_ms, form_wait_ms, consent_wait_ms, test_values, lead_webhook }
+ * @returns {{settings?: object, error?: string}}
+ */
+function normaliseCheckOptions(options) {
+  if (options === undefined || options === null) options = {};
+  if (typeof options !== "object" || Array.isArray(options)) return { error: "options must be an object" };
+
+  const known = [...Object.keys(NUMERIC_OPTIONS), ...Object.keys(BOOLEAN_OPTIONS), "form_mode", "pages", "test_values", "lead_webhook"];
+  const unknown = Object.keys(options).filter(k => !known.includes(k));
+  if (unknown.length) return { error: `Unknown option(s): ${unknown.join(", ")} — allowed: ${known.join(", ")}` };
+
+  const settings = {};
+  // Env-var defaults are taken as-is; only values passed in are range-checked
+  for (const [key, [def, min, max]] of Object.entries(NUMERIC_OPTIONS)) {
+    const v = options[key];
+    if (v === undefined || v === null) { settings[key] = def; continue; }
+    if (!Number.isInteger(v) || v < min || v > max) return { error: `options.${key} must be an integer between ${min} and ${max}` };
+    settings[key] = v;
+  }
+  for (const [key, def] of Object.entries(BOOLEAN_OPTIONS)) {
+    const v = options[key] ?? def;
+    if (typeof v !== "boolean") return { error: `options.${key} must be true or false` };
+    settings[key] = v;
+  }
+
+  settings.form_mode = options.form_mode ?? "submit";
+  if (!FORM_MODES.includes(settings.form_mode)) return { error: `options.form_mode must be one of: ${FORM_MODES.join(", ")}` };
+
+  const pages = options.pages ?? [];
+  if (!Array.isArray(pages) || pages.length > MAX_EXPLICIT_PAGES || pages.some(p => typeof p !== "string" || !p.trim())) {
+    return { error: `options.pages must be an array of up to ${MAX_EXPLICIT_PAGES} URLs or paths` };
+  }
+  settings.pages = pages.map(p => p.trim());
+
+  const testValues = options.test_values ?? {};
+  if (typeof testValues !== "object" || Array.isArray(testValues)) return { error: "options.test_values must be an object" };
+  const badValue = Object.entries(testValues).find(([k, v]) => !(k in TEST_VALUES) || typeof v !== "string");
+  if (badValue) return { error: `options.test_values.${badValue[0]} must be a string and one of: ${Object.keys(TEST_VALUES).join(", ")}` };
+  settings.test_values = { ...testValues };
+
+  settings.lead_webhook = options.lead_webhook ?? LEAD_WEBHOOK_URL;
+  if (options.lead_webhook !== undefined && options.lead_webhook !== null &&
+      !(typeof options.lead_webhook === "string" && /^https?:\/\//i.test(options.lead_webhook) && URL.canParse(options.lead_webhook))) {
+    return { error: "options.lead_webhook must be an http(s) URL" };
+  }
+
+  return { settings };
+}
+
+const DEFAULT_SETTINGS = normaliseCheckOptions({}).settings;
 
 const GENERIC_EVENTS = new Set([
   "page_view","user_engagement","scroll","session_start","first_visit",
@@ -72,8 +204,7 @@ const GENERIC_EVENTS = new Set([
   "web_vitals","optimize.activate"
 ]);
 
-const CONTACT_PAGE_KEYWORDS = ["contact","get-in-touch","enquire","enquiry","quote","book","request","reach-us","talk","call-us"];
-const COMMON_CONTACT_PATHS  = ["/contact","/contact-us","/get-in-touch","/enquiry","/quote","/book","/reach-us"];
+// Contact-page keywords / paths, consent labels and success text live in the locale packs (health.locales.js)
 const THIRD_PARTY_HINTS     = ["hubspot","hsforms","jotform","typeform","google.com/forms","forms.gle","calendly","marketo","salesforce","formstack","cognitoforms","gravity","wufoo"];
 const SOCIAL_DOMAINS        = ["facebook.com","twitter.com","instagram.com","linkedin.com","tiktok.com","pinterest.com","youtube.com","whatsapp.com","snapchat.com","t.co","lnkd.in","fb.com","x.com"];
 
@@ -182,12 +313,12 @@ async function withTimeout(promise, ms, msg) {
 }
 
 // FIX 3: single-attempt safeGoto — fail fast on dead sites, no double-timeout
-async function safeGoto(page, url) {
+async function safeGoto(page, url, timeoutMs = NAV_TIMEOUT_MS) {
   if (SOCIAL_DOMAINS.some(d => url.toLowerCase().includes(d))) {
     return { ok: false, error: "Blocked social domain" };
   }
   try {
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: NAV_TIMEOUT_MS });
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: timeoutMs });
     return { ok: true };
   } catch (e) {
     return { ok: false, error: e.message };
@@ -204,78 +335,570 @@ async function simulateHumanBrowsing(page) {
   } catch {}
 }
 
-function classifyAndParseBeacon(reqUrl, postData) {
+// GA4 (gtag / Measurement Protocol) hit fields kept under readable names
+const GA4_HIT_FIELDS = { dl: "page_location", dt: "page_title", dr: "page_referrer", cid: "client_id", uid: "user_id", sid: "session_id", tid: "tid", gcs: "gcs", gcd: "gcd" };
+
+// ep.* / epn.* → params (epn as numbers), up.* / upn.* → user_properties
+function parseGa4Hit(searchParams) {
+  const hit = { event_name: null, params: {}, user_properties: {} };
+  for (const [key, value] of searchParams) {
+    if (key === "en")                hit.event_name = value;
+    else if (key.startsWith("ep."))  hit.params[key.slice(3)] = value;
+    else if (key.startsWith("epn.")) hit.params[key.slice(4)] = Number(value);
+    else if (key.startsWith("up."))  hit.user_properties[key.slice(3)] = value;
+    else if (key.startsWith("upn.")) hit.user_properties[key.slice(4)] = Number(value);
+    else if (GA4_HIT_FIELDS[key])    hit[GA4_HIT_FIELDS[key]] = value;
+  }
+  return hit;
+}
+
+/**
+ * Split one GA4 request into its hits. The query string carries the shared
+ * fields; a batched POST body carries one event per line, each overriding them.
+ * JSON (Measurement Protocol) bodies carry an `events` array.
+ */
+function parseGa4Hits(reqUrl, postData) {
+  let shared;
+  try { shared = new URL(reqUrl).searchParams; } catch { shared = new URLSearchParams(); }
+
+  if (postData) {
+    let json = null;
+    try { json = JSON.parse(postData); } catch {}
+    if (json && typeof json === "object") {
+      const base = parseGa4Hit(shared);
+      if (json.client_id) base.client_id = String(json.client_id);
+      const user_properties = { ...base.user_properties };
+      for (const [k, v] of Object.entries(json.user_properties || {})) user_properties[k] = v?.value ?? v;
+      const events = Array.isArray(json.events) ? json.events : json.en ? [{ name: json.en }] : [];
+      return events.map(e => ({
+        ...base, tid: base.tid || json.tid || null,
+        event_name: e.name || null, params: { ...(e.params || {}) }, user_properties,
+        payload: JSON.stringify(e)
+      }));
+    }
+
+    const lines = postData.split(/\r?\n/).filter(l => l.trim());
+    if (lines.length > 0) {
+      return lines.map(line => {
+        const merged = new URLSearchParams(shared);
+        for (const [k, v] of new URLSearchParams(line)) merged.set(k, v);
+        return { ...parseGa4Hit(merged), payload: line };
+      });
+    }
+  }
+  return [{ ...parseGa4Hit(shared), payload: "" }];
+}
+
+// ─────────────────────────────────────────────
+// Ads & social pixels
+// Google Ads, Meta Pixel, Microsoft UET, LinkedIn Insight and TikTok hits.
+// `conversion` is false for page-view / remarketing / automatic hits, which
+// never count as a CTA being tracked.
+// ─────────────────────────────────────────────
+function requestParams(reqUrl, postData) {
+  const params = {};
+  try { for (const [k, v] of new URL(reqUrl).searchParams) params[k] = v; } catch {}
+  if (postData && !/^\s*[{[]/.test(postData)) {
+    try { for (const [k, v] of new URLSearchParams(postData)) params[k] = v; } catch {}
+  }
+  return params;
+}
+
+const PIXEL_VENDORS = [
+  {
+    type: "GOOGLE_ADS", key: "google_ads", vendor: "Google Ads",
+    match: u => /googleadservices\.com\/pagead\/conversion\/|google\.[a-z.]+\/pagead\/1p-conversion\/|doubleclick\.net\/pagead\/(viewthrough)?conversion\//.test(u),
+    parse: (reqUrl, postData) => {
+      const p = requestParams(reqUrl, postData);
+      const id = (reqUrl.match(/\/(?:1p-)?(?:viewthrough)?conversion\/(\d+)/i) || [])[1] || null;
+      const isConversion = !!p.label || !/viewthroughconversion/i.test(reqUrl);
+      return {
+        vendor_id: id ? `AW-${id}` : null,
+        event_name: isConversion ? "conversion" : "remarketing",
+        conversion: isConversion,
+        gcs: p.gcs || null, gcd: p.gcd || null,
+        params: { ...(p.label ? { label: p.label } : {}), ...(p.value ? { value: p.value } : {}) }
+      };
+    }
+  },
+  {
+    type: "META", key: "meta_pixel", vendor: "Meta Pixel",
+    match: u => /facebook\.com\/tr\/?(\?|$)/.test(u),
+    parse: (reqUrl, postData) => {
+      const p = requestParams(reqUrl, postData);
+      const cd = Object.fromEntries(Object.entries(p).filter(([k]) => /^cd\[.+\]$/.test(k)).map(([k, v]) => [k.slice(3, -1), v]));
+      return {
+        vendor_id: p.id || null,
+        event_name: p.ev || null,
+        // SubscribedButtonClick is Meta's automatic "any button" event — not a configured conversion
+        conversion: !!p.ev && !["PageView", "ViewContent", "Microdata", "SubscribedButtonClick"].includes(p.ev),
+        params: cd
+      };
+    }
+  },
+  {
+    type: "UET", key: "microsoft_uet", vendor: "Microsoft UET",
+    match: u => /bat\.bing\.(com|net)\/action\//.test(u),
+    parse: (reqUrl, postData) => {
+      const p = requestParams(reqUrl, postData);
+      return {
+        vendor_id: p.ti || null,
+        event_name: p.evt === "custom" ? (p.ea || "custom") : (p.evt || null),
+        conversion: !!p.evt && p.evt !== "pageLoad",
+        params: Object.fromEntries(["ec", "ea", "el", "ev", "gv"].filter(k => p[k]).map(k => [k, p[k]]))
+      };
+    }
+  },
+  {
+    type: "LINKEDIN", key: "linkedin_insight", vendor: "LinkedIn Insight",
+    match: u => /px\.ads\.linkedin\.com\/(collect|wa)/.test(u),
+    parse: (reqUrl, postData) => {
+      const p = requestParams(reqUrl, postData);
+      return {
+        vendor_id: p.pid || null,
+        event_name: p.conversionId ? "conversion" : "page_view",
+        conversion: !!p.conversionId,
+        params: p.conversionId ? { conversion_id: p.conversionId } : {}
+      };
+    }
+  },
+  {
+    type: "TIKTOK", key: "tiktok_pixel", vendor: "TikTok Pixel",
+    match: u => /analytics\.tiktok\.com\/api\/v\d\/pixel/.test(u),
+    parse: (reqUrl, postData) => {
+      let body = {};
+      try { body = JSON.parse(postData || "{}") || {}; } catch {}
+      const event = body.event || null;
+      return {
+        vendor_id: body.context?.pixel?.code || body.pixel_code || null,
+        event_name: event,
+        conversion: !!event && !["Pageview", "PageView"].includes(event),
+        params: body.properties && typeof body.properties === "object" ? body.properties : {}
+      };
+    }
+  }
+];
+
+// Loader scripts for the pixels above — must not be blocked with the social domains
+const PIXEL_SCRIPT_HOSTS = ["analytics.tiktok.com", "connect.facebook.net", "snap.licdn.com", "bat.bing.com"];
+
+function pixelVendorFor(reqUrl) {
+  const u = (reqUrl || "").toLowerCase();
+  return PIXEL_VENDORS.find(v => v.match(u)) || null;
+}
+
+/**
+ * Pixel IDs seen anywhere during the check, by vendor: { meta_pixel: ["123…"], google_ads: ["AW-…"] }.
+ */
+function summarisePixels(beacons) {
+  const out = {};
+  for (const v of PIXEL_VENDORS) {
+    const ids = uniq(beacons.filter(b => b.type === v.type).map(b => b.tid || "unknown"));
+    if (ids.length) out[v.key] = ids;
+  }
+  return out;
+}
+
+/**
+ * Ads / social pixel conversions that matched a CTA or form — one entry per distinct event.
+ */
+function describePixels(beacons) {
+  const seen = new Map();
+  for (const b of beacons) {
+    const entry = { vendor: b.vendor, id: b.tid, event_name: b.event_name, params: b.params || {} };
+    const key = `${entry.vendor}|${entry.id}|${entry.event_name}|${JSON.stringify(entry.params)}`;
+    if (!seen.has(key)) seen.set(key, entry);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Classify a captured request. Returns one beacon per hit — a batched GA4
+ * request becomes several — or an empty array if it is not a tracking request.
+ */
+function classifyAndParseBeacons(reqUrl, postData) {
   const u = (reqUrl || "").toLowerCase();
   let type = "OTHER";
   if (u.includes("/g/collect") || u.includes("/r/collect")) type = "GA4";
   else if (u.includes("gtag/js"))                           type = "GTAG";
   else if (u.includes("google-analytics.com"))              type = "GA";
   else if (u.includes("googletagmanager.com") || u.includes("/gtm.js")) type = "GTM";
-  if (type === "OTHER") return null;
 
-  let event_name = null;
-  try { event_name = new URL(reqUrl).searchParams.get("en"); } catch {}
-  if (!event_name && postData) {
-    try { event_name = new URLSearchParams(postData).get("en"); } catch {}
-    if (!event_name) {
-      try {
-        const p = JSON.parse(postData);
-        if (p?.events?.[0]?.name) event_name = p.events[0].name;
-        else if (p?.en)           event_name = p.en;
-      } catch {}
-    }
+  if (type === "OTHER") {
+    const pixel = pixelVendorFor(reqUrl);
+    if (!pixel) return [];
+    const hit = pixel.parse(reqUrl, postData);
+    return [{
+      url: reqUrl, timestamp: nowIso(), type: pixel.type, vendor: pixel.vendor,
+      event_name: hit.event_name, tid: hit.vendor_id, params: hit.params, conversion: hit.conversion,
+      ...(hit.gcs || hit.gcd ? { gcs: hit.gcs, gcd: hit.gcd } : {}),
+      payload_dump: (reqUrl + " " + (postData || "")).toLowerCase(), gtmHash: null
+    }];
   }
 
-  const payload_dump = (reqUrl + " " + (postData || "")).toLowerCase();
-  let tid = null;
-  try { tid = new URL(reqUrl).searchParams.get("tid"); } catch {}
-  if (!tid && postData) {
-    try { tid = new URLSearchParams(postData).get("tid"); } catch {}
-    try { if (!tid) tid = JSON.parse(postData)?.tid; } catch {}
-  }
   let gtmHash = null;
   try { gtmHash = new URL(reqUrl).searchParams.get("gtm"); } catch {}
+  const timestamp = nowIso();
+
+  if (type !== "GA4") {
+    let tid = null;
+    try { tid = new URL(reqUrl).searchParams.get("tid") || new URL(reqUrl).searchParams.get("id"); } catch {}
+    return [{ url: reqUrl, timestamp, type, event_name: null, payload_dump: (reqUrl + " " + (postData || "")).toLowerCase(), tid, gtmHash }];
+  }
+
+  return parseGa4Hits(reqUrl, postData).map(({ payload, ...hit }, hit_index) => ({
+    url: reqUrl, timestamp, type,
+    ...hit,
+    tid: hit.tid || null,
+    hit_index,
+    payload_dump: (reqUrl + " " + payload).toLowerCase(),
+    gtmHash
+  }));
+}
+
+/**
+ * Parameters carried by the GA4 events that matched a CTA or form — one entry per distinct event.
+ */
+function describeEvents(beacons) {
+  const seen = new Map();
+  for (const b of beacons) {
+    const entry = { event_name: b.event_name, params: b.params || {}, page_location: b.page_location || null };
+    const key = `${entry.event_name}|${JSON.stringify(entry.params)}`;
+    if (!seen.has(key)) seen.set(key, entry);
+  }
+  return [...seen.values()];
+}
+
+// ─────────────────────────────────────────────
+// Evidence capture (optional, per check)
+// Screenshots, the element's DOM snippet and optionally a Playwright trace,
+// written under HEALTH_DATA_DIR/evidence/<run_id>/ and served by
+// GET /health/evidence/:run_id/:file. mode "fail" keeps artifacts only for
+// FAIL results (and a consent step that found no banner); "all" keeps everything.
+// ─────────────────────────────────────────────
+const EVIDENCE_DIR = path.join(jobStore.DATA_DIR, "evidence");
+
+function createEvidence(options) {
+  if (!options) return null;
+  const o = options === true ? {} : options;
+  return {
+    run_id: crypto.randomUUID(),
+    mode:   o.mode === "all" ? "all" : "fail",
+    trace:  !!o.trace,
+    seq:    0
+  };
+}
+
+function evidenceWanted(evidence, status) {
+  return !!evidence && (evidence.mode === "all" || status === "FAIL");
+}
 
-  return { url: reqUrl, timestamp: nowIso(), type, event_name, payload_dump, tid, gtmHash };
+function evidenceUrl(evidence, file) {
+  return `/health/evidence/${evidence.run_id}/${file}`;
+}
+
+function writeEvidenceFile(evidence, file, data) {
+  try {
+    const dir = path.join(EVIDENCE_DIR, evidence.run_id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, file), data);
+    return evidenceUrl(evidence, file);
+  } catch (e) {
+    logDebug(`Evidence write failed: ${e.message}`);
+    return null;
+  }
+}
+
+// Viewport screenshot (in memory — only written if the result turns out to need it),
+// with the element outlined and its outerHTML captured
+async function snapEvidence(page, locator = null) {
+  let dom_snippet = null;
+  if (locator) {
+    dom_snippet = await locator.evaluate(el => {
+      const html = el.outerHTML.slice(0, 4000);
+      el.dataset.healthOutline = el.style.outline;
+      el.style.outline = "3px solid #ff0066";
+      return html;
+    }).catch(() => null);
+  }
+  const screenshot = await page.screenshot({ type: "jpeg", quality: 60, timeout: 3000 }).catch(() => null);
+  if (locator) {
+    await locator.evaluate(el => { el.style.outline = el.dataset.healthOutline || ""; delete el.dataset.healthOutline; }).catch(() => null);
+  }
+  return { screenshot, dom_snippet };
+}
+
+/**
+ * Persist a before/after pair and return the artifact references for a result item.
+ */
+function saveEvidence(evidence, label, before, after) {
+  const n = ++evidence.seq;
+  const out = { dom_snippet: before?.dom_snippet || null };
+  if (before?.screenshot) out.before_screenshot = writeEvidenceFile(evidence, `${n}-${label}-before.jpg`, before.screenshot);
+  if (after?.screenshot)  out.after_screenshot  = writeEvidenceFile(evidence, `${n}-${label}-after.jpg`, after.screenshot);
+  return out;
+}
+
+/**
+ * Delete evidence folders older than maxAgeMs.
+ */
+function pruneEvidence(maxAgeMs) {
+  const cutoff = Date.now() - maxAgeMs;
+  let dirs = [];
+  try { dirs = fs.readdirSync(EVIDENCE_DIR); } catch { return; }
+  for (const d of dirs) {
+    const dir = path.join(EVIDENCE_DIR, d);
+    try {
+      if (fs.statSync(dir).mtimeMs < cutoff) fs.rmSync(dir, { recursive: true, force: true });
+    } catch {}
+  }
 }
 
 // ─────────────────────────────────────────────
 // Cookie consent
 // ─────────────────────────────────────────────
-async function handleCookieConsent(page) {
-  const out = { accepted: false };
-  const candidates = [
-    "#onetrust-accept-btn-handler",
-    "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll",
-    ".cmplz-accept","#wt-cli-accept-all-btn",".wt-cli-accept-all-btn",
-    "#cookie_action_close_header",".cookie-accept",".accept-cookies",
-    "[aria-label='Accept cookies']","[id*='accept'][class*='cookie']",
-    "[class*='accept'][class*='cookie']"
-  ];
-  const textLabels = ["Accept All","Accept all","Accept All Cookies","I Accept","Allow All","Allow all","Agree","OK","Got it","Continue"];
+// Accept / reject go through the CMP adapters in health.cmp.js; the result says
+// which CMP was identified and, for iframe banners, which frame was clicked.
+async function handleCookieConsent(page, pack = locales.getLocalePack("en")) {
+  const out = { accepted: false, cmp: null };
+  try {
+    const r = await cmp.runConsentAction(page, "accept", { labels: pack.consent_accept, rejectLabels: pack.consent_reject });
+    Object.assign(out, { accepted: r.clicked, cmp: r.cmp, clicked_by: r.clicked_by, frame_url: r.frame_url });
+    if (out.accepted) logDebug("🍪 Cookie consent accepted", { cmp: r.cmp?.name || r.clicked_by });
+  } catch {}
+  return out;
+}
 
+async function handleCookieRejection(page, pack = locales.getLocalePack("en")) {
+  const out = { rejected: false, cmp: null };
   try {
-    const clicked = await safeEvaluate(page, (sels, labels) => {
-      for (const sel of sels) {
-        for (const el of document.querySelectorAll(sel)) {
-          if (el.offsetHeight > 0) { el.click(); return true; }
-        }
+    const r = await cmp.runConsentAction(page, "reject", { labels: pack.consent_reject });
+    Object.assign(out, { rejected: r.clicked, cmp: r.cmp, clicked_by: r.clicked_by, frame_url: r.frame_url });
+    if (out.rejected) logDebug("🍪 Cookie consent rejected", { cmp: r.cmp?.name || r.clicked_by });
+  } catch {}
+  return out;
+}
+
+// ─────────────────────────────────────────────
+// Consent Mode v2 audit
+// Reads the consent default/update calls (dataLayer gtag() calls, or GTM
+// consent templates via google_tag_data.ics) and the gcs/gcd values on Google
+// hits before and after the banner was accepted.
+// ─────────────────────────────────────────────
+const CONSENT_TYPES    = ["ad_storage", "analytics_storage", "ad_user_data", "ad_personalization"];
+const CONSENT_V2_TYPES = ["ad_user_data", "ad_personalization"];
+
+// gcs=G1xy — x = ad_storage, y = analytics_storage (1 granted, 0 denied)
+function decodeGcs(gcs) {
+  const m = /^G1([01-])([01-])$/.exec(gcs || "");
+  if (!m) return null;
+  const state = c => c === "1" ? "granted" : c === "0" ? "denied" : null;
+  return { ad_storage: state(m[1]), analytics_storage: state(m[2]) };
+}
+
+// gcd=13r3r3r3r5l1 — one letter per consent type (ad_storage, analytics_storage,
+// ad_user_data, ad_personalization) encoding the default and update state
+const GCD_LETTERS = {
+  l: { default: null,      update: null },
+  p: { default: "denied",  update: null },
+  q: { default: "denied",  update: "denied" },
+  r: { default: "denied",  update: "granted" },
+  t: { default: "granted", update: null },
+  u: { default: "granted", update: "denied" },
+  v: { default: "granted", update: "granted" },
+  m: { default: null,      update: "denied" },
+  n: { default: null,      update: "granted" }
+};
+function decodeGcd(gcd) {
+  const letters = (gcd || "").match(/[a-z]/g);
+  if (!letters || letters.length < 4) return null;
+  const out = {};
+  CONSENT_TYPES.forEach((type, i) => {
+    const s = GCD_LETTERS[letters[i]] || { default: null, update: null };
+    out[type] = { ...s, effective: s.update || s.default };
+  });
+  return out;
+}
+
+// A Google hit sent with storage denied is a cookieless Consent Mode ping, not a consent breach
+function hitIsDenied(b) {
+  const gcs = decodeGcs(b.gcs);
+  if (gcs) return gcs.ad_storage !== "granted" && gcs.analytics_storage !== "granted";
+  const gcd = decodeGcd(b.gcd);
+  if (gcd) return gcd.ad_storage.effective !== "granted" && gcd.analytics_storage.effective !== "granted";
+  return false;
+}
+
+function summariseConsentHits(hits) {
+  return {
+    hits:        hits.length,
+    ga4_hits:    hits.filter(b => b.type === "GA4").length,
+    pixel_hits:  hits.filter(b => b.vendor).length,
+    events:      uniq(hits.map(b => b.vendor ? `${b.vendor}: ${b.event_name}` : b.event_name)),
+    gcs:         uniq(hits.map(b => b.gcs)),
+    gcd:         uniq(hits.map(b => b.gcd))
+  };
+}
+
+/**
+ * Audit Google Consent Mode v2 on the current page.
+ * @param {object} page
+ * @param {object[]} beacons
+ * @param {number} consentIdx - beacons.length at the moment the banner was accepted
+ * @param {boolean} bannerAccepted
+ */
+async function auditConsentMode(page, beacons, consentIdx, bannerAccepted) {
+  const scan = await safeEvaluate(page, () => {
+    const out = { defaults: [], updates: [], gtm_js_index: -1, ics: null };
+    const dl = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+    dl.forEach((item, i) => {
+      if (!item) return;
+      // gtag() pushes its `arguments` object: [ "consent", "default" | "update", {...} ]
+      if (item[0] === "consent" && (item[1] === "default" || item[1] === "update")) {
+        let settings = {};
+        try { settings = JSON.parse(JSON.stringify(item[2] || {})); } catch {}
+        (item[1] === "default" ? out.defaults : out.updates).push({ index: i, settings });
       }
-      for (const btn of document.querySelectorAll("button,a[role='button'],[type='button'],[type='submit']")) {
-        const t = (btn.textContent || "").trim();
-        if (labels.some(l => t === l || t.startsWith(l)) && btn.offsetHeight > 0) {
-          btn.click(); return true;
-        }
+      if (item.event === "gtm.js" && out.gtm_js_index < 0) out.gtm_js_index = i;
+    });
+    // Consent set through a GTM consent template never reaches the dataLayer
+    const entries = window.google_tag_data?.ics?.entries;
+    if (entries && typeof entries === "object") {
+      out.ics = {};
+      for (const [type, e] of Object.entries(entries)) {
+        out.ics[type] = { default: e?.default ?? null, update: e?.update ?? null };
       }
-      return false;
-    }, candidates, textLabels);
+    }
+    return out;
+  }) || { defaults: [], updates: [], gtm_js_index: -1, ics: null };
+
+  const asState = v => v === true ? "granted" : v === false ? "denied" : v ?? null;
+  const icsDefaults = scan.ics ? Object.fromEntries(Object.entries(scan.ics).filter(([, e]) => e.default !== null).map(([t, e]) => [t, asState(e.default)])) : {};
+  const icsUpdates  = scan.ics ? Object.fromEntries(Object.entries(scan.ics).filter(([, e]) => e.update !== null).map(([t, e]) => [t, asState(e.update)])) : {};
+
+  const defaults = scan.defaults.length ? Object.assign({}, ...scan.defaults.map(d => d.settings)) : icsDefaults;
+  const updates  = scan.updates.length  ? Object.assign({}, ...scan.updates.map(d => d.settings))  : icsUpdates;
+  const defaultFound = Object.keys(defaults).some(k => CONSENT_TYPES.includes(k));
+  const updateFound  = Object.keys(updates).some(k => CONSENT_TYPES.includes(k));
+  const defaultBeforeGtm = scan.defaults.length && scan.gtm_js_index >= 0 ? scan.defaults[0].index < scan.gtm_js_index : null;
+
+  // GTM / gtag.js loading before consent is expected — only measurement hits count
+  const isHit  = b => b.type === "GA4" || !!b.vendor;
+  const before = bannerAccepted ? beacons.slice(0, consentIdx).filter(isHit) : beacons.filter(isHit);
+  const after  = bannerAccepted ? beacons.slice(consentIdx).filter(isHit) : [];
+
+  let behaviour;
+  if (!bannerAccepted)                    behaviour = "NO_BANNER_FOUND";
+  else if (before.length === 0)           behaviour = "BLOCKED_UNTIL_CONSENT";
+  else if (before.every(hitIsDenied))     behaviour = "COOKIELESS_PINGS_BEFORE_CONSENT";
+  else                                    behaviour = "FIRES_BEFORE_CONSENT";
+
+  const issues = [];
+  if (!defaultFound) {
+    issues.push({ issue: "NO_CONSENT_DEFAULT", detail: "No consent default was set — Google Consent Mode is not implemented.",
+      fix: "Set a consent default (all types denied) before GTM loads — via your CMP's Consent Mode integration or a GTM consent initialisation tag." });
+  } else {
+    const missingV2 = CONSENT_V2_TYPES.filter(t => !(t in defaults));
+    if (missingV2.length) {
+      issues.push({ issue: "CONSENT_MODE_V1_ONLY", detail: `Consent default does not set ${missingV2.join(", ")} — Consent Mode v2 signals are missing.`,
+        fix: "Add ad_user_data and ad_personalization to the consent default and update calls (enable Consent Mode v2 in the CMP)." });
+    }
+    const grantedByDefault = CONSENT_TYPES.filter(t => defaults[t] === "granted");
+    if (bannerAccepted && grantedByDefault.length) {
+      issues.push({ issue: "GRANTED_BY_DEFAULT", detail: `${grantedByDefault.join(", ")} default to granted before the visitor has chosen.`,
+        fix: "Default every consent type to denied and only grant them in the update sent when the visitor accepts." });
+    }
+    if (defaultBeforeGtm === false) {
+      issues.push({ issue: "DEFAULT_AFTER_GTM", detail: "The consent default is set after GTM has loaded — early tags fire with no consent state.",
+        fix: "Move the consent default above the GTM snippet, or use a Consent Initialization trigger in GTM." });
+    }
+  }
+  if (behaviour === "FIRES_BEFORE_CONSENT") {
+    const offenders = before.filter(b => !hitIsDenied(b));
+    issues.push({ issue: "FIRES_BEFORE_CONSENT", detail: `${offenders.length} tracking hit(s) fired with consent granted or unknown before the banner was accepted (${summariseConsentHits(offenders).events.join(", ")}).`,
+      fix: "Block these tags until consent (GTM consent settings / CMP tag blocking), or make sure they respect the denied consent default." });
+  }
+  if (bannerAccepted && defaultFound && !updateFound) {
+    issues.push({ issue: "NO_CONSENT_UPDATE", detail: "Accepting the banner did not send a consent update — tags stay in denied mode after consent.",
+      fix: "Make the CMP call gtag('consent', 'update', {...}) with the granted types when the visitor accepts." });
+  }
+
+  return {
+    banner_accepted:    bannerAccepted,
+    default_found:      defaultFound,
+    default_before_gtm: defaultBeforeGtm,
+    defaults,
+    update_found:       updateFound,
+    updates,
+    v2_signals:         defaultFound && CONSENT_V2_TYPES.every(t => t in defaults),
+    behaviour,
+    before_consent:     summariseConsentHits(before),
+    after_consent:      summariseConsentHits(after),
+    gcd_decoded:        decodeGcd([...after, ...before].find(b => b.gcd)?.gcd),
+    status:             !bannerAccepted ? "NOT_TESTED" : issues.length ? "FAIL" : "PASS",
+    issues
+  };
+}
+
+// ─────────────────────────────────────────────
+// Reject-consent pass
+// A fresh context (no cookies from the accept pass) loads the homepage, refuses
+// cookies and reloads it. Whatever still fires after refusal is recorded; GA4
+// hits that carry a client/user ID with storage not denied, and ad/social pixel
+// hits, are privacy issues.
+// ─────────────────────────────────────────────
+function hitIsIdentified(b) {
+  return b.type === "GA4" && !!(b.client_id || b.user_id) && !hitIsDenied(b);
+}
+
+async function runRejectConsentPass(browser, targetUrl, pack, settings = DEFAULT_SETTINGS) {
+  const out = { rejected: false, cmp: null, status: "NOT_TESTED", hits_after_reject: summariseConsentHits([]), identified_ga4_hits: [], issues: [] };
+  const beacons = [];
+  let context = null, page = null;
+  try {
+    ({ context, page } = await openCheckPage(browser, beacons, [], pack));
+    const gotoResult = await safeGoto(page, targetUrl, settings.nav_timeout_ms);
+    if (!gotoResult.ok) return { ...out, error: gotoResult.error };
+    await simulateHumanBrowsing(page);
+
+    const rejectIdx = beacons.length;
+    const refusal = await handleCookieRejection(page, pack);
+    Object.assign(out, refusal);
+    if (!out.rejected) return out;
 
-    if (clicked) {
-      out.accepted = true;
-      logDebug("🍪 Cookie consent accepted");
+    // Tags that ignore the refusal usually show on the next page view, once the CMP cookie is set
+    await safeWait(settings.consent_wait_ms);
+    await safeGoto(page, targetUrl, settings.nav_timeout_ms);
+    await simulateHumanBrowsing(page);
+    await safeWait(settings.consent_wait_ms);
+
+    const after      = beacons.slice(rejectIdx).filter(b => b.type === "GA4" || b.vendor);
+    const identified = after.filter(hitIsIdentified);
+    const pixels     = after.filter(b => b.vendor && !hitIsDenied(b));
+    out.hits_after_reject   = summariseConsentHits(after);
+    out.identified_ga4_hits = identified.map(b => ({
+      event_name: b.event_name, tid: b.tid, client_id: b.client_id || null, user_id: b.user_id || null,
+      gcs: b.gcs || null, page_location: b.page_location || null
+    }));
+
+    if (identified.length) {
+      out.issues.push({ issue: "GA4_IDENTIFIED_AFTER_REJECT",
+        detail: `${identified.length} GA4 hit(s) with a client/user ID and storage not denied fired after cookies were refused (${uniq(identified.map(b => b.event_name)).join(", ")}).`,
+        fix: "Block GA4 tags until analytics_storage is granted, or pass the refusal to Consent Mode (gtag('consent', 'update', { analytics_storage: 'denied', … })) so hits are sent without cookies." });
     }
-  } catch {}
-  return out;
+    if (pixels.length) {
+      out.issues.push({ issue: "PIXELS_AFTER_REJECT",
+        detail: `${pixels.length} ad/social pixel hit(s) fired after cookies were refused (${summariseConsentHits(pixels).events.join(", ")}).`,
+        fix: "Add a consent requirement (ad_storage / marketing category) to these pixel tags in GTM or the CMP so they never fire after a refusal." });
+    }
+    out.status = out.issues.length ? "FAIL" : "PASS";
+    return out;
+  } catch (e) {
+    return { ...out, error: e.message };
+  } finally {
+    if (page)    { try { page.removeAllListeners(); await page.close(); } catch {} }
+    if (context) { try { await context.close();                        } catch {} }
+  }
 }
 
 // ─────────────────────────────────────────────
@@ -430,7 +1053,7 @@ async function detectTrackingSetup(page, beacons) {
 // ─────────────────────────────────────────────
 // Page & CTA Discovery
 // ─────────────────────────────────────────────
-async function discoverCandidatePages(page, baseUrl) {
+async function discoverCandidatePages(page, baseUrl, pack = locales.getLocalePack("en"), maxPages = MAX_PAGES_TO_VISIT) {
   const currentUrl = page.url();
   const origin = safeUrlObj(currentUrl)?.origin || safeUrlObj(baseUrl)?.origin || null;
 
@@ -457,7 +1080,7 @@ async function discoverCandidatePages(page, baseUrl) {
     .filter(Boolean)
     .map(x => ({
       ...x,
-      score: CONTACT_PAGE_KEYWORDS.reduce((acc, k) =>
+      score: pack.contact_keywords.reduce((acc, k) =>
         (`${x.url} ${x.text}`.toLowerCase().includes(k) ? acc + 1 : acc), 0)
     }))
     .filter(x => x.score > 0)
@@ -468,18 +1091,18 @@ async function discoverCandidatePages(page, baseUrl) {
     seen.add(x.url);
     return true;
   });
-  const firstContact = uniqueSorted.find(x => /contact/.test(x.url.toLowerCase()));
+  const firstContact = uniqueSorted.find(x => /contact|kontakt/.test(x.url.toLowerCase()));
   let discovered = [
     firstContact?.url,
     ...uniqueSorted.filter(x => x !== firstContact).map(x => x.url)
-  ].filter(Boolean).slice(0, Math.max(0, MAX_PAGES_TO_VISIT - 1));
+  ].filter(Boolean).slice(0, Math.max(0, maxPages - 1));
 
   if (discovered.length === 0 && origin) {
-    for (const p of COMMON_CONTACT_PATHS) {
+    for (const p of pack.contact_paths) {
       const candidate = origin + p;
       if (!seen.has(candidate)) {
         discovered.push(candidate);
-        if (discovered.length >= MAX_PAGES_TO_VISIT - 1) break;
+        if (discovered.length >= maxPages - 1) break;
       }
     }
   }
@@ -581,6 +1204,8 @@ async function clickAndPollForEvent(page, beacons, selector, fromIdx, ctaSearchV
   while (Date.now() - start < pollMs) {
     const newGa4 = beacons.slice(fromIdx).filter(b => b.type === "GA4");
 
+    const pixelHits = beacons.slice(fromIdx).filter(b => b.vendor && b.conversion);
+
     // Tier 1: strong signal — payload match or event name pattern
     const tier1 = newGa4.filter(b => {
       const en = (b.event_name || "").toLowerCase();
@@ -593,6 +1218,8 @@ async function clickAndPollForEvent(page, beacons, selector, fromIdx, ctaSearchV
     if (tier1.length) return {
       fired: true, match_tier: "exact",
       ga4_events: uniq(tier1.map(b => b.event_name)),
+      event_params: describeEvents(tier1),
+      other_conversions: describePixels(pixelHits),
       evidence_urls: tier1.slice(0, 3).map(b => b.url),
       generic_events_seen: []
     };
@@ -605,6 +1232,8 @@ async function clickAndPollForEvent(page, beacons, selector, fromIdx, ctaSearchV
     if (tier2.length) return {
       fired: true, match_tier: "inferred",
       ga4_events: uniq(tier2.map(b => b.event_name)),
+      event_params: describeEvents(tier2),
+      other_conversions: describePixels(pixelHits),
       evidence_urls: tier2.slice(0, 3).map(b => b.url),
       generic_events_seen: []
     };
@@ -613,6 +1242,18 @@ async function clickAndPollForEvent(page, beacons, selector, fromIdx, ctaSearchV
   }
 
   const allNewGa4 = beacons.slice(fromIdx).filter(b => b.type === "GA4");
+
+  // Tier 3: no GA4 conversion, but an Ads / social pixel conversion fired —
+  // the click is tracked, just not in GA4
+  const pixelHits = beacons.slice(fromIdx).filter(b => b.vendor && b.conversion);
+  if (pixelHits.length) return {
+    fired: true, match_tier: "other_pixel",
+    ga4_events: [], event_params: [],
+    other_conversions: describePixels(pixelHits),
+    evidence_urls: pixelHits.slice(0, 3).map(b => b.url),
+    generic_events_seen: uniq(allNewGa4.map(b => b.event_name))
+  };
+
   return {
     fired: false, ga4_events: [], evidence_urls: [],
     generic_events_seen: uniq(allNewGa4.map(b => b.event_name))
@@ -622,7 +1263,7 @@ async function clickAndPollForEvent(page, beacons, selector, fromIdx, ctaSearchV
 // ─────────────────────────────────────────────
 // testLinkCTA — primary click + duplicate-fire test
 // ─────────────────────────────────────────────
-async function testLinkCTA(page, beacons, rawHref, type, pageUrl) {
+async function testLinkCTA(page, beacons, rawHref, type, pageUrl, evidence = null, settings = DEFAULT_SETTINGS) {
   const hrefEsc        = escapeAttrValue(rawHref);
   const selector       = `a[href="${hrefEsc}" i]`;
   const ctaSearchValue = type === "phone"
@@ -638,11 +1279,18 @@ async function testLinkCTA(page, beacons, rawHref, type, pageUrl) {
     await loc.scrollIntoViewIfNeeded({ timeout: 1500 }).catch(() => null);
     await safeWait(300);
 
+    const before = evidence ? await snapEvidence(page, loc) : null;
+
     // ── Step 1: Primary click ──
     const click1 = await clickAndPollForEvent(
-      page, beacons, selector, beacons.length, ctaSearchValue, type, POST_ACTION_POLL_MS
+      page, beacons, selector, beacons.length, ctaSearchValue, type, settings.poll_ms
     );
 
+    const status1 = click1.fired ? "PASS" : "FAIL";
+    const artifacts = evidenceWanted(evidence, status1)
+      ? saveEvidence(evidence, type, before, await snapEvidence(page))
+      : undefined;
+
     if (!click1.fired) {
       return {
         status: "FAIL",
@@ -652,12 +1300,29 @@ async function testLinkCTA(page, beacons, rawHref, type, pageUrl) {
         ga4_events: [],
         generic_events_seen: click1.generic_events_seen,
         page_url: pageUrl,
-        duplicate_fire_test: null
+        duplicate_fire_test: null,
+        ...(artifacts ? { evidence: artifacts } : {})
       };
     }
 
+    const passed = {
+      status: "PASS",
+      match_tier: click1.match_tier,
+      ...(click1.match_tier === "inferred" ? { match_note: "Non-generic GA4 event fired — CTA value may be in custom dimensions" } : {}),
+      ...(click1.match_tier === "other_pixel" ? { match_note: `No GA4 event — tracked only by ${uniq(click1.other_conversions.map(c => c.vendor)).join(", ")}` } : {}),
+      ga4_events: click1.ga4_events,
+      event_params: click1.event_params,
+      other_conversions: click1.other_conversions,
+      evidence_urls: click1.evidence_urls,
+      page_url: pageUrl,
+      ...(artifacts ? { evidence: artifacts } : {})
+    };
+    if (settings.skip_duplicate_test) {
+      return { ...passed, duplicate_fire_test: { result: "SKIPPED", summary: "Duplicate-fire test skipped (options.skip_duplicate_test)." } };
+    }
+
     // ── Step 2: Duplicate-fire test — JS click same element after settle ──
-    await safeWait(DUPLICATE_TEST_SETTLE_MS);
+    await safeWait(settings.duplicate_settle_ms);
     const beforeClick2 = beacons.length;
 
     await safeEvaluate(page, sel => {
@@ -666,16 +1331,17 @@ async function testLinkCTA(page, beacons, rawHref, type, pageUrl) {
     }, selector);
 
     const click2 = await clickAndPollForEvent(
-      page, beacons, selector, beforeClick2, ctaSearchValue, type, SECOND_CLICK_POLL_MS
+      page, beacons, selector, beforeClick2, ctaSearchValue, type, settings.second_poll_ms
     );
 
+    const pixelOnly = click2.match_tier === "other_pixel";
     const duplicate_fire_test = click2.fired
       ? {
           result: "DUPLICATE_FIRED",
-          summary: `A second GA4 event fired after clicking the same ${type === "phone" ? "tel:" : "mailto:"} link again on the same page. ` +
+          summary: `A second ${pixelOnly ? "ad-platform conversion" : "GA4 event"} fired after clicking the same ${type === "phone" ? "tel:" : "mailto:"} link again on the same page. ` +
             `The GTM tag is set to "Once per event" or "Unlimited" — it will fire on every click and double-count conversions.`,
-          events_on_second_click: click2.ga4_events,
-          fix: `In GTM, open the GA4 Event tag for ${type === "phone" ? "click_call / click_phone" : "click_email"}, ` +
+          events_on_second_click: pixelOnly ? click2.other_conversions.map(c => `${c.vendor}: ${c.event_name}`) : click2.ga4_events,
+          fix: `In GTM, open the ${pixelOnly ? `${uniq(click2.other_conversions.map(c => c.vendor)).join(" / ")} conversion tag` : `GA4 Event tag for ${type === "phone" ? "click_call / click_phone" : "click_email"}`}, ` +
             `go to Advanced Settings → Tag firing options, change from "Once per event" to "Once per page". ` +
             `This ensures the event fires only once per page load no matter how many times the link is clicked.`
         }
@@ -684,15 +1350,7 @@ async function testLinkCTA(page, beacons, rawHref, type, pageUrl) {
           summary: `No second GA4 event fired after re-clicking on the same page — tag is correctly set to "Once per page".`
         };
 
-    return {
-      status: "PASS",
-      match_tier: click1.match_tier,
-      ...(click1.match_tier === "inferred" ? { match_note: "Non-generic GA4 event fired — CTA value may be in custom dimensions" } : {}),
-      ga4_events: click1.ga4_events,
-      evidence_urls: click1.evidence_urls,
-      page_url: pageUrl,
-      duplicate_fire_test
-    };
+    return { ...passed, duplicate_fire_test };
 
   } catch (e) {
     return { status: "NOT_TESTED", reason: e.message, page_url: pageUrl, duplicate_fire_test: null };
@@ -707,34 +1365,39 @@ async function testLinkCTA(page, beacons, rawHref, type, pageUrl) {
 // Once a primary phone test has been fired, never test another phone link
 // again — same for email. This means found=1, tested=1, pass=0|1 which is
 // the only accurate representation when one number appears on multiple pages.
+// settings.max_phone_tests / max_email_tests raise the limit to that many
+// distinct numbers / addresses; a link already tested is never clicked again.
 //
 // Non-clickable contact scanning always runs on every page so we catch
 // plain-text numbers/emails wherever they appear across the whole site.
 //
 // phoneDone / emailDone are { value: boolean } objects passed by reference
 // so the caller loop can see when testing is complete and skip on later pages.
+// They flip once the limit is reached.
 // ─────────────────────────────────────────────
 async function testCTAsOnPage(page, beacons, pageUrl,
                                uniquePhones, uniqueEmails,
                                phoneItems, emailItems,
-                               phoneDone, emailDone) {
+                               phoneDone, emailDone, evidence = null, settings = DEFAULT_SETTINGS) {
   const ctas = await scanCTAsOnPage(page);
   const currentUrl = page.url();
 
-  // ── Phone: fire one primary test, then stop for the entire run ──
+  // ── Phone: fire the primary test(s), then stop for the entire run ──
   if (!phoneDone.value) {
     for (const ctaObj of (ctas.phones || [])) {
       const rawTel = ctaObj.href;
       const norm   = normaliseTelHref(rawTel);
-      if (!norm) continue;
+      if (!norm || phoneItems.some(i => normaliseTelHref(i.href) === norm)) continue;
       uniquePhones.add(norm);
 
-      const result = await testLinkCTA(page, beacons, rawTel, "phone", currentUrl);
+      const result = await testLinkCTA(page, beacons, rawTel, "phone", currentUrl, evidence, settings);
       result.href         = rawTel;
       result.display_text = ctaObj.text || null;
       phoneItems.push(result);
-      phoneDone.value = true; // primary test done — no more phone tests this run
-      break;
+      if (phoneItems.length >= settings.max_phone_tests) {
+        phoneDone.value = true; // limit reached — no more phone tests this run
+        break;
+      }
     }
   }
 
@@ -744,20 +1407,22 @@ async function testCTAsOnPage(page, beacons, pageUrl,
     if (norm) uniquePhones.add(norm);
   }
 
-  // ── Email: same — one primary test then stop ──
+  // ── Email: same — primary test(s) then stop ──
   if (!emailDone.value) {
     for (const ctaObj of (ctas.emails || [])) {
       const rawMail = ctaObj.href;
       const norm    = normaliseMailtoHref(rawMail);
-      if (!norm) continue;
+      if (!norm || emailItems.some(i => normaliseMailtoHref(i.href) === norm)) continue;
       uniqueEmails.add(norm);
 
-      const result = await testLinkCTA(page, beacons, rawMail, "email", currentUrl);
+      const result = await testLinkCTA(page, beacons, rawMail, "email", currentUrl, evidence, settings);
       result.href         = rawMail;
       result.display_text = ctaObj.text || null;
       emailItems.push(result);
-      emailDone.value = true;
-      break;
+      if (emailItems.length >= settings.max_email_tests) {
+        emailDone.value = true;
+        break;
+      }
     }
   }
 
@@ -776,13 +1441,18 @@ async function testCTAsOnPage(page, beacons, pageUrl,
 // ─────────────────────────────────────────────
 // Form detection & testing (unchanged from V26)
 // ─────────────────────────────────────────────
-async function discoverAllFormsOnPage(page, pageUrl) {
-  const mainForms = await scanFrameForForms(page);
+async function discoverAllFormsOnPage(page, pageUrl, pack = locales.getLocalePack("en")) {
+  // HubSpot / Typeform / Jotform / Calendly embeds are tested by their adapters, not as forms
+  const pageEmbeds  = await embeds.detectEmbeds(page);
+  const embedFrames = new Set(pageEmbeds.filter(e => e.form_index === null).map(e => e.frame));
+  const inlineIdx   = new Set(pageEmbeds.filter(e => e.form_index !== null).map(e => e.form_index));
+  const isInEmbed   = frame => { for (let f = frame; f; f = f.parentFrame()) if (embedFrames.has(f)) return true; return false; };
+  const mainForms = (await scanFrameForForms(page, pack.submit_pattern) || []).filter(f => !inlineIdx.has(f.index));
   let frameForms  = [];
   try {
     for (const frame of page.frames()) {
-      if (frame === page.mainFrame()) continue;
-      const ff = await scanFrameForForms(frame);
+      if (frame === page.mainFrame() || isInEmbed(frame)) continue;
+      const ff = await scanFrameForForms(frame, pack.submit_pattern);
       if (ff?.length) { ff.forEach(f => { f.isFrame = true; }); frameForms.push(...ff); }
     }
   } catch {}
@@ -800,11 +1470,12 @@ async function discoverAllFormsOnPage(page, pageUrl) {
     }
     (isThirdParty ? thirdParty : firstParty).push(f);
   }
-  return { firstPartyForms: firstParty, thirdPartyForms: thirdParty, totalLeadForms: leadForms.length };
+  return { firstPartyForms: firstParty, thirdPartyForms: thirdParty, embeds: pageEmbeds, totalLeadForms: leadForms.length + pageEmbeds.length };
 }
 
-async function scanFrameForForms(frameOrPage) {
-  return await safeEvaluate(frameOrPage, () => {
+async function scanFrameForForms(frameOrPage, submitPattern) {
+  return await safeEvaluate(frameOrPage, submitPattern => {
+    const submitRe = new RegExp(submitPattern, "i");
     const out = [];
     function textOf(el) { return (el?.textContent || "").replace(/\s+/g, " ").trim().slice(0, 400); }
     function attr(el, name) { return (el?.getAttribute?.(name)) || ""; }
@@ -819,7 +1490,7 @@ async function scanFrameForForms(frameOrPage) {
       const hasPhone    = Array.from(inputs).some(x => /phone|tel|mobile/i.test(attr(x,"name")+attr(x,"placeholder")+attr(x,"id")+attr(x,"type")));
       const hasName     = Array.from(inputs).some(x => /^(name|full.?name|first.?name)/i.test(attr(x,"name")+attr(x,"placeholder")+attr(x,"id")));
       const submitBtn   = f.querySelector("button[type='submit'],input[type='submit']") ||
-        Array.from(f.querySelectorAll("button")).find(b => /send|submit|enquir|quote|request|book|contact|get.?in.?touch/i.test(textOf(b)));
+        Array.from(f.querySelectorAll("button")).find(b => submitRe.test(textOf(b)));
       const submitText  = submitBtn ? textOf(submitBtn) : "";
       const hay = `${attr(f,"id")} ${attr(f,"class")} ${attr(f,"name")} ${submitText} ${textOf(f)}`.toLowerCase();
       const isSearch = /search|login|sign.?in|subscribe|newsletter/.test(hay) && !hasTextarea && inputs.length < 3;
@@ -829,47 +1500,191 @@ async function scanFrameForForms(frameOrPage) {
         if (hasEmail)    score += 2;
         if (hasPhone)    score += 2;
         if (hasName && inputs.length >= 2) score += 1;
-        if (/send|submit|enquir|contact|book/i.test(submitText)) score += 2;
+        if (submitRe.test(submitText)) score += 2;
         if (/contact|enquir|quote|touch/i.test(hay)) score += 1;
       }
       out.push({ index: i, action, hasEmail, hasPhone, hasTextarea, submitText, score });
     }
     return out;
+  }, submitPattern);
+}
+
+// ─────────────────────────────────────────────
+// Field classification & value generation
+// A field's kind comes from its autocomplete token first, then its input type
+// and inputmode, then the words in its label, aria-label, name, id and
+// placeholder. Values are tried in turn until the browser's own constraint
+// validation (pattern, min/max, step, minlength/maxlength) accepts one.
+// ─────────────────────────────────────────────
+const AUTOCOMPLETE_TYPES = {
+  "email": "email", "tel": "phone", "tel-national": "phone", "tel-local": "phone",
+  "given-name": "firstName", "family-name": "lastName", "name": "fullName", "nickname": "fullName",
+  "organization": "company", "organization-title": "text", "postal-code": "postcode",
+  "address-level2": "city", "street-address": "address", "address-line1": "address",
+  "country": "country", "country-name": "country", "url": "url", "bday": "birthday"
+};
+const INPUT_TYPES = {
+  email: "email", tel: "phone", url: "url", number: "number", range: "number",
+  date: "date", "datetime-local": "datetime", time: "time", month: "month", week: "week"
+};
+const INPUTMODE_TYPES = { email: "email", tel: "phone", url: "url", numeric: "number", decimal: "number" };
+// Checked in order against label / aria-label / name / id / placeholder
+const FIELD_KEYWORDS = [
+  ["email",     /e-?mail/],
+  ["phone",     /phone|\btel\b|mobile|\bcell\b/],
+  ["birthday",  /birth|\bdob\b|\bbday\b/],
+  ["message",   /message|enquiry|inquiry|comment|details|how.?can|tell us/],
+  ["firstName", /first.?name|forename|given.?name/],
+  ["lastName",  /last.?name|surname|family.?name/],
+  ["company",   /company|business|organi[sz]ation/],
+  ["postcode",  /postcode|post.?code|zip/],
+  ["city",      /\bcity\b|\btown\b/],
+  ["address",   /address|street/],
+  ["country",   /country/],
+  ["url",       /website|\burl\b|web.?site/],
+  ["subject",   /subject|topic/],
+  ["date",      /\bdate\b|preferred.?day/],
+  ["time",      /\btime\b/],
+  ["number",    /quantity|how.?many|number of|\bage\b|budget|\bqty\b/],
+  ["fullName",  /\bname\b|full.?name/]
+];
+// Extra values tried when the default fails validation (formats plugins commonly enforce)
+const FIELD_ALTERNATES = {
+  phone:    ["07700900123", "+44 7700 900123", "+447700900123", "(201) 555-0123", "2015550123"],
+  postcode: ["SW1A1AA", "SW1A 1AA", "10001", "75001"],
+  url:      ["https://www.example.com", "www.example.com"],
+  number:   ["1", "10", "100"],
+  text:     ["Test", "12345", "TEST1"]
+};
+const MASK_CHARS = /[#9_X0]/g;
+
+async function describeField(el) {
+  return await el.evaluate(e => {
+    const attr = name => e.getAttribute(name) || "";
+    const text = node => (node?.innerText || node?.textContent || "").replace(/\s+/g, " ").trim();
+    const labelledBy = attr("aria-labelledby").split(/\s+/).filter(Boolean).map(id => text(document.getElementById(id))).join(" ");
+    // Plugins often put the label in the field wrapper without for=
+    const wrapperLabel = e.labels?.length ? "" :
+      text(e.closest(".gfield, .wpforms-field, .elementor-field-group, .frm_form_field, .form-group, .field, p")?.querySelector("label, legend, .gfield_label"));
+    return {
+      tag: e.tagName.toLowerCase(), input_type: (attr("type") || "").toLowerCase(), name: attr("name"), id: attr("id"),
+      placeholder: attr("placeholder"), aria_label: attr("aria-label"),
+      label: [...(e.labels || [])].map(text).join(" ") || wrapperLabel, labelled_by: labelledBy,
+      autocomplete: attr("autocomplete").toLowerCase(), inputmode: attr("inputmode").toLowerCase(),
+      pattern: attr("pattern") || null,
+      minlength: e.minLength > 0 ? e.minLength : null, maxlength: e.maxLength > 0 ? e.maxLength : null,
+      min: attr("min") || null, max: attr("max") || null, step: attr("step") || null,
+      intl_phone: !!e.closest(".iti, .intl-tel-input") || /wpforms-smart-phone-field/.test(e.className)
+    };
   });
 }
 
+function classifyField(d) {
+  if (d.tag === "select") return "select";
+  if (["checkbox", "radio", "hidden", "file", "submit", "button", "reset", "image", "color"].includes(d.input_type)) return d.input_type;
+  // autocomplete can carry section / billing prefixes: "section-x shipping postal-code"
+  const token = d.autocomplete.split(/\s+/).pop();
+  if (AUTOCOMPLETE_TYPES[token]) return AUTOCOMPLETE_TYPES[token];
+  if (INPUT_TYPES[d.input_type]) return INPUT_TYPES[d.input_type];
+  if (INPUTMODE_TYPES[d.inputmode]) return INPUTMODE_TYPES[d.inputmode];
+  const hay = `${d.label} ${d.labelled_by} ${d.aria_label} ${d.name} ${d.id} ${d.placeholder}`.toLowerCase();
+  for (const [kind, re] of FIELD_KEYWORDS) if (re.test(hay)) return kind;
+  return d.tag === "textarea" ? "message" : "text";
+}
+
 async function detectFieldType(el) {
   try {
-    const tag  = await el.evaluate(e => e.tagName.toLowerCase()).catch(() => "");
-    const type = (await el.getAttribute("type").catch(() => "")) || "";
-    const name = (await el.getAttribute("name").catch(() => "")) || "";
-    const ph   = (await el.getAttribute("placeholder").catch(() => "")) || "";
-    const id   = (await el.getAttribute("id").catch(() => "")) || "";
-    const c    = `${type} ${name} ${ph} ${id}`.toLowerCase();
-    if (tag === "select")                  return { type: "select" };
-    if (type === "checkbox")               return { type: "checkbox" };
-    if (type === "radio")                  return { type: "radio" };
-    if (type === "hidden")                 return { type: "hidden" };
-    if (/email/.test(c))                   return { type: "email" };
-    if (/phone|tel|mobile/.test(c))        return { type: "phone" };
-    if (/message|enquiry|comment|details|how.?can/.test(c) || tag === "textarea") return { type: "message" };
-    if (/first.?name|forename/.test(c))    return { type: "firstName" };
-    if (/last.?name|surname/.test(c))      return { type: "lastName" };
-    if (/company|business|organisation/.test(c)) return { type: "company" };
-    if (/postcode|post.?code|zip/.test(c)) return { type: "postcode" };
-    if (/subject|topic/.test(c))           return { type: "subject" };
-    return { type: "text" };
+    const desc = await describeField(el);
+    return { type: classifyField(desc), ...desc };
   } catch { return { type: "unknown" }; }
 }
 
-async function fillFormFieldSmart(el, fieldInfo) {
+function isoWeek(dateStr) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const week = Math.ceil(((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 864e5 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+// A number inside min/max on the step grid
+function numberWithin(field, preferred) {
+  const min  = field.min !== null && field.min !== "" ? Number(field.min) : null;
+  const max  = field.max !== null && field.max !== "" ? Number(field.max) : null;
+  const step = field.step && field.step !== "any" ? Number(field.step) : null;
+  let n = Number(preferred);
+  if (!Number.isFinite(n)) n = 1;
+  if (min !== null && n < min) n = min;
+  if (max !== null && n > max) n = max;
+  if (step) n = (min ?? 0) + Math.ceil((n - (min ?? 0)) / step) * step;
+  if (max !== null && n > max && step) n -= step;
+  return String(+n.toFixed(6));
+}
+
+// A date inside min/max — booking fields often only allow future dates
+function dateWithin(field, preferred) {
+  let d = preferred;
+  if (field.min && d < field.min.slice(0, 10)) d = field.min.slice(0, 10);
+  if (field.max && d > field.max.slice(0, 10)) d = field.max.slice(0, 10);
+  return d;
+}
+
+// "(###) ###-####" style placeholders used by input masks
+function valueFromMask(mask) {
+  if (!mask || (mask.match(MASK_CHARS) || []).length < 6 || /[a-wyz]/i.test(mask.replace(MASK_CHARS, ""))) return null;
+  const digits = "7700900123456789";
+  let i = 0;
+  return mask.replace(MASK_CHARS, () => digits[i++ % digits.length]);
+}
+
+function patternAccepts(pattern, value) {
+  if (!pattern) return true;
+  try { return new RegExp(`^(?:${pattern})$`, "u").test(value); } catch { return true; }
+}
+
+/**
+ * Values to try for a field, best first: the test value for its kind, then
+ * mask-derived and alternate formats, adjusted to minlength / maxlength and
+ * pre-filtered by pattern when possible.
+ */
+function fieldCandidates(field, values) {
+  const base = {
+    email: values.email, phone: values.phone, message: values.message,
+    firstName: values.firstName, lastName: values.lastName, fullName: values.fullName,
+    company: values.company, postcode: values.postcode, subject: values.subject,
+    city: values.city, address: values.address, country: values.country, url: values.url,
+    birthday: values.birthday, date: values.date, time: values.time, number: values.number
+  }[field.type] ?? values.fullName;
+
+  let list;
+  if (field.type === "number") list = [numberWithin(field, values.number), ...FIELD_ALTERNATES.number.map(n => numberWithin(field, n))];
+  else if (field.type === "date" || field.type === "birthday") list = [dateWithin(field, base)];
+  else if (field.type === "datetime") list = [`${dateWithin(field, values.date)}T${values.time}`];
+  else if (field.type === "month") list = [values.date.slice(0, 7)];
+  else if (field.type === "week") list = [isoWeek(values.date)];
+  else if (field.type === "time") list = [values.time];
+  else {
+    const intl = field.type === "phone" && field.intl_phone ? ["+44 7700 900123"] : [];
+    const alternates = FIELD_ALTERNATES[field.type] || (field.type === "text" ? FIELD_ALTERNATES.text : []);
+    list = [...intl, valueFromMask(field.placeholder), base, ...alternates].filter(Boolean);
+    const min = field.minlength, max = field.maxlength;
+    if (min) list = list.map(v => v.length >= min ? v : `${v} ${values.message.repeat(Math.ceil(min / values.message.length))}`.slice(0, min));
+    if (max) list = list.map(v => v.slice(0, max));
+    const fitting = list.filter(v => patternAccepts(field.pattern, v));
+    if (fitting.length) list = fitting;
+  }
+  return [...new Set(list)];
+}
+
+async function fillFormFieldSmart(el, fieldInfo, values = TEST_VALUES) {
   try {
     const { type } = fieldInfo;
-    if (type === "hidden") return;
+    if (["hidden", "file", "submit", "button", "reset", "image", "color", "unknown"].includes(type)) return;
     if (!await el.isVisible({ timeout: 300 }).catch(() => false)) return;
     if (type === "select") {
+      // First real option — skip placeholders ("Please choose") and disabled entries
       await el.evaluate(sel => {
-        if (sel.options.length > 1) { sel.selectedIndex = 1; sel.dispatchEvent(new Event("change", { bubbles: true })); }
+        const idx = [...sel.options].findIndex((o, i) => i > 0 && !o.disabled && o.value !== "");
+        if (idx > 0) { sel.selectedIndex = idx; sel.dispatchEvent(new Event("input", { bubbles: true })); sel.dispatchEvent(new Event("change", { bubbles: true })); }
       }).catch(() => null);
       return;
     }
@@ -877,53 +1692,361 @@ async function fillFormFieldSmart(el, fieldInfo) {
       await el.check({ timeout: 500, force: true }).catch(() => null);
       return;
     }
-    const valueMap = {
-      email: TEST_VALUES.email, phone: TEST_VALUES.phone, message: TEST_VALUES.message,
-      firstName: TEST_VALUES.firstName, lastName: TEST_VALUES.lastName,
-      company: TEST_VALUES.company, postcode: TEST_VALUES.postcode, subject: TEST_VALUES.subject
-    };
-    await el.fill(valueMap[type] || TEST_VALUES.fullName, { timeout: 500 }).catch(() => null);
+    // Keep the first value the browser's constraint validation accepts (validity,
+    // not checkValidity(), so no "invalid" events reach the site's own validators)
+    const candidates = fieldCandidates(fieldInfo, values);
+    for (const value of candidates) {
+      await el.fill(value, { timeout: 500 }).catch(() => null);
+      if (await el.evaluate(e => e.validity.valid).catch(() => true)) return;
+    }
+    if (candidates.length > 1) await el.fill(candidates[0], { timeout: 500 }).catch(() => null);
   } catch {}
 }
 
-async function hasVisibleValidationErrors(page, formIndex) {
-  return await safeEvaluate(page, idx => {
-    const form = document.querySelectorAll("form")[idx];
-    if (!form) return false;
-    if ([...form.querySelectorAll(":invalid")].some(el => el.offsetParent !== null)) return true;
-    return ['[role="alert"]','.error','.invalid-feedback','.wpcf7-not-valid-tip',
-      '.validation-error','.hs-error-msgs','.field-error','.form-error',
-      '[data-error]','.help-block','.alert-danger']
-      .some(sel => [...form.querySelectorAll(sel)].some(el => el.offsetParent !== null && el.innerText.trim().length > 0));
-  }, formIndex);
+// ─────────────────────────────────────────────
+// Multi-step and conditional forms
+// WPForms page breaks, Gravity Forms pagination and hand-rolled wizards show one
+// step at a time, and conditional logic reveals fields as answers come in. The
+// driver fills whatever is visible and empty, answers required choices, clicks
+// Next until a submit button shows, and only then hands over to the submit.
+// ─────────────────────────────────────────────
+const MAX_FORM_STEPS = 8;
+const NEXT_BUTTON_SELECTORS = [
+  ".wpforms-page-next", ".gform_next_button", ".ff-btn-next", ".forminator-button-next",
+  ".frm_next_page", "[data-action='next']", ".next-step", ".btn-next"
+];
+
+async function fieldHasValue(el) {
+  return await el.evaluate(e => {
+    if (e.type === "radio") return e.checked || !!(e.form || document).querySelector(`input[type="radio"][name="${CSS.escape(e.name)}"]:checked`);
+    if (e.type === "checkbox") return e.checked;
+    if (e.tagName === "SELECT") return e.selectedIndex > 0;
+    return !!e.value || ["submit", "button", "reset", "image", "file"].includes(e.type);
+  }).catch(() => true);
 }
 
-async function testFirstPartyForm(page, beacons, pageUrl, formMeta) {
-  try {
-    if (formMeta.isFrame) return { status: "NOT_TESTED", reason: "Form is inside a cross-origin iframe" };
-    const formLocator = page.locator("form").nth(formMeta.index);
-    if (!(await formLocator.count())) return { status: "NOT_TESTED", reason: "Form not found in DOM" };
-    const botDetected = await safeEvaluate(page, () =>
-      !!document.querySelector("iframe[src*='recaptcha'],iframe[src*='turnstile'],.g-recaptcha,.h-captcha,[data-sitekey]")
-    );
-    if (botDetected) return { status: "FAIL", reason: "Bot Protection (CAPTCHA/Turnstile)" };
+// Radio groups with nothing picked and unticked required checkboxes — styled
+// controls hide the input, so the visible label is clicked instead
+async function answerChoiceGroups(formLocator) {
+  return await formLocator.evaluate(form => {
+    const visible  = el => !!el && el.offsetParent !== null;
+    const labelFor = input => input.closest("label") || (input.id && form.querySelector(`label[for="${CSS.escape(input.id)}"]`));
+    const clickable = input => visible(input) ? input : visible(labelFor(input)) ? labelFor(input) : null;
+    let answered = 0;
+    const groups = new Map();
+    for (const r of form.querySelectorAll("input[type='radio']:not([disabled])")) {
+      const key = r.name || r.id;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    }
+    for (const radios of groups.values()) {
+      if (radios.some(r => r.checked)) continue;
+      const target = radios.map(clickable).find(Boolean);
+      if (target) { target.click(); answered++; }
+    }
+    for (const box of form.querySelectorAll("input[type='checkbox'][required]:not(:checked):not([disabled])")) {
+      const target = clickable(box);
+      if (target) { target.click(); answered++; }
+    }
+    return answered;
+  }).catch(() => 0);
+}
 
-    const beforeBeaconIdx = beacons.length;
-    const beforeUrl = page.url();
+// Fill every visible, still-empty field; repeat while answers reveal new ones
+async function fillVisibleEmptyFields(formLocator, values) {
+  for (let pass = 0; pass < 3; pass++) {
     const fields = formLocator.locator("input:visible,textarea:visible,select:visible");
-    const fieldCount = await fields.count();
-    for (let i = 0; i < fieldCount; i++) {
-      await fillFormFieldSmart(fields.nth(i), await detectFieldType(fields.nth(i)));
+    const count  = await fields.count();
+    let filled = 0;
+    for (let i = 0; i < count; i++) {
+      const el = fields.nth(i);
+      if (await fieldHasValue(el)) continue;
+      await fillFormFieldSmart(el, await detectFieldType(el), values);
+      filled++;
     }
+    filled += await answerChoiceGroups(formLocator);
+    if (!filled) return;
     await safeWait(300);
+  }
+}
 
-    const btnLocator = formLocator.locator(
-      "button[type='submit'],input[type='submit'],button:has-text('Send'),button:has-text('Submit'),button:has-text('Enquire'),button:has-text('Book'),button:has-text('Request')"
-    ).first();
-    if (!((await btnLocator.count()) > 0 && await btnLocator.isVisible().catch(() => false))) {
-      return { status: "NOT_TESTED", reason: "No visible submit button found" };
-    }
+async function isNextButton(el, nextLabels) {
+  return await el.evaluate((e, { sels, labels }) => {
+    const text = (e.innerText || e.value || e.getAttribute("aria-label") || "").trim().toLowerCase();
+    return sels.some(s => e.matches(s)) || labels.some(l => text.startsWith(l.toLowerCase()));
+  }, { sels: NEXT_BUTTON_SELECTORS, labels: nextLabels }).catch(() => false);
+}
+
+async function firstVisible(locator, skip = async () => false) {
+  const count = await locator.count().catch(() => 0);
+  for (let i = 0; i < count; i++) {
+    const el = locator.nth(i);
+    if (await el.isVisible().catch(() => false) && !(await skip(el))) return el;
+  }
+  return null;
+}
+
+// Visible submit button that is not a step's Next button
+async function visibleSubmitButton(formLocator, pack) {
+  return await firstVisible(
+    formLocator.locator(["button[type='submit']", "input[type='submit']", ...pack.submit_labels.map(l => `button:has-text(${JSON.stringify(l)})`)].join(",")),
+    el => isNextButton(el, pack.next_labels)
+  );
+}
+
+async function visibleNextButton(formLocator, pack) {
+  return await firstVisible(formLocator.locator([
+    ...NEXT_BUTTON_SELECTORS,
+    ...pack.next_labels.map(l => `button:has-text(${JSON.stringify(l)})`),
+    ...pack.next_labels.map(l => `input[type='button'][value^=${JSON.stringify(l)} i]`)
+  ].join(",")));
+}
+
+// Names of the visible fields — changes when a step is left behind
+async function visibleFieldSignature(formLocator) {
+  return await formLocator.evaluate(form => [...form.querySelectorAll("input,textarea,select")]
+    .filter(el => el.offsetParent !== null).map(el => el.name || el.id).join("|")).catch(() => "");
+}
+
+/**
+ * Fill the form step by step until a submit button is visible.
+ * @param {boolean} advance - click Next buttons (false fills the first step only)
+ * @returns {Promise<{submit: object|null, steps: number, blocked: string|null}>}
+ *   steps is the number of Next clicks; blocked says why the form stopped advancing
+ */
+async function driveFormSteps(page, formLocator, formIndex, values, pack, advance = true) {
+  let steps = 0;
+  for (;;) {
+    await fillVisibleEmptyFields(formLocator, values);
+    await safeWait(300);
+    const submit = await visibleSubmitButton(formLocator, pack);
+    if (submit || !advance || steps >= MAX_FORM_STEPS) return { submit, steps, blocked: null };
+
+    const next = await visibleNextButton(formLocator, pack);
+    if (!next) return { submit: null, steps, blocked: null };
+    const beforeFields = await visibleFieldSignature(formLocator);
+    const clicked = await next.click({ timeout: 2000, noWaitAfter: true }).then(() => true)
+      .catch(() => next.evaluate(e => { e.click(); return true; }).catch(() => false));
+    if (!clicked) return { submit: null, steps, blocked: `Could not click the Next button on step ${steps + 1}` };
+    await safeWait(800);
+    if (await visibleFieldSignature(formLocator) === beforeFields) {
+      return {
+        submit: null, steps,
+        blocked: await hasVisibleValidationErrors(page, formIndex)
+          ? `Validation blocked step ${steps + 1} of the form`
+          : `Next button did not advance past step ${steps + 1}`
+      };
+    }
+    steps++;
+  }
+}
+
+async function hasVisibleValidationErrors(page, formIndex) {
+  return await safeEvaluate(page, idx => {
+    const form = document.querySelectorAll("form")[idx];
+    if (!form) return false;
+    if ([...form.querySelectorAll(":invalid")].some(el => el.offsetParent !== null)) return true;
+    return ['[role="alert"]','.error','.invalid-feedback','.wpcf7-not-valid-tip',
+      '.validation-error','.hs-error-msgs','.field-error','.form-error',
+      '[data-error]','.help-block','.alert-danger']
+      .some(sel => [...form.querySelectorAll(sel)].some(el => el.offsetParent !== null && el.innerText.trim().length > 0));
+  }, formIndex);
+}
+
+// ─────────────────────────────────────────────
+// Form modes: dry-run readiness checks and strict interception
+// ─────────────────────────────────────────────
+
+/**
+ * Look for a Form Submission trigger in each GTM container's published JS —
+ * the trigger compiles to the "__fsl" listener tag and the gtm.formSubmit event.
+ * @returns {Promise<{[id: string]: boolean|null}>} null when the container could not be fetched
+ */
+async function inspectGtmFormTriggers(context, gtmIds) {
+  const out = {};
+  for (const id of gtmIds || []) {
+    try {
+      const res = await context.request.get(`https://www.googletagmanager.com/gtm.js?id=${encodeURIComponent(id)}`, { timeout: 8000 });
+      const js = res.ok() ? await res.text() : null;
+      out[id] = js === null ? null : js.includes('"__fsl"') || js.includes("gtm.formSubmit");
+    } catch { out[id] = null; }
+  }
+  return out;
+}
+
+// Event listener types on the form, its submit button and the document (GTM's form
+// listener sits on the document), read through the DevTools protocol
+async function formListeners(page, formIndex) {
+  let cdp = null;
+  const out = { form: [], submit_button: [], document: [] };
+  try {
+    cdp = await page.context().newCDPSession(page);
+    const targets = {
+      form:          `document.querySelectorAll("form")[${formIndex}]`,
+      submit_button: `document.querySelectorAll("form")[${formIndex}]?.querySelector("button[type='submit'],input[type='submit'],button:not([type])")`,
+      document:      "document"
+    };
+    for (const [key, expression] of Object.entries(targets)) {
+      const { result } = await cdp.send("Runtime.evaluate", { expression });
+      if (!result?.objectId) continue;
+      const { listeners } = await cdp.send("DOMDebugger.getEventListeners", { objectId: result.objectId });
+      out[key] = uniq(listeners.map(l => l.type));
+    }
+  } catch {}
+  if (cdp) await cdp.detach().catch(() => null);
+  return out;
+}
+
+function describeReadiness(dry) {
+  const signals = [];
+  if (dry.gtm_form_trigger === true) signals.push("GTM container has a Form Submission trigger");
+  if (dry.form_start_fired)          signals.push("GA4 form_start fired while filling");
+  if (dry.listeners.form.includes("submit") || dry.listeners.document.includes("submit")) signals.push("submit listener attached");
+  return signals;
+}
+
+// Page-level route (takes precedence over the context route) that answers every
+// non-analytics request the submission makes: any non-GET request, and a GET
+// to the form's action (a method="get" form). Thank-you page redirects still load.
+function submissionInterceptor(formAction, intercepted) {
+  const actionPath = submissions.urlWithoutQuery(formAction);
+  return route => {
+    const req    = route.request();
+    const reqUrl = req.url();
+    if (isAnalyticsUrl(reqUrl) || !["document", "xhr", "fetch", "other"].includes(req.resourceType())) return route.fallback();
+    const isGetSubmit = !!actionPath && req.method() === "GET" && submissions.hasQuery(reqUrl) && submissions.urlWithoutQuery(reqUrl) === actionPath;
+    if (req.method() === "GET" && !isGetSubmit) return route.fallback();
+    intercepted.push({ method: req.method(), url: reqUrl, type: req.resourceType() });
+    return submissions.fulfillWithMock(route);
+  };
+}
+
+// Page-level route for submit mode: answers the form's (or embed's) submission requests
+// with the mock — including a GET to the action, which the context route lets through.
+function submissionMock(matches, intercepted) {
+  return route => {
+    const req = route.request();
+    if (!matches(req)) return route.fallback();
+    intercepted.push({ method: req.method(), url: req.url(), type: req.resourceType() });
+    return submissions.fulfillWithMock(route);
+  };
+}
+
+// Page-level route for live mode: lets the form's (or embed's) submission requests
+// through to the site or vendor, past the context route's POST mock. Everything else falls back to it.
+function submissionPassthrough(matches, delivered) {
+  return route => {
+    const req = route.request();
+    if (!matches(req)) return route.fallback();
+    delivered.push({ method: req.method(), url: req.url(), type: req.resourceType() });
+    return route.continue();
+  };
+}
+
+// Poll for non-generic GA4 events after a submission; ad/social conversions are collected too
+async function waitForConversionHits(beacons, fromIdx, waitMs) {
+  let newGa4 = [], meaningfulEvents = [];
+  const start = Date.now();
+  while (Date.now() - start < waitMs) {
+    await safeWait(400);
+    newGa4 = beacons.slice(fromIdx).filter(b => b.type === "GA4");
+    meaningfulEvents = newGa4.filter(b => !GENERIC_EVENTS.has((b.event_name || "").toLowerCase()));
+    if (meaningfulEvents.length > 0) break;
+  }
+  return { newGa4, meaningfulEvents, pixelHits: beacons.slice(fromIdx).filter(b => b.vendor && b.conversion) };
+}
+
+// PASS result for a form when a GA4 event (or failing that, an ad-platform conversion) fired; null otherwise
+function conversionPass(meaningfulEvents, pixelHits, newGa4) {
+  if (meaningfulEvents.length > 0) {
+    return { status: "PASS", ga4_events: uniq(meaningfulEvents.map(b => b.event_name)), event_params: describeEvents(meaningfulEvents), other_conversions: describePixels(pixelHits), evidence_urls: meaningfulEvents.slice(0,3).map(b => b.url) };
+  }
+  if (pixelHits.length > 0) {
+    return {
+      status: "PASS", match_tier: "other_pixel",
+      match_note: `No GA4 event — tracked only by ${uniq(pixelHits.map(b => b.vendor)).join(", ")}`,
+      ga4_events: [], event_params: [], other_conversions: describePixels(pixelHits),
+      ga4_events_seen: uniq(newGa4.map(b => b.event_name)), evidence_urls: pixelHits.slice(0, 3).map(b => b.url)
+    };
+  }
+  return null;
+}
+
+async function testFirstPartyForm(page, beacons, pageUrl, formMeta, evidence = null, pack = locales.getLocalePack("en"), settings = DEFAULT_SETTINGS, gtmFormTriggers = null) {
+  let routeHandler = null, watcher = null;
+  let formLocator = null, before = null;
+
+  // Attach screenshots + the form's DOM snippet when evidence capture wants this outcome
+  const finish = async (res) => {
+    if (formLocator && evidenceWanted(evidence, res.status)) {
+      res.evidence = before
+        ? saveEvidence(evidence, "form", before, await snapEvidence(page))
+        : saveEvidence(evidence, "form", await snapEvidence(page, formLocator), null);
+    }
+    return res;
+  };
+
+  try {
+    if (formMeta.isFrame) return { status: "NOT_TESTED", reason: "Form is inside a cross-origin iframe" };
+    formLocator = page.locator("form").nth(formMeta.index);
+    if (!(await formLocator.count())) return { status: "NOT_TESTED", reason: "Form not found in DOM" };
+    const botDetected = await safeEvaluate(page, () =>
+      !!document.querySelector("iframe[src*='recaptcha'],iframe[src*='turnstile'],.g-recaptcha,.h-captcha,[data-sitekey]")
+    );
+    if (botDetected) return finish({ status: "FAIL", reason: "Bot Protection (CAPTCHA/Turnstile)" });
+
+    const beforeBeaconIdx = beacons.length;
+    const values = testValuesFor(pack, settings.test_values);
+    // Dry runs stay on the first step — some multi-step plugins save partial entries on Next
+    const driven = await driveFormSteps(page, formLocator, formMeta.index, values, pack, settings.form_mode !== "dry_run");
+    const stepInfo = driven.steps ? { form_steps: driven.steps + 1 } : {};
+    if (driven.blocked) return finish({ status: "NOT_TESTED", reason: driven.blocked, ...stepInfo });
+    const btnLocator = driven.submit;
+    if (!btnLocator && settings.form_mode !== "dry_run") {
+      return finish({ status: "NOT_TESTED", reason: driven.steps ? `No visible submit button after ${driven.steps + 1} steps` : "No visible submit button found", ...stepInfo });
+    }
 
+    if (settings.form_mode === "dry_run") {
+      await safeWait(1000); // enhanced measurement sends form_start on the first interaction
+      const dry = {
+        form_start_fired: beacons.slice(beforeBeaconIdx).some(b => b.type === "GA4" && b.event_name === "form_start"),
+        gtm_form_trigger: gtmFormTriggers && Object.keys(gtmFormTriggers).length
+          ? (Object.values(gtmFormTriggers).some(v => v === true) ? true : Object.values(gtmFormTriggers).some(v => v === null) ? null : false)
+          : null,
+        listeners: await formListeners(page, formMeta.index)
+      };
+      dry.signals = describeReadiness(dry);
+      dry.ready = dry.signals.length > 0;
+      return finish({
+        status: "NOT_TESTED", form_mode: "dry_run", dry_run: dry,
+        reason: dry.ready
+          ? `Dry run — not submitted. Tracking looks ready: ${dry.signals.join("; ")}`
+          : "Dry run — not submitted. No form tracking signal found (no GTM form trigger, form_start or submit listener)",
+        ga4_events_seen: uniq(beacons.slice(beforeBeaconIdx).filter(b => b.type === "GA4").map(b => b.event_name))
+      });
+    }
+
+    const actionUrl   = formMeta.action ? new URL(formMeta.action, pageUrl).toString() : pageUrl;
+    const intercepted = [], delivered = [];
+    // Form mode, whether the submission reached the site, and anything the mock
+    // answered, on every result past this point
+    const finishSubmitted = res => finish({
+      ...res, ...stepInfo, form_mode: settings.form_mode, submission_delivered: delivered.length > 0,
+      ...(settings.form_mode !== "live" ? { intercepted_requests: intercepted } : {})
+    });
+
+    if (evidence) before = await snapEvidence(page, formLocator);
+    const beforeUrl   = page.url();
+    const beforeLines = await submissions.pageTextLines(page);
+    const fieldValues = await submissions.formFieldValues(formLocator);
+    const matches     = submissions.submissionMatcher({ actionUrl, pageUrl: beforeUrl, fieldValues, ignore: isAnalyticsUrl });
+    routeHandler = settings.form_mode === "live"      ? submissionPassthrough(matches, delivered)
+                 : settings.form_mode === "intercept" ? submissionInterceptor(actionUrl, intercepted)
+                 : submissionMock(matches, intercepted);
+    await page.route("**/*", routeHandler);
+    watcher = submissions.watchSubmissionRequests(page, matches);
+
+    const submittedAt = nowIso();
     let submitted = await btnLocator.click({ timeout: 2000, noWaitAfter: true }).then(() => true).catch(() => false);
     if (!submitted) {
       submitted = await safeEvaluate(page, idx => {
@@ -941,67 +2064,503 @@ async function testFirstPartyForm(page, beacons, pageUrl, formMeta) {
     }
 
     await safeWait(800);
-    if (await hasVisibleValidationErrors(page, formMeta.index))
-      return { status: "NOT_TESTED", reason: "Form validation blocked submission" };
-
-    let newGa4 = [], meaningfulEvents = [];
-    const submitStart = Date.now();
-    while (Date.now() - submitStart < FORM_SUBMIT_WAIT_MS) {
-      await safeWait(400);
-      const afterUrl  = page.url();
-      const urlChanged = afterUrl !== beforeUrl;
-      newGa4 = beacons.slice(beforeBeaconIdx).filter(b => b.type === "GA4");
-      meaningfulEvents = newGa4.filter(b => {
-        const en = (b.event_name || "").toLowerCase();
-        if (GENERIC_EVENTS.has(en)) return false;
-        if (en === "page_view" && urlChanged && /thank|success|confirm|sent/i.test(afterUrl)) return true;
-        return true;
-      });
-      if (meaningfulEvents.length > 0) break;
+    if (await hasVisibleValidationErrors(page, formMeta.index) && !watcher.requests.length)
+      return finishSubmitted({ status: "NOT_TESTED", reason: "Form validation blocked submission", submission_confirmed_by: null, submission_request: null });
+
+    const { newGa4, meaningfulEvents, pixelHits } = await waitForConversionHits(beacons, beforeBeaconIdx, settings.form_wait_ms);
+    watcher.stop();
+    const confirmed = await submissions.confirmSubmission(page, watcher, { beforeUrl, beforeLines, pack });
+    const confirmation = { submission_confirmed_by: confirmed.by, submission_request: confirmed.request, submitted_at: submittedAt };
+    const seenEvents = uniq(newGa4.map(b => b.event_name));
+
+    const passed = conversionPass(meaningfulEvents, pixelHits, newGa4);
+    if (passed) return finishSubmitted({ ...passed, ...confirmation });
+
+    // Only the check's own mock answered — the site never saw the submission
+    if (confirmed.mocked) {
+      return finishSubmitted({ status: "NOT_TESTED", reason: `Submission not confirmed — ${confirmed.request.method} ${confirmed.request.url} was answered by the check's mock, not the site (form_mode "live" sends it for real)`, ga4_events_seen: seenEvents, ...confirmation });
     }
-    if (meaningfulEvents.length > 0) {
-      return { status: "PASS", ga4_events: uniq(meaningfulEvents.map(b => b.event_name)), evidence_urls: meaningfulEvents.slice(0,3).map(b => b.url) };
+    if (confirmed.rejected && !confirmed.by) {
+      return finishSubmitted({ status: "NOT_TESTED", reason: `Submission rejected by the server (HTTP ${confirmed.request.status})`, ga4_events_seen: seenEvents, ...confirmation });
     }
-
-    const successVisible = await safeEvaluate(page, () =>
-      /thank|thanks|sent|success|confirm|received|we.ll be in touch|we will be in touch|message received/i.test(document.body.innerText)
-    );
-    if (successVisible || /thank|success|confirm|sent/i.test(page.url())) {
-      return { status: "FAIL", reason: "Form submitted (success detected) but no GA4 event fired", ga4_events_seen: uniq(newGa4.map(b => b.event_name)) };
+    if (confirmed.by) {
+      const how = { network: `${confirmed.request.method} ${confirmed.request.url} returned ${confirmed.request.status}`, url: "thank-you URL", dom: "success message appeared" }[confirmed.by];
+      return finishSubmitted({ status: "FAIL", reason: `Form submitted (confirmed by ${how}) but no GA4 event fired`, ga4_events_seen: seenEvents, ...confirmation });
     }
-    return { status: "NOT_TESTED", reason: "Submission unconfirmed — no success message, URL change, or GA4 event", ga4_events_seen: uniq(newGa4.map(b => b.event_name)) };
+    return finishSubmitted({ status: "NOT_TESTED", reason: "Submission unconfirmed — no submission request, thank-you URL, new success message or GA4 event", ga4_events_seen: seenEvents, ...confirmation });
   } catch (e) {
     return { status: "NOT_TESTED", reason: `Unexpected error: ${e.message}` };
+  } finally {
+    if (watcher) watcher.stop();
+    if (routeHandler) await page.unroute("**/*", routeHandler).catch(() => null);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Third-party embeds (HubSpot, Typeform, Jotform, Calendly)
+// Driven inside the vendor's frame by health.embeds.js; the vendor's own
+// "submitted" message confirms the submission, then a GA4 event must follow.
+// Only live mode lets the embed's requests through to the vendor; otherwise they
+// get the mock, so the vendor's message (if any) is not confirmation and cannot FAIL.
+// ─────────────────────────────────────────────
+async function testThirdPartyForm(page, beacons, embed, evidence = null, pack = locales.getLocalePack("en"), settings = DEFAULT_SETTINGS) {
+  const { adapter } = embed;
+  const base = { vendor: adapter.id, vendor_name: adapter.name, frame_url: embed.form_index === null ? embed.frame.url() : null };
+  if (settings.form_mode === "dry_run") {
+    return { ...base, status: "NOT_TESTED", form_mode: "dry_run", reason: `Dry run — ${adapter.name} embed not submitted` };
+  }
+
+  await embeds.watchEmbedMessages(page);
+  const beforeMsgIdx    = await embeds.messageCount(page);
+  const beforeBeaconIdx = beacons.length;
+  const before          = evidence ? await snapEvidence(page) : null;
+  const values          = testValuesFor(pack, settings.test_values);
+  const intercepted = [], delivered = [];
+  const live = settings.form_mode === "live";
+  const matches = embeds.embedSubmissionMatcher(embed);
+  const routeHandler = live ? submissionPassthrough(matches, delivered)
+    : settings.form_mode === "intercept" ? submissionInterceptor(null, intercepted)
+    : submissionMock(matches, intercepted);
+  await page.route("**/*", routeHandler);
+
+  // driveEmbed reports its own errors, so the route is always removed below
+  const drive = await embeds.driveEmbed(embed, {
+    fill:   async el => fillFormFieldSmart(el, await detectFieldType(el), values),
+    isDone: async () => !!(await embeds.findSuccessMessage(page, adapter, beforeMsgIdx))
+  });
+  if (drive.submitted) base.submitted_at = nowIso();
+
+  // The vendor signal can lag the click — wait for it as long as for the GA4 event
+  let signal = null;
+  const start = Date.now();
+  while (drive.submitted && !signal && Date.now() - start < settings.form_wait_ms) {
+    signal = await embeds.findSuccessMessage(page, adapter, beforeMsgIdx);
+    if (!signal) await safeWait(400);
   }
+  const { newGa4, meaningfulEvents, pixelHits } = signal
+    ? await waitForConversionHits(beacons, beforeBeaconIdx, settings.form_wait_ms)
+    : { newGa4: beacons.slice(beforeBeaconIdx).filter(b => b.type === "GA4"), meaningfulEvents: [], pixelHits: [] };
+  await page.unroute("**/*", routeHandler).catch(() => null);
+
+  let res = signal ? conversionPass(meaningfulEvents, pixelHits, newGa4) : null;
+  if (res) res = { ...base, ...res, success_signal: adapter.signal };
+  else if (!live && drive.submitted) {
+    res = {
+      ...base, status: "NOT_TESTED",
+      reason: `Not confirmed — form_mode ${settings.form_mode} answers the ${adapter.name} submission with a mock (form_mode "live" sends it to ${adapter.name} for real)`,
+      ga4_events_seen: uniq(newGa4.map(b => b.event_name))
+    };
+  } else if (signal) {
+    res = {
+      ...base, status: "FAIL", success_signal: adapter.signal, fix: adapter.fix,
+      reason: `${adapter.name} reported the submission (${adapter.signal}) but no GA4 event followed`,
+      ga4_events_seen: uniq(newGa4.map(b => b.event_name))
+    };
+  } else {
+    res = {
+      ...base, status: "NOT_TESTED",
+      reason: drive.submitted ? `Submission unconfirmed — ${adapter.name} did not send ${adapter.signal}` : drive.reason,
+      ga4_events_seen: uniq(newGa4.map(b => b.event_name))
+    };
+  }
+  if (evidenceWanted(evidence, res.status)) res.evidence = saveEvidence(evidence, "form", before, await snapEvidence(page));
+  return {
+    // In live mode, the vendor's signal means its servers took the submission
+    ...res, form_mode: settings.form_mode, submission_delivered: delivered.length > 0 || (live && !!signal),
+    ...(live ? {} : { intercepted_requests: intercepted })
+  };
 }
 
-async function testAllFormsOnPage(page, beacons, pageUrl) {
-  const discovery = await discoverAllFormsOnPage(page, pageUrl);
+async function testAllFormsOnPage(page, beacons, pageUrl, evidence = null, pack = locales.getLocalePack("en"), settings = DEFAULT_SETTINGS, gtmFormTriggers = null) {
+  const discovery = await discoverAllFormsOnPage(page, pageUrl, pack);
   const result = { page_url: pageUrl, total_lead_forms_found: discovery.totalLeadForms, first_party_forms: [], third_party_forms: [] };
   for (const formMeta of discovery.firstPartyForms) {
-    const res = await testFirstPartyForm(page, beacons, pageUrl, formMeta);
+    const res = await testFirstPartyForm(page, beacons, pageUrl, formMeta, evidence, pack, settings, gtmFormTriggers);
     result.first_party_forms.push(res);
     if (res.status === "PASS") break;
   }
+  for (const embed of discovery.embeds) {
+    result.third_party_forms.push(await testThirdPartyForm(page, beacons, embed, evidence, pack, settings));
+  }
   return result;
 }
 
+// ─────────────────────────────────────────────
+// Expected-configuration assertions
+// `expected` describes what the client's setup should be; each key becomes a
+// PASS / FAIL / NOT_TESTED assertion. Mismatches are added to failure_detail,
+// so a site with the wrong container or event names can never grade T1.
+//   gtm_id       "GTM-XXXX" or [..] — every one must be installed, and no other
+//   ga4_id       "G-XXXX"   or [..] — every one must be seen (source or beacons), and no other
+//   phone_event  "click_call" or [..] — tel: clicks must fire one of these
+//   email_event  / form_event — same for mailto: clicks and form submissions
+//   phones       ["0161 496 0000", ..] — must appear on the site (link or plain text)
+//   emails       ["hello@acme.com", ..] — same for email addresses
+// ─────────────────────────────────────────────
+const EXPECTED_KEYS = {
+  gtm_id: "gtm_ids", ga4_id: "ga4_ids",
+  phone_event: "phone_events", email_event: "email_events", form_event: "form_events",
+  phones: "phone", emails: "email"
+};
+
+function expectedList(expected, key) {
+  const value = expected[key] ?? expected[EXPECTED_KEYS[key]];
+  if (value === undefined || value === null || value === "") return null;
+  return uniq((Array.isArray(value) ? value : [value]).map(v => String(v).trim()));
+}
+
+// Last 10 digits — "+44 161 496 0000" and "0161 496 0000" are the same number
+function phoneKey(raw) {
+  return String(raw || "").replace(/\D/g, "").slice(-10);
+}
+
+// Every expected ID must be present and nothing else installed — a second container
+// or property double counts or sends conversions somewhere the client can't see
+function assertIdsPresent(name, expectedIds, foundIds) {
+  const wanted     = new Set(expectedIds.map(id => id.toUpperCase()));
+  const found      = uniq(foundIds.map(id => id.toUpperCase()));
+  const missing    = expectedIds.filter(id => !found.includes(id.toUpperCase()));
+  const unexpected = found.filter(id => !wanted.has(id));
+  const problems   = [
+    ...(missing.length ? [`Expected ${missing.join(", ")} but found ${found.join(", ") || "none"}`] : []),
+    ...(unexpected.length ? [`Unexpected ${unexpected.join(", ")} also installed`] : [])
+  ];
+  return {
+    name, expected: expectedIds, actual: found, unexpected,
+    status: problems.length ? "FAIL" : "PASS",
+    message: problems.length ? problems.join("; ") : `${expectedIds.join(", ")} found`
+  };
+}
+
+function assertEventNames(name, label, expectedNames, items) {
+  const fired = items.filter(i => i.status === "PASS");
+  const actual = uniq(fired.flatMap(i => i.ga4_events || []));
+  if (fired.length === 0) {
+    return { name, expected: expectedNames, actual, status: "NOT_TESTED", message: `No ${label} fired a GA4 event, so the event name could not be checked` };
+  }
+  const wanted = new Set(expectedNames.map(n => n.toLowerCase()));
+  const wrong  = fired.filter(i => !(i.ga4_events || []).some(e => wanted.has(String(e).toLowerCase())));
+  return {
+    name, expected: expectedNames, actual,
+    status: wrong.length ? "FAIL" : "PASS",
+    message: wrong.length
+      ? `${wrong.length} of ${fired.length} ${label} fired ${uniq(wrong.flatMap(i => i.ga4_events || [])).join(", ")} instead of ${expectedNames.join(" / ")}`
+      : `Every ${label.replace(/s$/, "")} that fired used ${expectedNames.join(" / ")}`
+  };
+}
+
+function assertContactsPresent(name, label, expectedValues, foundValues, keyFn) {
+  const found   = new Set(foundValues.map(keyFn).filter(Boolean));
+  const missing = expectedValues.filter(v => !found.has(keyFn(v)));
+  return {
+    name, expected: expectedValues, actual: uniq(foundValues),
+    status: missing.length ? "FAIL" : "PASS",
+    message: missing.length
+      ? `${label} not found on the visited pages: ${missing.join(", ")}`
+      : `All expected ${label.toLowerCase()} found`
+  };
+}
+
+/**
+ * Check a result against the client's expected configuration.
+ * @param {object} expected
+ * @param {object} results - the (partly) built result
+ * @param {{phoneItems: object[], emailItems: object[], formResults: object[]}} tested
+ * @returns {{passed: number, failed: number, not_tested: number, ignored_keys: string[], items: object[]}}
+ */
+function checkExpectations(expected, results, { phoneItems = [], emailItems = [], formResults = [] } = {}) {
+  const items = [];
+  const tags  = results.tracking?.tags_found || {};
+
+  const gtmIds = expectedList(expected, "gtm_id");
+  if (gtmIds) items.push(assertIdsPresent("gtm_id", gtmIds, tags.gtm || []));
+
+  const ga4Ids = expectedList(expected, "ga4_id");
+  if (ga4Ids) items.push(assertIdsPresent("ga4_id", ga4Ids, [...(tags.ga4 || []), ...(tags.unlinked_ga4 || [])]));
+
+  const phoneEvents = expectedList(expected, "phone_event");
+  if (phoneEvents) items.push(assertEventNames("phone_event", "phone links", phoneEvents, phoneItems));
+
+  const emailEvents = expectedList(expected, "email_event");
+  if (emailEvents) items.push(assertEventNames("email_event", "email links", emailEvents, emailItems));
+
+  const formEvents = expectedList(expected, "form_event");
+  if (formEvents) items.push(assertEventNames("form_event", "forms", formEvents, formResults));
+
+  const phones = expectedList(expected, "phones");
+  if (phones) {
+    const found = [
+      ...phoneItems.map(i => String(i.href || "").replace(/^tel:/i, "")),
+      ...(results.ctas?.phones?.not_clickable_items || []).map(i => i.raw)
+    ];
+    items.push(assertContactsPresent("phones", "Phone numbers", phones, found, phoneKey));
+  }
+
+  const emails = expectedList(expected, "emails");
+  if (emails) {
+    const found = [
+      ...emailItems.map(i => String(i.href || "").replace(/^mailto:/i, "").split("?")[0]),
+      ...(results.ctas?.emails?.not_clickable_items || []).map(i => i.raw)
+    ];
+    items.push(assertContactsPresent("emails", "Email addresses", emails, found, v => String(v || "").trim().toLowerCase()));
+  }
+
+  // required_params is applied by requiredParamsFor(), not as an assertion
+  const known = new Set([...Object.keys(EXPECTED_KEYS), ...Object.values(EXPECTED_KEYS), "required_params"]);
+  return {
+    passed:       items.filter(i => i.status === "PASS").length,
+    failed:       items.filter(i => i.status === "FAIL").length,
+    not_tested:   items.filter(i => i.status === "NOT_TESTED").length,
+    ignored_keys: Object.keys(expected).filter(k => !known.has(k)),
+    items
+  };
+}
+
+const ASSERTION_FIX = {
+  gtm_id:      "The GTM containers on the site are not the ones on record. Install the expected container snippet and remove any other (or update the record if the client has moved containers).",
+  ga4_id:      "The GA4 measurement IDs seen are not the ones on record. Check the GA4 Configuration / Google tag in GTM points at the right property and remove tags sending to any other.",
+  phone_event: "Phone clicks fire a different event name than expected. Rename the GA4 Event tag (or update the expected name) so conversions land on the right key event.",
+  email_event: "Email clicks fire a different event name than expected. Rename the GA4 Event tag (or update the expected name) so conversions land on the right key event.",
+  form_event:  "Form submissions fire a different event name than expected. Rename the GA4 Event tag (or update the expected name) so conversions land on the right key event.",
+  phones:      "An expected phone number is missing from the checked pages — the site may show an old number, or it is only on pages we did not visit.",
+  emails:      "An expected email address is missing from the checked pages — the site may show an old address, or it is only on pages we did not visit."
+};
+
+// One T2 failure_detail entry covering every failed assertion
+function assertionFailureDetail(assertions) {
+  const failed = assertions.items.filter(i => i.status === "FAIL");
+  if (failed.length === 0) return null;
+  return {
+    category: "Expected Configuration", grade_impact: "T2",
+    summary: `${failed.length} expected-configuration check(s) failed: ${failed.map(i => i.name).join(", ")}.`,
+    items: failed.map(i => ({ raw: i.name, status: "FAIL", reason: i.message, fix: ASSERTION_FIX[i.name] }))
+  };
+}
+
+// ─────────────────────────────────────────────
+// Required event parameters
+// A passing CTA/form is flagged when none of its matching GA4 events carries a
+// required parameter (link_url on a click and form_id on a form by default, or
+// HEALTH_REQUIRED_PARAMS); expected.required_params overrides them per check.
+// ─────────────────────────────────────────────
+function requiredParamsFor(expected) {
+  const override = expected?.required_params;
+  if (!override || typeof override !== "object") return REQUIRED_EVENT_PARAMS;
+  const out = { ...REQUIRED_EVENT_PARAMS };
+  for (const type of Object.keys(out)) {
+    if (override[type] !== undefined) out[type] = uniq([].concat(override[type]).map(String));
+  }
+  return out;
+}
+
+// Sets item.missing_params on a passing item and returns it
+function checkRequiredParams(item, required) {
+  if (item.status !== "PASS" || required.length === 0 || !item.event_params?.length) return [];
+  const carried = new Set(item.event_params.flatMap(e => Object.keys(e.params || {})));
+  item.missing_params = required.filter(p => !carried.has(p));
+  return item.missing_params;
+}
+
+const PARAM_FIX = {
+  link_url: "add an event parameter link_url = {{Click URL}}",
+  form_id:  "add an event parameter form_id = {{Form ID}} (or a fixed name per form)"
+};
+
 // ─────────────────────────────────────────────
 // MAIN
 // ─────────────────────────────────────────────
-async function trackingHealthCheckSiteInternal(url) {
+function isAnalyticsUrl(reqUrl) {
+  const lower = reqUrl.toLowerCase();
+  return lower.includes("google-analytics") || lower.includes("googletagmanager") || lower.includes("/collect") || !!pixelVendorFor(reqUrl);
+}
+
+// ─────────────────────────────────────────────
+// Test leads
+// Each check gets a run token that is written into the email (plus-addressed)
+// and message of every form it submits, so test enquiries can be found in an
+// inbox or CRM. The lead webhook hears about each submission as it happens —
+// only those that reached the site (submission_delivered, form_mode "live"); mocked
+// and intercepted submissions never leave the browser, so there is no lead to find.
+// ─────────────────────────────────────────────
+function createLeadToken() {
+  return `hc-${crypto.randomBytes(5).toString("hex")}`;
+}
+
+// test-automation@example.com → test-automation+hc-1a2b3c4d5e@example.com
+function tagTestValues(values, token) {
+  const at = values.email.lastIndexOf("@");
+  const email = at > 0
+    ? `${values.email.slice(0, at)}${values.email.slice(0, at).includes("+") ? "-" : "+"}${token}${values.email.slice(at)}`
+    : values.email;
+  return { email, message: `${values.message} [${token}]` };
+}
+
+/**
+ * Tell the lead webhook about one submission. One attempt, never throws.
+ * @returns {Promise<{ok: boolean, status_code: number|null, error: string|null}>}
+ */
+async function notifyTestLead(webhookUrl, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = { "X-Health-Event": "test_lead_submitted", "X-Health-Delivery": crypto.randomUUID(), "X-Health-Timestamp": timestamp };
+  if (CALLBACK_SECRET) headers["X-Health-Signature"] = signCallback(body, timestamp);
+  try {
+    const status = await postJson(webhookUrl, body, headers);
+    const ok = status >= 200 && status < 300;
+    return { ok, status_code: status, error: ok ? null : `HTTP ${status}` };
+  } catch (e) {
+    logInfo(`❌ Lead webhook failed: ${e.message}`, { webhookUrl });
+    return { ok: false, status_code: null, error: e.message };
+  }
+}
+
+/**
+ * Record a delivered submission under results.test_lead and notify the webhook.
+ */
+async function recordTestLead(results, form, pageUrl, client, webhookUrl) {
+  const submission = {
+    page_url: pageUrl, submitted_at: form.submitted_at,
+    form: {
+      kind: form.vendor ? "embed" : "form", vendor: form.vendor || null,
+      frame_url: form.frame_url || null, request_url: form.submission_request?.url || null, status: form.status
+    }
+  };
+  submission.webhook = webhookUrl ? await notifyTestLead(webhookUrl, {
+    event: "test_lead_submitted", token: results.test_lead.token, email: results.test_lead.email,
+    site_url: results.url, client, ...submission
+  }) : null;
+  return submission;
+}
+
+// ─────────────────────────────────────────────
+// Browser context: request interception + beacon capture
+// Non-analytics POSTs are mocked (recorded in interceptedForms) so nothing reaches
+// the site — only in live mode is a form's own submission request let through, by a
+// page-level route (submissionPassthrough); every analytics/pixel request is parsed into beacons.
+// ─────────────────────────────────────────────
+async function openCheckPage(browser, beacons, interceptedForms = [], pack = locales.getLocalePack("en")) {
+  const context = await browser.newContext({
+    viewport: { width: 1920, height: 1080 },
+    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
+    locale: pack.browser_locale,
+    timezoneId: pack.timezone
+  });
+  let page;
+  try {
+    page = await context.newPage();
+  } catch (e) {
+    await context.close().catch(() => null);
+    throw e;
+  }
+
+  // Route interception
+  await context.route("**/*", route => {
+    const req    = route.request();
+    const type   = req.resourceType();
+    const reqUrl = req.url();
+    const method = req.method();
+    if (["image","media","font"].includes(type)) return route.abort();
+    try {
+      const host = new URL(reqUrl).hostname;
+      if (SOCIAL_DOMAINS.some(d => host.includes(d)) && !PIXEL_SCRIPT_HOSTS.some(h => host.endsWith(h))) return route.abort();
+    } catch {}
+    if (method === "POST" && !isAnalyticsUrl(reqUrl)) {
+      interceptedForms.push({ url: reqUrl, data: req.postData() });
+      return submissions.fulfillWithMock(route);
+    }
+    route.continue();
+  });
+
+  // Beacon capture
+  page.on("request", req => {
+    for (const b of classifyAndParseBeacons(req.url(), req.postData())) {
+      beacons.push(b); logDebug("📡 Beacon", { type: b.type, event: b.event_name });
+    }
+  });
+  page.on("response", async res => {
+    try {
+      const req = res.request();
+      if (req.method() === "POST") {
+        for (const b of classifyAndParseBeacons(req.url(), req.postData())) {
+          if (!beacons.find(x => x.url === b.url && x.timestamp === b.timestamp && x.hit_index === b.hit_index)) beacons.push(b);
+        }
+      }
+    } catch {}
+  });
+
+  return { context, page };
+}
+
+// ─────────────────────────────────────────────
+// Grading
+// FAIL  — GTM present but every CTA/form that was actually tested returned no GA4 event
+//         (or no CTAs found at all on a site that clearly has contact info)
+// T2    — GTM present, at least one CTA passes, but partial coverage / duplicate firing /
+//         non-clickable contacts mean tracking data is incomplete or inflated. Any T2
+//         finding (a failed expected-configuration check, Consent Mode, …) caps the
+//         grade at T2 even when no CTAs were found
+// T3    — GTM present, CTAs found, but CAPTCHA or untestable setup meant we couldn't
+//         confirm tracking — human must verify manually
+// T1    — GTM present, all testable CTAs passed on every page, no issues detected
+// ─────────────────────────────────────────────
+function gradeResult(failureDetail, { totalFound, hasNonClickable, anyPassed }) {
+  const hasFail = failureDetail.some(f => f.grade_impact === "FAIL");
+  const hasT2   = failureDetail.some(f => f.grade_impact === "T2");
+  const hasT3   = failureDetail.some(f => f.grade_impact === "T3");
+
+  if (hasFail && !anyPassed) {
+    // Tags exist but nothing at all converted — complete tracking failure
+    return { grade: "FAIL", overall_status: "NO_CONVERSIONS_TRACKED",
+      why: "GTM is installed but no conversion events fired for any tested CTA or form. See failure_detail for fixes." };
+  }
+  if (hasT2 || hasFail) {
+    // At least one thing works (or nothing could be tested) but there are real issues
+    const t2cats = failureDetail.filter(f => f.grade_impact === "T2" || f.grade_impact === "FAIL").map(f => f.category);
+    const prefix = totalFound === 0 && !hasNonClickable
+      ? "No actionable CTAs (phone links, email links, or forms) were found on any visited page, and there are issues"
+      : "Tracking is partially working but has issues";
+    return { grade: "T2", overall_status: "TRACKING_ISSUES_FOUND", why: `${prefix}: ${t2cats.join(", ")}. See failure_detail for fixes.` };
+  }
+  if (totalFound === 0 && !hasNonClickable) {
+    // No CTAs of any kind found — can't grade tracking
+    return { grade: "T3", overall_status: "NOT_TESTED",
+      why: "No actionable CTAs (phone links, email links, or forms) were found on any visited page." };
+  }
+  if (hasT3) {
+    // Only untestable items — could be fine, could be broken, needs human eyes
+    return { grade: "T3", overall_status: "NOT_TESTED",
+      why: `CTAs found but could not be tested automatically (${failureDetail.map(f => f.category).join(", ")}). Manual verification required.` };
+  }
+  // Everything tested passed, no issues
+  return { grade: "T1", overall_status: "PASS",
+    why: "All detected conversion CTAs and forms are firing GA4 events correctly on every tested page." };
+}
+
+async function trackingHealthCheckSiteInternal(url, { evidence: evidenceOptions = null, expected = null, locale = null, options = null, client = null } = {}) {
   const targetUrl = normaliseUrl(url);
+  const { settings, error: optionsError } = normaliseCheckOptions(options);
+  if (optionsError) throw new Error(optionsError);
+  // Explicit pages may be paths — resolve them against the site
+  settings.pages = settings.pages.map(p => { try { return new URL(p, targetUrl).toString(); } catch { return null; } }).filter(Boolean);
+  const evidence  = createEvidence(evidenceOptions);
   const results = {
     ok: true, script_version: SCRIPT_VERSION, url: targetUrl, timestamp: nowIso(),
     grade: null, overall_status: null, why: null,
     category_scores: {}, failure_detail: [], needs_improvement: [],
-    pages_visited: [], cookie_consent: {},
+    options: settings, pages_visited: [], locale: null, cookie_consent: {}, consent_mode: null, consent_reject: null,
+    test_lead: { token: createLeadToken(), email: null, submissions: [] },
     tracking: { tags_found: { gtm: [], ga4: [] } },
     ctas: {
       phones: { found: 0, not_clickable: 0, tested: 0, passed: 0, failed: 0, items: [], not_clickable_items: [] },
       emails: { found: 0, not_clickable: 0, tested: 0, passed: 0, failed: 0, items: [], not_clickable_items: [] }
     },
-    forms: { total_pages_with_forms: 0, pages: [] }
+    forms: { total_pages_with_forms: 0, pages: [] },
+    ...(evidence ? {
+      evidence: {
+        run_id: evidence.run_id, mode: evidence.mode,
+        trace: evidence.trace ? evidenceUrl(evidence, "trace.zip") : null
+      }
+    } : {})
   };
 
   const beacons              = [];
@@ -1013,8 +2572,8 @@ async function trackingHealthCheckSiteInternal(url) {
   const visitedUrls          = new Set();
   const phoneItems           = [];
   const emailItems           = [];
-  const phoneDone            = { value: false }; // flips true after first phone test fires
-  const emailDone            = { value: false }; // flips true after first email test fires
+  const phoneDone            = { value: false }; // flips true once max_phone_tests links were tested
+  const emailDone            = { value: false }; // flips true once max_email_tests links were tested
 
   let context = null, page = null;
 
@@ -1022,63 +2581,47 @@ async function trackingHealthCheckSiteInternal(url) {
     logInfo(`🔍 [${SCRIPT_VERSION}] Starting check`, { url: targetUrl });
     const browser = await getBrowser();
 
-    context = await browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
-      locale: "en-GB",
-      timezoneId: "Europe/London"
-    });
-    page = await context.newPage();
-
-    // Route interception
-    await context.route("**/*", route => {
-      const req    = route.request();
-      const type   = req.resourceType();
-      const reqUrl = req.url();
-      const method = req.method();
-      if (["image","media","font"].includes(type)) return route.abort();
-      try { if (SOCIAL_DOMAINS.some(d => new URL(reqUrl).hostname.includes(d))) return route.abort(); } catch {}
-      const lower      = reqUrl.toLowerCase();
-      const isAnalytics = lower.includes("google-analytics") || lower.includes("googletagmanager") || lower.includes("/collect");
-      if (method === "POST" && !isAnalytics) {
-        interceptedForms.push({ url: reqUrl, data: req.postData() });
-        return route.fulfill({ status: 200, contentType: "application/json", body: JSON.stringify({ success: true, message: "mocked" }) });
-      }
-      route.continue();
-    });
-
-    // Beacon capture
-    page.on("request", req => {
-      const b = classifyAndParseBeacon(req.url(), req.postData());
-      if (b) { beacons.push(b); logDebug("📡 Beacon", { type: b.type, event: b.event_name }); }
-    });
-    page.on("response", async res => {
-      try {
-        const req = res.request();
-        if (req.method() === "POST") {
-          const b = classifyAndParseBeacon(req.url(), req.postData());
-          if (b && !beacons.find(x => x.url === b.url && x.timestamp === b.timestamp)) beacons.push(b);
-        }
-      } catch {}
-    });
+    // A requested locale also sets the browser's Accept-Language / timezone; otherwise
+    // the pack is picked from <html lang> once the homepage has loaded
+    let pack = locales.getLocalePack(locales.normaliseLocale(locale) || "en");
+    ({ context, page } = await openCheckPage(browser, beacons, interceptedForms, pack));
+    if (evidence?.trace) await context.tracing.start({ screenshots: true, snapshots: true }).catch(() => null);
 
     // ── Load homepage ──
-    const gotoResult = await safeGoto(page, targetUrl);
+    const gotoResult = await safeGoto(page, targetUrl, settings.nav_timeout_ms);
     if (!gotoResult.ok) {
       logInfo(`⚠️ Homepage failed to load: ${gotoResult.error}`);
     }
     visitedUrls.add(page.url());
     results.pages_visited.push(page.url());
 
+    const pageLang = await safeEvaluate(page, () => document.documentElement.lang || null);
+    results.locale = locales.resolveLocale(locale, pageLang);
+    pack = locales.getLocalePack(results.locale.code);
+    // The run token goes into the email and message of every form this check submits
+    settings.test_values = { ...settings.test_values, ...tagTestValues(testValuesFor(pack, settings.test_values), results.test_lead.token) };
+    results.test_lead.email = settings.test_values.email;
+    results.options = { ...settings, test_values: testValuesFor(pack, settings.test_values) };
+    logDebug("🌐 Locale", results.locale);
+
     await simulateHumanBrowsing(page);
 
     // FIX 5+6: Accept consent THEN actively poll for GTM to initialise
-    results.cookie_consent = await handleCookieConsent(page);
-    await waitForGtmInit(page, beacons, POST_CONSENT_MAX_WAIT_MS);
+    const consentBefore = evidence ? await snapEvidence(page) : null;
+    const consentIdx = beacons.length;
+    results.cookie_consent = await handleCookieConsent(page, pack);
+    if (evidence && (evidence.mode === "all" || !results.cookie_consent.accepted)) {
+      // No banner accepted is the case worth proving — was there really none?
+      await safeWait(500);
+      results.cookie_consent.evidence = saveEvidence(evidence, "consent", consentBefore, await snapEvidence(page));
+    }
+    await waitForGtmInit(page, beacons, settings.consent_wait_ms);
+    results.consent_mode = await auditConsentMode(page, beacons, consentIdx, results.cookie_consent.accepted);
 
     // Detect tracking setup AFTER GTM has had time to initialise post-consent
     let tracking = await detectTrackingSetup(page, beacons);
     results.tracking = tracking;
+    tracking.pixels = summarisePixels(beacons);
 
     if (!tracking.has_gtm) {
       results.grade          = "FAIL";
@@ -1090,21 +2633,33 @@ async function trackingHealthCheckSiteInternal(url) {
         fix: "Install a Google Tag Manager container. Add the GTM <head> snippet and <body> noscript snippet to every page, then republish."
       }];
       results.needs_improvement = ["Install Google Tag Manager — no container detected."];
+      if (expected) {
+        results.assertions = checkExpectations(expected, results);
+        const detail = assertionFailureDetail(results.assertions);
+        if (detail) { results.failure_detail.push(detail); results.needs_improvement.push(detail.summary); }
+      }
       logInfo(`╔══════════════════════════════════════════════╗`);
       logInfo(`  GRADE : ❌ FAIL — NO GTM/GA4 DETECTED`);
       logInfo(`╚══════════════════════════════════════════════╝`);
       return results;
     }
 
-    // ── Discover and visit pages ──
-    const discovered   = await discoverCandidatePages(page, targetUrl);
-    const pagesToVisit = [targetUrl, ...discovered].slice(0, MAX_PAGES_TO_VISIT);
+    // Dry-run forms are judged partly on the container having a Form Submission trigger
+    const gtmFormTriggers = settings.form_mode === "dry_run" && !settings.skip_forms
+      ? await inspectGtmFormTriggers(context, tracking.tags_found.gtm)
+      : null;
+    if (gtmFormTriggers) tracking.gtm_form_triggers = gtmFormTriggers;
+
+    // ── Discover and visit pages ── (options.pages replaces discovery)
+    const pagesToVisit = settings.pages.length
+      ? [targetUrl, ...settings.pages]
+      : [targetUrl, ...await discoverCandidatePages(page, targetUrl, pack, settings.max_pages)].slice(0, settings.max_pages);
 
     for (let i = 0; i < pagesToVisit.length; i++) {
       const pageUrl = pagesToVisit[i];
 
       if (i > 0) {
-        const navResult = await safeGoto(page, pageUrl);
+        const navResult = await safeGoto(page, pageUrl, settings.nav_timeout_ms);
         if (!navResult.ok) { logDebug(`⚠️ Skipping page (nav failed): ${pageUrl}`); continue; }
         const finalUrl = page.url();
         if (visitedUrls.has(finalUrl)) { logDebug(`Skipping duplicate: ${finalUrl}`); continue; }
@@ -1112,15 +2667,15 @@ async function trackingHealthCheckSiteInternal(url) {
         results.pages_visited.push(finalUrl);
 
         // FIX 6: consent + GTM poll on every page navigation too
-        await handleCookieConsent(page);
-        await waitForGtmInit(page, beacons, POST_CONSENT_MAX_WAIT_MS / 2); // shorter on subsequent pages — consent already stored
+        await handleCookieConsent(page, pack);
+        await waitForGtmInit(page, beacons, settings.consent_wait_ms / 2); // shorter on subsequent pages — consent already stored
       }
 
       const { nonClickablePhones, nonClickableEmails } = await testCTAsOnPage(
         page, beacons, page.url(),
         uniquePhones, uniqueEmails,
         phoneItems, emailItems,
-        phoneDone, emailDone
+        phoneDone, emailDone, evidence, settings
       );
 
       // Non-clickable phones
@@ -1148,12 +2703,18 @@ async function trackingHealthCheckSiteInternal(url) {
       }
 
       // Forms
-      const formRes = await testAllFormsOnPage(page, beacons, page.url());
-      if (formRes.total_lead_forms_found > 0) results.forms.total_pages_with_forms++;
-      results.forms.pages.push(formRes);
+      if (!settings.skip_forms) {
+        const formRes = await testAllFormsOnPage(page, beacons, page.url(), evidence, pack, settings, gtmFormTriggers);
+        if (formRes.total_lead_forms_found > 0) results.forms.total_pages_with_forms++;
+        for (const form of [...formRes.first_party_forms, ...formRes.third_party_forms].filter(f => f.submitted_at && f.submission_delivered)) {
+          results.test_lead.submissions.push(await recordTestLead(results, form, page.url(), client, settings.lead_webhook));
+        }
+        results.forms.pages.push(formRes);
+      }
     }
 
     // ── Commit counts ──
+    tracking.pixels = summarisePixels(beacons);
     results.ctas.phones.items  = phoneItems;
     results.ctas.emails.items  = emailItems;
     results.ctas.phones.found  = uniquePhones.size;
@@ -1169,6 +2730,16 @@ async function trackingHealthCheckSiteInternal(url) {
     const formsPassed    = allFormResults.filter(f => f.status === "PASS").length;
     const formsFound     = allFormResults.length;
 
+    // Required event parameters on everything that passed
+    const required = requiredParamsFor(expected);
+    const missingParamItems = [
+      ...phoneItems.filter(i => checkRequiredParams(i, required.phone).length).map(i => ({ kind: "Phone link", href: i.href, page_url: i.page_url, item: i })),
+      ...emailItems.filter(i => checkRequiredParams(i, required.email).length).map(i => ({ kind: "Email link", href: i.href, page_url: i.page_url, item: i })),
+      ...results.forms.pages.flatMap(p => [...p.first_party_forms, ...p.third_party_forms]
+        .filter(f => checkRequiredParams(f, required.form).length)
+        .map(f => ({ kind: "Form", href: null, page_url: p.page_url, item: f })))
+    ];
+
     const phoneDuplicateItems = phoneItems.filter(i => i.duplicate_fire_test?.result === "DUPLICATE_FIRED");
     const emailDuplicateItems = emailItems.filter(i => i.duplicate_fire_test?.result === "DUPLICATE_FIRED");
 
@@ -1338,6 +2909,7 @@ async function trackingHealthCheckSiteInternal(url) {
       const botBlocked  = allFormResults.some(f => f.reason?.includes("Bot Protection"));
       const allNT       = allFormResults.every(f => f.status === "NOT_TESTED");
       const anyActuallySubmitted = allFormResults.some(f => f.status === "FAIL");
+      const dryRun      = allFormResults.length > 0 && allFormResults.every(f => f.form_mode === "dry_run");
 
       // T3 only when bot protection or genuinely untestable — we cannot say tracking is broken
       // FAIL when we actually submitted and got nothing back
@@ -1348,6 +2920,8 @@ async function trackingHealthCheckSiteInternal(url) {
         found: formsFound, tested: allFormResults.filter(f => f.status !== "NOT_TESTED").length, passed: 0,
         summary: botBlocked
           ? `${formsFound} form(s) — CAPTCHA/bot protection blocked automated testing. Manual verification required.`
+          : dryRun
+          ? `${formsFound} form(s) checked in dry-run mode (not submitted) — ${allFormResults.filter(f => f.dry_run?.ready).length} look ready to track. Manual verification required.`
           : allNT
           ? `${formsFound} form(s) — could not be submitted automatically. Manual verification required.`
           : `${formsFound} form(s) submitted — none fired a GA4 conversion event.`,
@@ -1355,13 +2929,24 @@ async function trackingHealthCheckSiteInternal(url) {
           form_index: idx, page_url: f.page_url || null,
           status: f.status, reason: f.reason || null,
           ga4_events_seen: f.ga4_events_seen || f.ga4_events || [],
+          ...(f.vendor ? { vendor: f.vendor_name } : {}),
           fix: f.reason?.includes("Bot Protection")
             ? "CAPTCHA present — submit manually and verify GA4 event in GTM Preview."
-            : f.status === "FAIL" && f.reason?.includes("success")
+            : f.vendor && f.status === "FAIL"
+            ? f.fix
+            : f.status === "FAIL" && f.submission_confirmed_by === "network" && ["xhr", "fetch"].includes(f.submission_request?.type)
+            ? "Form submits via AJAX, which GTM's Form Submission trigger does not see. Push a dataLayer event from the form's success callback (e.g. Contact Form 7's wpcf7mailsent) or use an Element Visibility trigger on the success message, with a GA4 Event tag."
+            : f.status === "FAIL" && f.submission_confirmed_by === "url"
+            ? "Form submitted and the thank-you page loaded, but no GA4 event fired. Add a Page View trigger on the thank-you URL with a GA4 Event tag."
+            : f.status === "FAIL" && f.submission_confirmed_by
             ? "Form submitted (success detected) but no GA4 event fired. Add a GTM trigger for Form Submission or Thank You page URL, with a GA4 Event tag."
             : f.status === "FAIL"
             ? "Form submitted but no GA4 event captured. Check GTM trigger scope — confirm the GA4 Event tag is published and the trigger matches this form."
-            : f.reason?.includes("Validation")
+            : f.dry_run?.ready
+            ? "Dry run only — tracking looks set up. Submit one real test enquiry and confirm the GA4 event in GTM Preview."
+            : f.dry_run
+            ? "Dry run found no form tracking. Add a GTM Form Submission (or Thank You page) trigger with a GA4 Event tag, then submit a test enquiry in GTM Preview."
+            : /validation/i.test(f.reason || "")
             ? "Validation blocked submission. Fill and submit manually, then verify in GTM Preview."
             : f.reason?.includes("No visible submit button")
             ? "No standard submit button found — may use custom JS. Submit manually and verify in GTM Preview."
@@ -1370,45 +2955,70 @@ async function trackingHealthCheckSiteInternal(url) {
       });
     }
 
-    // ── Grading ──
-    // FAIL  — GTM present but every CTA/form that was actually tested returned no GA4 event
-    //         (or no CTAs found at all on a site that clearly has contact info)
-    // T2    — GTM present, at least one CTA passes, but partial coverage / duplicate firing /
-    //         non-clickable contacts mean tracking data is incomplete or inflated
-    // T3    — GTM present, CTAs found, but CAPTCHA or untestable setup meant we couldn't
-    //         confirm tracking — human must verify manually
-    // T1    — GTM present, all testable CTAs passed on every page, no issues detected
+    // Conversions only tracked by Ads / social pixels → T2 (counted in the ad platform, invisible in GA4)
+    const pixelOnlyItems = [
+      ...[...phoneItems, ...emailItems].filter(i => i.match_tier === "other_pixel"),
+      ...results.forms.pages.flatMap(p => [...p.first_party_forms, ...p.third_party_forms]
+        .filter(f => f.match_tier === "other_pixel").map(f => ({ ...f, page_url: p.page_url })))
+    ];
+    if (pixelOnlyItems.length > 0) {
+      failureDetail.push({
+        category: "No GA4 Event — Other Pixels Only", grade_impact: "T2",
+        summary: `${pixelOnlyItems.length} CTA(s)/form(s) fire an ad-platform conversion (${uniq(pixelOnlyItems.flatMap(i => i.other_conversions.map(c => c.vendor))).join(", ")}) but no GA4 event.`,
+        items: pixelOnlyItems.map(i => ({
+          ...(i.href ? { href: i.href } : { raw: "Form" }), page_url: i.page_url || null,
+          status: i.status, reason: i.match_note,
+          fix: "Add a GA4 Event tag on the same GTM trigger as the ad-platform conversion tag so the conversion is also recorded in GA4."
+        }))
+      });
+    }
+
+    // Missing event parameters → T2 (conversion is counted but can't be attributed to a number/form)
+    if (missingParamItems.length > 0) {
+      failureDetail.push({
+        category: "Missing Event Parameters", grade_impact: "T2",
+        summary: `${missingParamItems.length} tracked CTA(s)/form(s) fire a GA4 event without required parameters (${uniq(missingParamItems.flatMap(m => m.item.missing_params)).join(", ")}).`,
+        items: missingParamItems.map(({ kind, href, page_url, item }) => ({
+          ...(href ? { href } : { raw: kind }), page_url: page_url || null,
+          status: "PASS", reason: `${kind} fires ${(item.ga4_events || []).join(", ")} without ${item.missing_params.join(", ")}`,
+          fix: `In the GA4 Event tag for ${(item.ga4_events || []).join(" / ")}, ${item.missing_params.map(p => PARAM_FIX[p] || `add the ${p} event parameter`).join("; ")}.`
+        }))
+      });
+    }
+
+    // ── Reject-consent pass ── (only meaningful when the accept pass found a banner)
+    if (settings.reject_pass && results.cookie_consent.accepted) {
+      results.consent_reject = await runRejectConsentPass(browser, targetUrl, pack, settings);
+      if (results.consent_reject.status === "FAIL") {
+        failureDetail.push({
+          category: "Cookie Refusal Ignored", grade_impact: "T2",
+          summary: `Tracking still fires after cookies are refused: ${results.consent_reject.issues.map(i => i.issue).join(", ")}.`,
+          items: results.consent_reject.issues.map(i => ({ raw: i.issue, page_url: targetUrl, status: "FAIL", reason: i.detail, fix: i.fix }))
+        });
+      }
+    }
 
+    // Consent Mode problems → T2 (GA4/Ads data is unreliable or collected unlawfully)
+    if (results.consent_mode?.status === "FAIL") {
+      failureDetail.push({
+        category: "Consent Mode", grade_impact: "T2",
+        summary: `Google Consent Mode v2 is not set up correctly: ${results.consent_mode.issues.map(i => i.issue).join(", ")}.`,
+        items: results.consent_mode.issues.map(i => ({ raw: i.issue, page_url: targetUrl, status: "FAIL", reason: i.detail, fix: i.fix }))
+      });
+    }
+
+    // ── Expected configuration ──
+    if (expected) {
+      results.assertions = checkExpectations(expected, results, { phoneItems, emailItems, formResults: allFormResults });
+      const detail = assertionFailureDetail(results.assertions);
+      if (detail) failureDetail.push(detail);
+    }
+
+    // ── Grading ──
     const totalFound    = results.ctas.phones.found + results.ctas.emails.found + formsFound;
-    const hasFail       = failureDetail.some(f => f.grade_impact === "FAIL");
-    const hasT2         = failureDetail.some(f => f.grade_impact === "T2");
-    const hasT3         = failureDetail.some(f => f.grade_impact === "T3");
     const anyPassed     = results.ctas.phones.passed > 0 || results.ctas.emails.passed > 0 || formsPassed > 0;
 
-    let grade, overall_status, why;
-
-    if (totalFound === 0 && !hasNonClickable) {
-      // No CTAs of any kind found — can't grade tracking
-      grade = "T3"; overall_status = "NOT_TESTED";
-      why = "No actionable CTAs (phone links, email links, or forms) were found on any visited page.";
-    } else if (hasFail && !anyPassed) {
-      // Tags exist but nothing at all converted — complete tracking failure
-      grade = "FAIL"; overall_status = "NO_CONVERSIONS_TRACKED";
-      why = `GTM is installed but no conversion events fired for any tested CTA or form. See failure_detail for fixes.`;
-    } else if (hasT2 || (hasFail && anyPassed)) {
-      // At least one thing works but there are real issues (partial, duplicate firing, non-clickable)
-      grade = "T2"; overall_status = "TRACKING_ISSUES_FOUND";
-      const t2cats = failureDetail.filter(f => f.grade_impact === "T2" || f.grade_impact === "FAIL").map(f => f.category);
-      why = `Tracking is partially working but has issues: ${t2cats.join(", ")}. See failure_detail for fixes.`;
-    } else if (hasT3 && !hasT2 && !hasFail) {
-      // Only untestable items — could be fine, could be broken, needs human eyes
-      grade = "T3"; overall_status = "NOT_TESTED";
-      why = `CTAs found but could not be tested automatically (${failureDetail.map(f => f.category).join(", ")}). Manual verification required.`;
-    } else {
-      // Everything tested passed, no issues
-      grade = "T1"; overall_status = "PASS";
-      why = "All detected conversion CTAs and forms are firing GA4 events correctly on every tested page.";
-    }
+    const { grade, overall_status, why } = gradeResult(failureDetail, { totalFound, hasNonClickable, anyPassed });
 
     results.grade = grade; results.overall_status = overall_status; results.why = why;
     results.failure_detail = failureDetail;
@@ -1426,8 +3036,15 @@ async function trackingHealthCheckSiteInternal(url) {
     logInfo(`  DUPE FIRES : Phones ${phoneDuplicateItems.length} | Emails ${emailDuplicateItems.length}`);
     logInfo(`  GTM IDs    : ${tracking.tags_found.gtm.join(", ") || "none"}`);
     logInfo(`  GA4 IDs    : ${[...tracking.tags_found.ga4, ...tracking.tags_found.unlinked_ga4].join(", ") || "none"}`);
+    logInfo(`  PIXELS     : ${Object.entries(tracking.pixels).map(([k, ids]) => `${k} ${ids.join("/")}`).join(", ") || "none"}`);
     logInfo(`  PAGES      : ${results.pages_visited.join(", ")}`);
-    logInfo(`  CONSENT    : ${results.cookie_consent.accepted ? "accepted" : "none found"}`);
+    logInfo(`  CONSENT    : ${results.cookie_consent.accepted ? "accepted" : "none found"}${results.consent_mode ? ` | Consent Mode ${results.consent_mode.status} (${results.consent_mode.behaviour}${results.consent_mode.v2_signals ? ", v2" : ""})` : ""}`);
+    if (results.consent_reject) {
+      logInfo(`  REFUSAL    : ${results.consent_reject.rejected ? `${results.consent_reject.status} — ${results.consent_reject.hits_after_reject.hits} hit(s) after reject, ${results.consent_reject.identified_ga4_hits.length} identified GA4` : "no reject button found"}`);
+    }
+    if (results.assertions) {
+      logInfo(`  EXPECTED   : ${results.assertions.passed} passed | ${results.assertions.failed} failed | ${results.assertions.not_tested} not tested`);
+    }
 
     if (failureDetail.length > 0) {
       logInfo(`\n  ── FAILURES ──`);
@@ -1472,33 +3089,99 @@ async function trackingHealthCheckSiteInternal(url) {
     return { ...results, ok: false, grade: "T2", overall_status: "ERROR", why: `Fatal error: ${error.message}` };
   } finally {
     // Always clean up page and context — even if withTimeout killed us
+    if (evidence?.trace && context) {
+      try {
+        fs.mkdirSync(path.join(EVIDENCE_DIR, evidence.run_id), { recursive: true });
+        await context.tracing.stop({ path: path.join(EVIDENCE_DIR, evidence.run_id, "trace.zip") });
+      } catch {}
+    }
     if (page)    { try { page.removeAllListeners(); await page.close();    } catch {} }
     if (context) { try { await context.close();                            } catch {} }
   }
 }
 
-async function trackingHealthCheckSite(url) {
+// Store the result in the site's history and attach what changed since the last
+// comparable run (same options, expected configuration and locale)
+function withHistory(url, result, expected = null) {
+  const recorded = history.recordRun(url, result, { expected });
+  if (recorded.regressed) {
+    logInfo(`📉 Regression since ${recorded.changes.compared_to}`, { url, regressions: recorded.changes.regressions.map(r => r.detail) });
+  }
+  return recorded;
+}
+
+// The global timeout for one check — extended by the reject pass's worst case (two page
+// loads, the refusal and the consent waits around the reload) when it runs
+function checkTimeoutMs(settings = DEFAULT_SETTINGS) {
+  if (!settings.reject_pass) return GLOBAL_TIMEOUT_MS;
+  return GLOBAL_TIMEOUT_MS + 2 * settings.nav_timeout_ms + 3 * settings.consent_wait_ms + 5000;
+}
+
+/**
+ * Run one tracking health check, queued behind the concurrency limit.
+ * @param {string} url
+ * @param {{evidence?: boolean|{mode?: "fail"|"all", trace?: boolean}, expected?: object|null}} [options]
+ *   evidence — capture screenshots / DOM snippets (and optionally a trace) for failing CTAs
+ *   expected — client's expected setup, checked into `assertions` (see checkExpectations)
+ * Every result is stored in the site's history (health.history.js) and carries
+ * `changes` (diff against the previous comparable run, null when there is none) and `regressed`.
+ */
+async function trackingHealthCheckSite(url, options = {}) {
   await acquireCheckSlot();
+  // Timed from slot acquisition so queueing behind other checks isn't counted
+  const started = Date.now();
+  // Invalid options are reported by the check itself
+  const timeoutMs = checkTimeoutMs(normaliseCheckOptions(options.options).settings);
   try {
-    return await withTimeout(
-      trackingHealthCheckSiteInternal(url),
-      GLOBAL_TIMEOUT_MS,
-      `Global timeout (${GLOBAL_TIMEOUT_MS}ms) exceeded for ${url}`
+    const result = await withTimeout(
+      trackingHealthCheckSiteInternal(url, options),
+      timeoutMs,
+      `Global timeout (${timeoutMs}ms) exceeded for ${url}`
     );
+    return withHistory(url, { ...result, duration_ms: Date.now() - started }, options.expected);
   } catch (e) {
     logInfo(`⏱ Check aborted: ${e.message}`, { url });
-    return { ok: false, url: normaliseUrl(url), grade: "T2", overall_status: "ERROR", why: e.message };
+    return withHistory(url, { ok: false, url: normaliseUrl(url), grade: "T2", overall_status: "ERROR", why: e.message, duration_ms: Date.now() - started }, options.expected);
   } finally {
     releaseCheckSlot();
   }
 }
 
+// ─────────────────────────────────────────────
+// PDF rendering — prints HTML (e.g. a health report) in the shared browser
+// ─────────────────────────────────────────────
+async function renderPdf(html) {
+  const browser = await getBrowser();
+  const context = await browser.newContext();
+  try {
+    const page = await context.newPage();
+    await page.setContent(html, { waitUntil: "load", timeout: NAV_TIMEOUT_MS });
+    return await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "12mm", bottom: "12mm", left: "10mm", right: "10mm" }
+    });
+  } finally {
+    await context.close().catch(() => null);
+  }
+}
+
 // ─────────────────────────────────────────────
 // Batch processing system
 // ─────────────────────────────────────────────
 
-// In-memory job store for batch processing
-const batchJobs = new Map(); // job_id -> { total, completed, results, status, startedAt, callbackUrl }
+// Job store — in-memory Map for reads, mirrored to disk by health.store.js so
+// jobs survive restarts
+const batchJobs = new Map(); // job_id -> { total, completed, results, status, startedAt, completedAt, callbackUrl, callbackMode, callbackDeliveries, scheduleId, clients }
+
+// Live batch progress — listeners get ('result', jobId, result), ('status', jobId, job)
+// and ('complete', jobId, job). Used by the SSE stream in health.routes.js.
+const batchEvents = new EventEmitter();
+batchEvents.setMaxListeners(0);
+
+// Job status:   running → complete | paused ⇄ running | cancelled | error
+// Client state: queued → running → done | error, or queued → cancelled
+const CLIENT_STATES = ['queued', 'running', 'done', 'error', 'cancelled'];
 
 /**
  * Process multiple clients in a batch, using the existing concurrency controls.
@@ -1509,89 +3192,353 @@ const batchJobs = new Map(); // job_id -> { total, completed, results, status, s
  * @param {string} jobId
  * @param {Array<{url: string, [key: string]: any}>} clients
  * @param {string|null} callbackUrl
+ * @param {{callbackMode?: 'job'|'per_site', scheduleId?: string|null}} [options] - per_site posts
+ *   each result to callbackUrl as it completes, and the final callback omits the full results
+ *   array. scheduleId links the job back to the schedule that started it (health.schedule.js).
  */
-async function runBatchHealthCheck(jobId, clients, callbackUrl = null) {
+async function runBatchHealthCheck(jobId, clients, callbackUrl = null, { callbackMode = 'job', scheduleId = null } = {}) {
   // Normalise: accept plain string URLs or client objects
   const clientList = clients.map((c, i) =>
-    typeof c === 'string' ? { url: c, _index: i } : { ...c, _index: i }
+    typeof c === 'string' ? { url: c, _index: i, state: 'queued' } : { ...c, _index: i, state: 'queued' }
   );
 
   // Initialize job in store
-  batchJobs.set(jobId, {
+  const job = {
     total: clientList.length,
     completed: 0,
     results: [],
     status: 'running',
     startedAt: new Date().toISOString(),
-    callbackUrl
-  });
+    completedAt: null,
+    callbackUrl,
+    callbackMode,
+    callbackDeliveries: [],
+    scheduleId,
+    clients: clientList
+  };
+  batchJobs.set(jobId, job);
+  jobStore.saveJob(jobId, job);
 
   logInfo(`🚀 Starting batch job ${jobId} with ${clientList.length} clients`);
 
-  // Process all clients concurrently (each respects the slot queue)
-  const promises = clientList.map(async (client) => {
-    const { url, _index, ...metadata } = client;
-    try {
-      // Uses acquireCheckSlot/releaseCheckSlot internally
-      const result = await trackingHealthCheckSite(url);
-
-      // Store result with original client metadata attached
-      const job = batchJobs.get(jobId);
-      if (job) {
-        job.results.push({ ...metadata, url, index: _index, ...result });
-        job.completed++;
-        logDebug(`✓ Batch job ${jobId}: completed ${job.completed}/${job.total}`);
-      }
-
-      return result;
-    } catch (error) {
-      // Store error result with metadata so the caller can still identify the client
-      const job = batchJobs.get(jobId);
-      if (job) {
-        job.results.push({
-          ...metadata,
-          url,
-          index: _index,
-          ok: false,
-          error: error.message,
-          status: 'error',
-          overall_status: 'ERROR'
-        });
-        job.completed++;
-        logDebug(`✗ Batch job ${jobId}: error for ${url} - ${error.message}`);
-      }
+  await runBatchWorkers(jobId);
+}
 
-      return { ok: false, url, error: error.message, status: 'error' };
-    }
-  });
+/**
+ * Record one finished client against its job, in memory and on disk.
+ * A retried client replaces its previous result.
+ */
+function recordBatchResult(jobId, client, entry, state) {
+  const job = batchJobs.get(jobId);
+  if (!job) return;
+  const result = { ...entry, state, completedAt: new Date().toISOString() };
+  job.results = job.results.filter(r => r.index !== client._index);
+  job.results.push(result);
+  job.completed = job.results.length;
+  client.state = state;
+  jobStore.saveResult(jobId, result, state);
+  batchEvents.emit('result', jobId, result);
+
+  if (job.callbackUrl && job.callbackMode === 'per_site') {
+    sendSiteCallback(jobId, job, result);
+  }
+}
 
-  // Wait for all to complete
+/**
+ * Run the health check for one client and record the outcome.
+ * A result with ok:false (fatal error / global timeout) counts as an error so
+ * it can be picked up by "retry failed".
+ */
+async function runBatchClient(jobId, client) {
+  const { url, _index, state: _state, ...metadata } = client;
   try {
-    await Promise.all(promises);
-
-    // Mark job as complete
+    // Uses acquireCheckSlot/releaseCheckSlot internally
+    const expected = metadata.expected && typeof metadata.expected === 'object' ? metadata.expected : null;
+    // Passthrough metadata (client_name, cid, …) identifies the client to the lead webhook
+    const { expected: _expected, locale: _locale, options: _options, ...clientInfo } = metadata;
+    const result = await trackingHealthCheckSite(url, { expected, locale: metadata.locale || null, options: metadata.options || null, client: clientInfo });
+
+    // Store result with original client metadata attached
+    recordBatchResult(jobId, client, { ...metadata, url, index: _index, ...result }, result.ok === false ? 'error' : 'done');
     const job = batchJobs.get(jobId);
-    if (job) {
-      job.status = 'complete';
-      // Sort results by original index to maintain order
-      job.results.sort((a, b) => a.index - b.index);
-      logInfo(`✅ Batch job ${jobId} completed: ${job.completed}/${job.total} processed`);
-
-      // Send callback if provided
-      if (callbackUrl) {
-        sendBatchCallback(jobId, job, callbackUrl);
+    if (job) logDebug(`✓ Batch job ${jobId}: completed ${job.completed}/${job.total}`);
+  } catch (error) {
+    // Store error result with metadata so the caller can still identify the client
+    recordBatchResult(jobId, client, {
+      ...metadata,
+      url,
+      index: _index,
+      ok: false,
+      error: error.message,
+      status: 'error',
+      overall_status: 'ERROR'
+    }, 'error');
+    logDebug(`✗ Batch job ${jobId}: error for ${url} - ${error.message}`);
+  }
+}
+
+/**
+ * Drain a job's queued clients with at most MAX_CONCURRENT_CHECKS workers.
+ * Workers check the job status before taking each client, so pause/cancel take
+ * effect between clients (in-flight checks are allowed to finish).
+ * If workers are already running (e.g. a resume right after a pause, while some
+ * of them are still finishing a client) the pool is topped back up to full
+ * strength, and the returned promise covers old and new workers alike.
+ */
+function runBatchWorkers(jobId) {
+  const job = batchJobs.get(jobId);
+  if (!job) return Promise.resolve();
+
+  const worker = async () => {
+    job.activeWorkers = (job.activeWorkers || 0) + 1;
+    try {
+      while (job.status === 'running') {
+        const client = job.clients.find(c => c.state === 'queued');
+        if (!client) break;
+        client.state = 'running';
+        await runBatchClient(jobId, client);
       }
+    } finally {
+      job.activeWorkers--;
     }
-  } catch (error) {
-    // This shouldn't happen since we handle individual errors above,
-    // but just in case
-    const job = batchJobs.get(jobId);
-    if (job) {
+  };
+
+  const queued = job.clients.filter(c => c.state === 'queued').length;
+  const missing = Math.min(MAX_CONCURRENT_CHECKS, queued) - (job.activeWorkers || 0);
+  const started = Array.from({ length: Math.max(0, missing) }, worker);
+
+  // Only the newest drain promise finishes the job, so it is finished once
+  const workers = Promise.all([job.workers, ...started])
+    .then(() => { if (job.workers === workers) finishBatchJob(jobId); })
+    .catch(error => {
+      // This shouldn't happen since we handle individual errors above,
+      // but just in case
       job.status = 'error';
       job.error = error.message;
+      job.completedAt = new Date().toISOString();
+      jobStore.saveStatus(jobId, job);
       logInfo(`❌ Batch job ${jobId} failed: ${error.message}`);
-    }
+    })
+    .finally(() => { if (job.workers === workers) job.workers = null; });
+
+  job.workers = workers;
+  return workers;
+}
+
+/**
+ * Called when a job's workers drain. Once no client is queued or running the
+ * job is marked complete (or a cancel is finalised) and the callback fires —
+ * also when it was paused after its last client had already been taken.
+ * A paused job with clients still queued is left as-is.
+ */
+function finishBatchJob(jobId) {
+  const job = batchJobs.get(jobId);
+  if (!job) return;
+  if (job.clients.some(c => c.state === 'queued' || c.state === 'running')) return;
+
+  if (job.status === 'running' || job.status === 'paused') job.status = 'complete';
+  job.completedAt = new Date().toISOString();
+  // Sort results by original index to maintain order
+  job.results.sort((a, b) => a.index - b.index);
+  jobStore.saveStatus(jobId, job);
+  logInfo(`✅ Batch job ${jobId} ${job.status}: ${job.completed}/${job.total} processed`);
+  batchEvents.emit('complete', jobId, job);
+
+  // Send callback if provided
+  if (job.callbackUrl) {
+    sendBatchCallback(jobId, job);
+  }
+}
+
+function setBatchStatus(jobId, job, status) {
+  job.status = status;
+  job.completedAt = null;
+  jobStore.saveStatus(jobId, job);
+  batchEvents.emit('status', jobId, job);
+}
+
+/**
+ * Stop taking new clients. In-flight checks finish and are recorded.
+ */
+function pauseBatchJob(jobId) {
+  const job = batchJobs.get(jobId);
+  if (!job) return { code: 404, error: 'Job not found' };
+  if (job.status !== 'running') return { code: 409, error: `Cannot pause a job that is ${job.status}` };
+
+  setBatchStatus(jobId, job, 'paused');
+  logInfo(`⏸  Batch job ${jobId} paused`);
+  return { job };
+}
+
+function resumeBatchJob(jobId) {
+  const job = batchJobs.get(jobId);
+  if (!job) return { code: 404, error: 'Job not found' };
+  if (job.status !== 'paused') return { code: 409, error: `Cannot resume a job that is ${job.status}` };
+
+  setBatchStatus(jobId, job, 'running');
+  logInfo(`▶️  Batch job ${jobId} resumed`);
+  runBatchWorkers(jobId);
+  return { job };
+}
+
+/**
+ * Cancel every client that has not started yet. In-flight checks finish and
+ * are recorded; the job is finalised (and the callback sent) once they do.
+ */
+function cancelBatchJob(jobId) {
+  const job = batchJobs.get(jobId);
+  if (!job) return { code: 404, error: 'Job not found' };
+  if (job.status !== 'running' && job.status !== 'paused') {
+    return { code: 409, error: `Cannot cancel a job that is ${job.status}` };
   }
+
+  setBatchStatus(jobId, job, 'cancelled');
+  const cancelled = job.clients.filter(c => c.state === 'queued');
+  for (const client of cancelled) client.state = 'cancelled';
+  jobStore.saveClientStates(jobId, cancelled.map(c => c._index), 'cancelled');
+  logInfo(`🛑 Batch job ${jobId} cancelled — ${cancelled.length} queued clients dropped`);
+
+  if (!job.workers) finishBatchJob(jobId);
+  return { job };
+}
+
+/**
+ * Re-queue only the clients that ended in error and run them again.
+ * Their previous results are dropped and replaced when the retry finishes.
+ */
+function retryFailedBatchClients(jobId) {
+  const job = batchJobs.get(jobId);
+  if (!job) return { code: 404, error: 'Job not found' };
+  if (job.status === 'running' && job.workers) return { code: 409, error: 'Job is still running' };
+
+  const failed = job.clients.filter(c => c.state === 'error');
+  if (failed.length === 0) return { code: 409, error: 'No failed clients to retry' };
+
+  const failedIdx = new Set(failed.map(c => c._index));
+  for (const client of failed) client.state = 'queued';
+  job.results = job.results.filter(r => !failedIdx.has(r.index));
+  job.completed = job.results.length;
+  jobStore.saveClientStates(jobId, [...failedIdx], 'queued');
+
+  setBatchStatus(jobId, job, 'running');
+  logInfo(`🔁 Batch job ${jobId}: retrying ${failed.length} failed clients`);
+  runBatchWorkers(jobId);
+  return { job, requeued: failed.length };
+}
+
+/**
+ * Count a job's clients by state.
+ */
+function getClientStateCounts(job) {
+  const counts = Object.fromEntries(CLIENT_STATES.map(s => [s, 0]));
+  for (const c of job.clients) counts[c.state] = (counts[c.state] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Headline counts for a job — client states plus results per grade and overall_status.
+ */
+function getBatchCounts(job) {
+  const grades = {}, statuses = {};
+  for (const r of job.results) {
+    const grade = summaryGrade(r);
+    grades[grade] = (grades[grade] || 0) + 1;
+    if (r.overall_status) statuses[r.overall_status] = (statuses[r.overall_status] || 0) + 1;
+  }
+  return {
+    total: job.total,
+    completed: job.completed,
+    clients: getClientStateCounts(job),
+    grades,
+    overall_status: statuses
+  };
+}
+
+/**
+ * Grade used for batch aggregation. Checks that errored or timed out carry
+ * grade T2 for backwards compatibility, but they are counted as ERROR here.
+ */
+function summaryGrade(r) {
+  if (r.ok === false || r.overall_status === 'ERROR') return 'ERROR';
+  return r.grade || 'ERROR';
+}
+
+function countBy(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+function median(nums) {
+  if (nums.length === 0) return null;
+  const sorted = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Aggregate statistics over a job's per-site results, so callers don't have to
+ * download and aggregate every result themselves.
+ */
+function getBatchSummary(job, { topN = 10 } = {}) {
+  const results = job.results;
+
+  const grades = { T1: 0, T2: 0, T3: 0, FAIL: 0, ERROR: 0 };
+  for (const r of results) {
+    const grade = summaryGrade(r);
+    grades[grade] = (grades[grade] || 0) + 1;
+  }
+
+  const overallStatus = Object.fromEntries(countBy(results.map(r => r.overall_status || 'UNKNOWN')));
+
+  const failureCategories = countBy(results.flatMap(r => uniq((r.failure_detail || []).map(f => f.category))))
+    .slice(0, topN)
+    .map(([category, sites]) => ({ category, sites }));
+
+  // Errored checks never got as far as tag detection — leave them out of the GTM stats
+  const gtmIds = results.filter(r => summaryGrade(r) !== 'ERROR').map(r => r.tracking?.tags_found?.gtm || []);
+  const gtmContainers = countBy(gtmIds.flatMap(ids => uniq(ids)))
+    .map(([id, sites]) => ({ id, sites }));
+
+  const timed = results.filter(r => typeof r.duration_ms === 'number');
+  const slowest = [...timed]
+    .sort((a, b) => b.duration_ms - a.duration_ms)
+    .slice(0, topN)
+    .map(r => ({
+      index: r.index, url: r.url,
+      ...(r.client_name !== undefined ? { client_name: r.client_name } : {}),
+      grade: summaryGrade(r), duration_ms: r.duration_ms
+    }));
+
+  return {
+    sites: results.length,
+    grades,
+    overall_status: overallStatus,
+    top_failure_categories: failureCategories,
+    gtm_containers: gtmContainers,
+    sites_without_gtm: gtmIds.filter(ids => ids.length === 0).length,
+    sites_with_multiple_gtm: gtmIds.filter(ids => uniq(ids).length > 1).length,
+    median_duration_ms: median(timed.map(r => r.duration_ms)),
+    slowest_sites: slowest
+  };
+}
+
+/**
+ * Subscribe to one job's live progress.
+ * @param {string} jobId
+ * @param {{onResult?: Function, onStatus?: Function, onComplete?: Function}} handlers
+ * @returns {Function} unsubscribe
+ */
+function subscribeToBatchJob(jobId, { onResult, onStatus, onComplete } = {}) {
+  const listeners = {
+    result:   (id, result) => { if (id === jobId && onResult)   onResult(result); },
+    status:   (id, job)    => { if (id === jobId && onStatus)   onStatus(job); },
+    complete: (id, job)    => { if (id === jobId && onComplete) onComplete(job); }
+  };
+  for (const [event, fn] of Object.entries(listeners)) batchEvents.on(event, fn);
+  return () => {
+    for (const [event, fn] of Object.entries(listeners)) batchEvents.off(event, fn);
+  };
 }
 
 /**
@@ -1602,51 +3549,284 @@ function getBatchJob(jobId) {
 }
 
 /**
- * Send callback notification when batch job completes
+ * Select a page of a job's results.
+ *
+ * Results are ordered by client index, and `cursor` is the last index the caller
+ * already has — so pages stay stable while a running job keeps adding results.
+ * `since` keeps only results completed after that timestamp, for incremental polling.
+ * `filters` maps a result field (grade, overall_status, state, or any passthrough
+ * metadata such as client_name / supabase_id) to a list of accepted values.
+ *
+ * @param {object} job
+ * @param {{cursor?: number|null, limit?: number|null, since?: string|null, filters?: Object<string, string[]>}} query
+ * @returns {{results: object[], matched: number, next_cursor: number|null, next_since: string|null}}
  */
-async function sendBatchCallback(jobId, job, callbackUrl) {
-  const url = require('url');
-  const parsedUrl = url.parse(callbackUrl);
-  const isHttps = parsedUrl.protocol === 'https:';
-  const httpModule = isHttps ? require('https') : require('http');
+function getBatchResults(job, { cursor = null, limit = null, since = null, filters = {} } = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  // Results persisted without a completion time count as finished when the job started,
+  // so the first (unfiltered) poll returns them and later increments do not repeat them
+  const completedAt = r => r.completedAt || job.startedAt;
+
+  const matched = job.results
+    .filter(r => sinceMs === null || Date.parse(completedAt(r)) > sinceMs)
+    .filter(r => Object.entries(filters).every(([field, values]) =>
+      r[field] !== undefined && r[field] !== null && values.includes(String(r[field]))
+    ))
+    .sort((a, b) => a.index - b.index);
+
+  const after   = cursor === null ? matched : matched.filter(r => r.index > cursor);
+  const results = limit ? after.slice(0, limit) : after;
+  const hasMore = results.length < after.length;
+
+  // Latest completion among the matched results — pass back as `since` to fetch only newer ones
+  const latest = matched.reduce((acc, r) => (completedAt(r) > acc ? completedAt(r) : acc), since || '');
 
-  const payload = JSON.stringify({
-    job_id: jobId,
-    status: job.status,
-    total: job.total,
-    completed: job.completed,
-    results: job.results,
-    startedAt: job.startedAt,
-    completedAt: new Date().toISOString()
-  });
+  return {
+    results,
+    matched: matched.length,
+    next_cursor: hasMore ? results[results.length - 1].index : null,
+    next_since: latest || null
+  };
+}
 
-  const options = {
-    hostname: parsedUrl.hostname,
-    port: parsedUrl.port || (isHttps ? 443 : 80),
-    path: parsedUrl.path,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(payload)
+/**
+ * Drop finished jobs older than the retention period from memory and disk.
+ * Running and paused jobs are never expired.
+ */
+function pruneExpiredBatchJobs() {
+  const cutoff = Date.now() - BATCH_JOB_RETENTION_MS;
+  for (const [jobId, job] of batchJobs) {
+    if (job.status === 'running' || job.status === 'paused') continue;
+    const finishedAt = Date.parse(job.completedAt || job.startedAt);
+    if (finishedAt && finishedAt < cutoff) {
+      batchJobs.delete(jobId);
+      jobStore.deleteJob(jobId);
+      logDebug(`🗑  Batch job ${jobId} expired`);
     }
-  };
+  }
+  pruneEvidence(BATCH_JOB_RETENTION_MS);
+}
 
-  logInfo(`📞 Sending batch completion callback to ${callbackUrl}`);
+/**
+ * Reload persisted jobs on boot and re-queue clients that had not finished
+ * when the process stopped. Safe to call once per process.
+ */
+let batchStoreRestored = false;
+function restoreBatchJobs() {
+  if (batchStoreRestored) return;
+  batchStoreRestored = true;
+
+  for (const [jobId, job] of jobStore.loadJobs()) batchJobs.set(jobId, job);
+  pruneExpiredBatchJobs();
+  setInterval(pruneExpiredBatchJobs, 60 * 60 * 1000).unref();
+
+  for (const [jobId, job] of batchJobs) {
+    // Clients that were mid-check when the process died start again
+    const interrupted = job.clients.filter(c => c.state === 'running');
+    for (const client of interrupted) client.state = job.status === 'cancelled' ? 'cancelled' : 'queued';
+
+    // Cancelled, or paused with every client already finished: nothing will run
+    // again to complete it, so finish it now (finishBatchJob leaves queued jobs alone)
+    if ((job.status === 'cancelled' || job.status === 'paused') && !job.completedAt) finishBatchJob(jobId);
+    if (job.status !== 'running') continue;
+
+    const pending = job.clients.filter(c => c.state === 'queued').length;
+    logInfo(`♻️  Resuming batch job ${jobId}: ${pending}/${job.total} clients re-queued`);
+    runBatchWorkers(jobId);
+  }
+}
 
-  const req = httpModule.request(options, (res) => {
-    logDebug(`Callback response status: ${res.statusCode}`);
-  });
+/**
+ * POST a JSON body once. Resolves with the response status code; rejects on
+ * network error or timeout.
+ */
+function postJson(callbackUrl, body, headers) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(callbackUrl);
+    const httpModule = parsedUrl.protocol === 'https:' ? require('https') : require('http');
+
+    const req = httpModule.request(parsedUrl, {
+      method: 'POST',
+      timeout: CALLBACK_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      }
+    }, (res) => {
+      res.resume(); // drain — we only care about the status
+      resolve(res.statusCode);
+    });
 
-  req.on('error', (error) => {
-    logInfo(`❌ Callback failed: ${error.message}`, { jobId, callbackUrl });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${CALLBACK_TIMEOUT_MS}ms`)));
+    req.on('error', reject);
+    req.end(body);
   });
+}
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}` — receivers recompute this with the
+ * shared secret and compare against X-Health-Signature.
+ */
+function signCallback(body, timestamp) {
+  return 'sha256=' + crypto.createHmac('sha256', CALLBACK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function recordCallbackAttempt(jobId, job, attempt) {
+  if (!job.callbackDeliveries) job.callbackDeliveries = [];
+  job.callbackDeliveries.push(attempt);
+  jobStore.saveCallbackAttempt(jobId, attempt);
+}
+
+/**
+ * Deliver one callback payload to the job's callback URL, retrying network
+ * errors and non-2xx responses with exponential backoff. Every attempt is
+ * recorded on the job. Never throws.
+ *
+ * @param {string} jobId
+ * @param {object} job
+ * @param {object} payload
+ * @param {{kind: 'job'|'site', index?: number}} target - what is being delivered, for the history
+ * @returns {Promise<boolean>} true once a 2xx response is received
+ */
+async function deliverCallback(jobId, job, payload, target) {
+  const body = JSON.stringify(payload);
+  const deliveryId = crypto.randomUUID();
+
+  for (let attempt = 1; attempt <= CALLBACK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'X-Health-Job-Id': jobId,
+      'X-Health-Delivery': deliveryId,
+      'X-Health-Timestamp': timestamp
+    };
+    if (CALLBACK_SECRET) headers['X-Health-Signature'] = signCallback(body, timestamp);
+
+    const started = Date.now();
+    const record = { ...target, delivery_id: deliveryId, attempt, at: new Date().toISOString(), ok: false, status_code: null, error: null };
+    try {
+      record.status_code = await postJson(job.callbackUrl, body, headers);
+      record.ok = record.status_code >= 200 && record.status_code < 300;
+      if (!record.ok) record.error = `HTTP ${record.status_code}`;
+    } catch (error) {
+      record.error = error.message;
+    }
+    record.duration_ms = Date.now() - started;
+    recordCallbackAttempt(jobId, job, record);
 
-  req.write(payload);
-  req.end();
+    if (record.ok) {
+      logDebug(`Callback delivered (${target.kind}) on attempt ${attempt}`, { jobId });
+      return true;
+    }
+
+    logInfo(`❌ Callback attempt ${attempt}/${CALLBACK_MAX_ATTEMPTS} failed: ${record.error}`, { jobId, callbackUrl: job.callbackUrl });
+    if (attempt < CALLBACK_MAX_ATTEMPTS) await safeWait(CALLBACK_RETRY_MS * 2 ** (attempt - 1));
+  }
+
+  return false;
+}
+
+/**
+ * Send callback notification when batch job completes.
+ * In per_site mode results were already delivered one by one, so the final
+ * payload carries only the counts.
+ */
+async function sendBatchCallback(jobId, job) {
+  logInfo(`📞 Sending batch completion callback to ${job.callbackUrl}`);
+
+  return deliverCallback(jobId, job, {
+    type: 'job_complete',
+    job_id: jobId,
+    ...(job.scheduleId ? { schedule_id: job.scheduleId } : {}),
+    status: job.status,
+    total: job.total,
+    completed: job.completed,
+    counts: getBatchCounts(job),
+    summary: getBatchSummary(job),
+    ...(job.callbackMode === 'per_site' ? {} : { results: job.results }),
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  }, { kind: 'job' });
+}
+
+/**
+ * per_site mode: post one finished client's result as soon as it completes.
+ */
+async function sendSiteCallback(jobId, job, result) {
+  return deliverCallback(jobId, job, {
+    type: 'site_result',
+    job_id: jobId,
+    completed: job.completed,
+    total: job.total,
+    result
+  }, { kind: 'site', index: result.index });
+}
+
+/**
+ * Callback delivery summary for the job status response.
+ * `deliveries` is the most recent attempt history (capped — per_site jobs can have thousands).
+ */
+function getCallbackStatus(job) {
+  if (!job.callbackUrl) return null;
+  const attempts = job.callbackDeliveries || [];
+  return {
+    url: job.callbackUrl,
+    mode: job.callbackMode || 'job',
+    signed: !!CALLBACK_SECRET,
+    attempts: attempts.length,
+    delivered: attempts.filter(a => a.ok).length,
+    deliveries: attempts.slice(-100)
+  };
 }
 
 module.exports = {
+  EVIDENCE_DIR,
   trackingHealthCheckSite,
+  normaliseCheckOptions,
+  renderPdf,
   runBatchHealthCheck,
-  getBatchJob
+  getBatchJob,
+  getBatchResults,
+  getBatchCounts,
+  getBatchSummary,
+  getClientStateCounts,
+  getCallbackStatus,
+  subscribeToBatchJob,
+  pauseBatchJob,
+  resumeBatchJob,
+  cancelBatchJob,
+  retryFailedBatchClients,
+  restoreBatchJobs,
+  // Internals, exported for the tests
+  openCheckPage,
+  testAllFormsOnPage,
+  driveFormSteps,
+  testValuesFor,
+  classifyField,
+  fieldCandidates,
+  detectFieldType,
+  fillFormFieldSmart,
+  createLeadToken,
+  tagTestValues,
+  notifyTestLead,
+  recordTestLead,
+  submissionMock,
+  submissionInterceptor,
+  submissionPassthrough,
+  checkTimeoutMs,
+  gradeResult,
+  checkExpectations,
+  classifyAndParseBeacons,
+  summarisePixels,
+  clickAndPollForEvent,
+  decodeGcs,
+  decodeGcd,
+  auditConsentMode,
+  requiredParamsFor,
+  checkRequiredParams,
+  assertionFailureDetail,
+  createEvidence,
+  evidenceWanted,
+  saveEvidence,
+  pruneEvidence
 };
@@ -0,0 +1,332 @@
+// Recurring batch health checks
+//
+// A schedule is a client list plus a 5-field cron expression. Each time the
+// expression matches, the scheduler starts a normal batch job through
+// runBatchHealthCheck() and records its job_id on the schedule (the job carries
+// schedule_id back). Schedules live in HEALTH_DATA_DIR/schedules.json and are
+// reloaded on boot; runs missed while the server was down are skipped, not
+// replayed.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./health.store');
+const { runBatchHealthCheck, getBatchJob } = require('./health.runners');
+
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const MAX_RUNS_KEPT = 50;
+
+const schedules = new Map(); // schedule_id -> schedule
+
+// ─────────────────────────────────────────────
+// Cron expressions
+// minute hour day-of-month month day-of-week, e.g. "0 6 * * 1-5"
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10), month and
+// weekday names (jan, mon) and @hourly / @daily / @weekly / @monthly.
+// ─────────────────────────────────────────────
+const CRON_MACROS = {
+  '@hourly':  '0 * * * *',
+  '@daily':   '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly':  '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES   = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+  { name: 'minute',       min: 0, max: 59 },
+  { name: 'hour',         min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month',        min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week',  min: 0, max: 7,  names: DAY_NAMES,   offset: 0 }
+];
+
+function parseCronValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.offset;
+  if (!/^\d+$/.test(value)) throw new Error(`Invalid ${field.name} value "${value}"`);
+  const n = Number(value);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  return n;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+
+    let from, to;
+    if (range === '*') {
+      from = field.min; to = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      from = parseCronValue(a, field); to = parseCronValue(b, field);
+      if (from > to) throw new Error(`Invalid range in ${field.name} "${range}"`);
+    } else {
+      from = parseCronValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message if it is invalid.
+ * @param {string} expression
+ * @returns {{minute: Set<number>, hour: Set<number>, dom: Set<number>, month: Set<number>, dow: Set<number>, domAny: boolean, dowAny: boolean}}
+ */
+function parseCron(expression) {
+  const expr = CRON_MACROS[String(expression || '').trim().toLowerCase()] || String(expression || '').trim();
+  const parts = expr.split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  // 7 is also Sunday
+  if (dow.delete(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+// Wall-clock fields of a date in a time zone
+const zoneFormatters = new Map();
+function zonedParts(date, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', month: 'numeric', day: 'numeric', weekday: 'short', hour: 'numeric', minute: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const p of zoneFormatters.get(timeZone).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    minute: Number(parts.minute),
+    hour:   Number(parts.hour),
+    dom:    Number(parts.day),
+    month:  Number(parts.month),
+    dow:    DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+function isValidTimeZone(timeZone) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone }); return true; } catch { return false; }
+}
+
+// True in the second pass through the hour clocks repeat when DST ends —
+// the wall clock already showed this time an hour ago
+function isRepeatedWallClock(time, t, timeZone) {
+  const hourAgo = zonedParts(new Date(time - 60 * 60000), timeZone);
+  return hourAgo.dom === t.dom && hourAgo.hour === t.hour && hourAgo.minute === t.minute;
+}
+
+/**
+ * Next time (strictly after `from`) the cron expression matches, or null if it never
+ * does within five years (e.g. "0 0 31 2 *"). Five years covers every 29 February.
+ * A time skipped when DST starts is not run. One repeated when DST ends runs
+ * once, unless the expression runs every hour (as cron does).
+ */
+function nextCronRun(cron, timeZone = 'UTC', from = new Date()) {
+  // Standard cron: when both day fields are restricted, either one matching is enough
+  const dayMatches = t => (cron.domAny || cron.dowAny)
+    ? cron.dom.has(t.dom) && cron.dow.has(t.dow)
+    : cron.dom.has(t.dom) || cron.dow.has(t.dow);
+
+  let time = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+  const limit = time + 5 * 366 * 24 * 60 * 60000;
+  while (time < limit) {
+    const t = zonedParts(new Date(time), timeZone);
+    if (!cron.month.has(t.month) || !dayMatches(t) || !cron.hour.has(t.hour)) {
+      // Skip to the start of the next local hour
+      time += (60 - t.minute) * 60000;
+      continue;
+    }
+    if (cron.minute.has(t.minute) && (cron.hour.size === 24 || !isRepeatedWallClock(time, t, timeZone))) return new Date(time);
+    time += 60000;
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────
+// Persistence
+// ─────────────────────────────────────────────
+function saveSchedules() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    // Write then rename so a crash mid-write never leaves a half-written file
+    const tmp = `${SCHEDULES_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify([...schedules.values()], null, 2));
+    fs.renameSync(tmp, SCHEDULES_FILE);
+  } catch (error) {
+    console.error('Schedule store write failed:', error.message);
+  }
+}
+
+function loadSchedules() {
+  let list = [];
+  try { list = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8')); } catch { return; }
+  for (const schedule of Array.isArray(list) ? list : []) {
+    if (schedule && schedule.id) schedules.set(schedule.id, schedule);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Schedules
+// ─────────────────────────────────────────────
+function computeNextRun(schedule, from = new Date()) {
+  const next = nextCronRun(parseCron(schedule.cron), schedule.timezone, from);
+  return next ? next.toISOString() : null;
+}
+
+/**
+ * Register a new schedule. Throws on an invalid cron expression or time zone.
+ * @param {{name?: string, cron: string, timezone?: string, clients: Array<string|object>,
+ *   callback_url?: string|null, callback_mode?: 'job'|'per_site'}} input
+ */
+function createSchedule({ name = null, cron, timezone = 'UTC', clients, callback_url = null, callback_mode = 'job' }) {
+  parseCron(cron);
+  if (!isValidTimeZone(timezone)) throw new Error(`Unknown timezone "${timezone}"`);
+
+  const now = new Date().toISOString();
+  const schedule = {
+    id: crypto.randomUUID(),
+    name,
+    cron: String(cron).trim(),
+    timezone,
+    status: 'active',
+    clients,
+    callback_url,
+    callback_mode,
+    created_at: now,
+    updated_at: now,
+    last_run_at: null,
+    next_run_at: null,
+    runs: []
+  };
+  schedule.next_run_at = computeNextRun(schedule);
+  if (!schedule.next_run_at) throw new Error(`cron "${schedule.cron}" never matches a date`);
+  schedules.set(schedule.id, schedule);
+  saveSchedules();
+  return schedule;
+}
+
+function getSchedule(id) {
+  return schedules.get(id) || null;
+}
+
+function listSchedules() {
+  return [...schedules.values()];
+}
+
+function setScheduleStatus(id, status) {
+  const schedule = schedules.get(id);
+  if (!schedule) return null;
+  schedule.status = status;
+  schedule.updated_at = new Date().toISOString();
+  // A resumed schedule picks up from now rather than firing for the time it was paused
+  schedule.next_run_at = status === 'active' ? computeNextRun(schedule) : null;
+  saveSchedules();
+  return schedule;
+}
+
+function pauseSchedule(id)  { return setScheduleStatus(id, 'paused'); }
+function resumeSchedule(id) { return setScheduleStatus(id, 'active'); }
+
+function deleteSchedule(id) {
+  if (!schedules.delete(id)) return false;
+  saveSchedules();
+  return true;
+}
+
+function recordScheduleRun(schedule, run) {
+  schedule.runs.push(run);
+  if (schedule.runs.length > MAX_RUNS_KEPT) schedule.runs = schedule.runs.slice(-MAX_RUNS_KEPT);
+}
+
+/**
+ * Start a batch job for a due schedule. A run is skipped if the previous job
+ * from the same schedule is still going, so slow batches never pile up.
+ */
+function runSchedule(schedule, now = new Date()) {
+  const firedAt = now.toISOString();
+  schedule.last_run_at = firedAt;
+  schedule.next_run_at = computeNextRun(schedule, now);
+
+  const lastJobId = [...schedule.runs].reverse().find(r => r.job_id)?.job_id;
+  const lastJob = lastJobId ? getBatchJob(lastJobId) : null;
+  if (lastJob && (lastJob.status === 'running' || lastJob.status === 'paused')) {
+    console.log(`Schedule ${schedule.id} skipped — job ${lastJobId} is still ${lastJob.status}`);
+    recordScheduleRun(schedule, { job_id: null, started_at: firedAt, skipped: true, reason: `Previous job ${lastJobId} still ${lastJob.status}` });
+    return null;
+  }
+
+  const jobId = crypto.randomUUID();
+  console.log(`Schedule ${schedule.id} started batch job ${jobId} — ${schedule.clients.length} clients`);
+  recordScheduleRun(schedule, { job_id: jobId, started_at: firedAt });
+
+  runBatchHealthCheck(jobId, schedule.clients, schedule.callback_url || null, {
+    callbackMode: schedule.callback_mode,
+    scheduleId: schedule.id
+  }).catch(err => {
+    console.error(`Scheduled batch job ${jobId} fatal error:`, err);
+  });
+  return jobId;
+}
+
+function tick() {
+  const now = new Date();
+  let changed = false;
+  for (const schedule of schedules.values()) {
+    if (schedule.status !== 'active' || !schedule.next_run_at) continue;
+    if (Date.parse(schedule.next_run_at) > now.getTime()) continue;
+    try {
+      runSchedule(schedule, now);
+    } catch (error) {
+      console.error(`Schedule ${schedule.id} failed to start:`, error.message);
+    }
+    changed = true;
+  }
+  if (changed) saveSchedules();
+}
+
+/**
+ * Load persisted schedules and start the once-a-minute scheduler. Safe to call
+ * more than once — only the first call does anything.
+ */
+let schedulerStarted = false;
+function startScheduler() {
+  if (schedulerStarted) return;
+  schedulerStarted = true;
+
+  loadSchedules();
+  const now = new Date();
+  for (const schedule of schedules.values()) {
+    if (schedule.status !== 'active') continue;
+    // Missed runs while we were down are skipped — recompute from now
+    if (!schedule.next_run_at || Date.parse(schedule.next_run_at) <= now.getTime()) {
+      schedule.next_run_at = computeNextRun(schedule, now);
+    }
+  }
+  if (schedules.size > 0) {
+    saveSchedules();
+    console.log(`Loaded ${schedules.size} health check schedule(s)`);
+  }
+
+  // Tick just after each minute boundary
+  const arm = () => setTimeout(() => { tick(); arm(); }, 60000 - (Date.now() % 60000) + 50).unref();
+  arm();
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun,
+  isValidTimeZone,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  startScheduler
+};
@@ -0,0 +1,159 @@
+// Durable batch job store
+//
+// Each batch job is an append-only JSONL file under HEALTH_DATA_DIR/batch-jobs.
+// Lines are records that get replayed in order on boot:
+//   { type: 'job',    ...job metadata, clients }   — written once when the job starts
+//   { type: 'result', result, state }              — one per finished client (done | error)
+//   { type: 'clients', indexes, state }            — bulk state changes (cancel, retry)
+//   { type: 'status', status, completedAt, error } — whenever the job status changes
+//   { type: 'callback', attempt }                  — one per callback delivery attempt
+// Appending (rather than rewriting a snapshot) keeps a 2000-client job cheap to persist.
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.HEALTH_DATA_DIR || path.join(__dirname, 'data');
+const JOBS_DIR = path.join(DATA_DIR, 'batch-jobs');
+
+function jobFile(jobId) {
+  return path.join(JOBS_DIR, `${path.basename(String(jobId))}.jsonl`);
+}
+
+function appendRecord(jobId, record) {
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    fs.appendFileSync(jobFile(jobId), JSON.stringify(record) + '\n');
+  } catch (error) {
+    // Persistence is best-effort — never let a disk error kill a running batch
+    console.error(`Job store write failed for ${jobId}:`, error.message);
+  }
+}
+
+function saveJob(jobId, job) {
+  appendRecord(jobId, {
+    type: 'job',
+    total: job.total,
+    startedAt: job.startedAt,
+    callbackUrl: job.callbackUrl,
+    callbackMode: job.callbackMode,
+    scheduleId: job.scheduleId || null,
+    clients: job.clients
+  });
+}
+
+function saveResult(jobId, result, state = 'done') {
+  appendRecord(jobId, { type: 'result', result, state });
+}
+
+function saveClientStates(jobId, indexes, state) {
+  if (indexes.length === 0) return;
+  appendRecord(jobId, { type: 'clients', indexes, state });
+}
+
+function saveCallbackAttempt(jobId, attempt) {
+  appendRecord(jobId, { type: 'callback', attempt });
+}
+
+function saveStatus(jobId, job) {
+  appendRecord(jobId, {
+    type: 'status',
+    status: job.status,
+    completedAt: job.completedAt || null,
+    error: job.error || null
+  });
+}
+
+/**
+ * Replay one job file into a job object. Returns null if the file has no job record.
+ * A torn last line (crash mid-write) is skipped rather than failing the whole job.
+ */
+function readJob(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  // Terminate a torn line so the next append starts on a fresh one
+  if (content && !content.endsWith('\n')) fs.appendFileSync(file, '\n');
+
+  const lines = content.split('\n').filter(Boolean);
+  let job = null;
+  // Latest result per client index — an array filter per record is O(n²) on big batches
+  let results = new Map();
+
+  for (const line of lines) {
+    let record;
+    try { record = JSON.parse(line); } catch { continue; }
+
+    if (record.type === 'job') {
+      job = {
+        total: record.total,
+        completed: 0,
+        results: [],
+        status: 'running',
+        startedAt: record.startedAt,
+        completedAt: null,
+        callbackUrl: record.callbackUrl || null,
+        callbackMode: record.callbackMode || 'job',
+        callbackDeliveries: [],
+        scheduleId: record.scheduleId || null,
+        clients: (record.clients || []).map(c => ({ ...c, state: c.state || 'queued' }))
+      };
+      results = new Map();
+    } else if (job && record.type === 'result') {
+      const index = record.result.index;
+      results.set(index, record.result);
+      if (job.clients[index]) job.clients[index].state = record.state || 'done';
+    } else if (job && record.type === 'clients') {
+      const indexes = new Set(record.indexes);
+      for (const index of indexes) {
+        if (job.clients[index]) job.clients[index].state = record.state;
+      }
+      // Re-queued clients lose their previous result until the retry finishes
+      if (record.state === 'queued') for (const index of indexes) results.delete(index);
+    } else if (job && record.type === 'callback') {
+      job.callbackDeliveries.push(record.attempt);
+    } else if (job && record.type === 'status') {
+      job.status = record.status;
+      job.completedAt = record.completedAt;
+      if (record.error) job.error = record.error;
+    }
+  }
+
+  if (job) {
+    job.results = [...results.values()].sort((a, b) => a.index - b.index);
+    job.completed = job.results.length;
+  }
+  return job;
+}
+
+/**
+ * Load every persisted job.
+ * @returns {Array<[string, object]>} [jobId, job] pairs
+ */
+function loadJobs() {
+  let files = [];
+  try { files = fs.readdirSync(JOBS_DIR).filter(f => f.endsWith('.jsonl')); } catch { return []; }
+
+  const jobs = [];
+  for (const file of files) {
+    try {
+      const job = readJob(path.join(JOBS_DIR, file));
+      if (job) jobs.push([path.basename(file, '.jsonl'), job]);
+    } catch (error) {
+      console.error(`Job store could not read ${file}:`, error.message);
+    }
+  }
+  return jobs;
+}
+
+function deleteJob(jobId) {
+  try { fs.unlinkSync(jobFile(jobId)); } catch {}
+}
+
+module.exports = {
+  DATA_DIR,
+  saveJob,
+  saveResult,
+  saveClientStates,
+  saveCallbackAttempt,
+  saveStatus,
+  loadJobs,
+  deleteJob
+};
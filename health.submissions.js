@@ -0,0 +1,175 @@
+// Form submission requests
+//
+// A form counts as submitted on the strength of its network request (and the
+// site's response status), a thank-you URL, or success text that was not on the
+// page before the click — in that order. Pre-existing "thanks" copy proves nothing.
+//
+// The check answers requests it must not send with a mock of its own (see
+// openCheckPage and the form modes in health.runners.js). Those responses carry
+// MOCK_HEADER, and a submission the mock answered is never "confirmed": the site
+// did not reply, and plugin JS expecting its own response shape (Contact Form 7's
+// status "mail_sent", Gravity Forms, WPForms) will not run its success handler.
+//
+// A request is the form's submission when it goes to the form's action (a GET only
+// with a query string), or is a non-GET made from the click on that carries text
+// typed into the form and goes to a WordPress form endpoint (admin-ajax.php,
+// admin-post.php, a REST route) or the page's own origin. Heartbeats, oEmbed and
+// REST nonce refreshes carry no form values and are ignored.
+
+const MOCK_HEADER = 'x-health-check-mock';
+// WordPress form plugins post to admin-ajax.php, admin-post.php or their REST route
+// (Contact Form 7 /wp-json/contact-form-7/…, Gravity Forms /wp-json/gf/…, WPForms, Elementor)
+const SUBMISSION_URL_PATTERN = /\/wp-admin\/admin-(ajax|post)\.php|\/wp-json\/|[?&]rest_route=/i;
+const SUBMISSION_RESOURCE_TYPES = ['document', 'xhr', 'fetch', 'other'];
+const SUBMISSION_RESPONSE_TIMEOUT_MS = 3000;
+// Shorter values ("on", "yes", "1") turn up in any request body
+const MIN_FIELD_VALUE_LENGTH = 4;
+
+function urlWithoutQuery(u) {
+  try { const p = new URL(u); return p.origin + p.pathname; } catch { return null; }
+}
+
+function hasQuery(u) {
+  try { return new URL(u).search.length > 1; } catch { return false; }
+}
+
+function originOf(u) {
+  try { return new URL(u).origin; } catch { return null; }
+}
+
+/**
+ * Fulfil a request with the check's own mock — a "Thank you" page for navigations,
+ * JSON for everything else — tagged with MOCK_HEADER.
+ */
+function fulfillWithMock(route) {
+  const headers = { [MOCK_HEADER]: '1' };
+  if (route.request().resourceType() === 'document') {
+    return route.fulfill({ status: 200, headers, contentType: 'text/html', body: '<!doctype html><html><body><p>Thank you — your message has been sent.</p></body></html>' });
+  }
+  return route.fulfill({ status: 200, headers, contentType: 'application/json', body: JSON.stringify({ success: true, message: 'mocked' }) });
+}
+
+/**
+ * Text typed into the form's fields, read just before submitting.
+ * @param {object} formLocator - Playwright locator for the form
+ * @returns {Promise<string[]>}
+ */
+async function formFieldValues(formLocator) {
+  return await formLocator.evaluate((form, minLength) =>
+    [...form.querySelectorAll('input, textarea')]
+      .filter(el => !['hidden', 'password', 'checkbox', 'radio', 'submit', 'button', 'file'].includes(el.type))
+      .map(el => el.value.trim())
+      .filter(v => v.length >= minLength),
+    MIN_FIELD_VALUE_LENGTH
+  ).catch(() => []);
+}
+
+// A request body holding one of the values — url-encoded (either space encoding), JSON-escaped or raw
+function carriesFieldValues(body, values) {
+  if (!body) return false;
+  return values.some(v => {
+    const encoded = encodeURIComponent(v);
+    return body.includes(v) || body.includes(encoded) || body.includes(encoded.replace(/%20/g, '+')) ||
+      body.includes(JSON.stringify(v).slice(1, -1));
+  });
+}
+
+/**
+ * Predicate for the requests that make up one form's submission.
+ * @param {{actionUrl: string, pageUrl: string, fieldValues?: string[], ignore?: (url: string) => boolean}} form -
+ *   ignore skips requests that are never a submission (analytics hits)
+ * @returns {(req: object) => boolean} takes a Playwright request
+ */
+function submissionMatcher({ actionUrl, pageUrl, fieldValues = [], ignore = () => false }) {
+  const actionPath = urlWithoutQuery(actionUrl);
+  const pageOrigin = originOf(pageUrl);
+  return req => {
+    const reqUrl = req.url();
+    if (ignore(reqUrl) || !SUBMISSION_RESOURCE_TYPES.includes(req.resourceType())) return false;
+    const isGet = req.method() === 'GET';
+    if (actionPath && urlWithoutQuery(reqUrl) === actionPath && (!isGet || hasQuery(reqUrl))) return true;
+    if (isGet || req.resourceType() === 'document') return false;
+    const toEndpoint = SUBMISSION_URL_PATTERN.test(reqUrl) || originOf(reqUrl) === pageOrigin;
+    let body = null;
+    try { body = req.postData(); } catch {}
+    return toEndpoint && carriesFieldValues(body, fieldValues);
+  };
+}
+
+/**
+ * Record the page's submission requests from now on — start it right before the click.
+ * @param {object} page - Playwright page
+ * @param {(req: object) => boolean} matches - from submissionMatcher()
+ * @returns {{requests: object[], stop: () => void}}
+ */
+function watchSubmissionRequests(page, matches) {
+  const requests  = [];
+  const onRequest = req => { if (matches(req)) requests.push(req); };
+  page.on('request', onRequest);
+  return { requests, stop: () => page.off('request', onRequest) };
+}
+
+/**
+ * The watched request that best shows what happened to the submission: one the
+ * site accepted, else one the site answered, else one only the mock answered.
+ * @returns {Promise<{method: string, url: string, type: string, status: number|null, mocked: boolean}|null>}
+ */
+async function submissionResponse(requests) {
+  const described = [];
+  for (const req of requests) {
+    const res = await Promise.race([
+      req.response().catch(() => null),
+      new Promise(r => setTimeout(r, SUBMISSION_RESPONSE_TIMEOUT_MS)).then(() => null)
+    ]);
+    const mocked = !!res && !!(await Promise.resolve(res.headers()).catch(() => ({})))[MOCK_HEADER];
+    described.push({ method: req.method(), url: req.url(), type: req.resourceType(), status: res ? res.status() : null, mocked });
+  }
+  const fromSite = described.filter(r => r.status !== null && !r.mocked);
+  return fromSite.find(r => r.status < 400) || fromSite[0] || described.find(r => r.mocked) || described[0] || null;
+}
+
+// Text lines currently on the page — compared before and after submitting
+async function pageTextLines(page) {
+  return await page.evaluate(() =>
+    (document.body?.innerText || '').split('\n').map(l => l.trim()).filter(Boolean)
+  ).catch(() => []);
+}
+
+/**
+ * How the submission was confirmed. When the only answer the submission got came
+ * from the check's mock, nothing after it is evidence (the thank-you page may be
+ * the mock's own): `by` is null and `mocked` is true.
+ * @param {object} page - Playwright page
+ * @param {{requests: object[]}} watcher - from watchSubmissionRequests()
+ * @param {{beforeUrl: string, beforeLines: string[], pack: object}} before - page state before the click
+ * @returns {Promise<{by: 'network'|'url'|'dom'|null, request: object|null, rejected: boolean, mocked: boolean}>}
+ */
+async function confirmSubmission(page, watcher, { beforeUrl, beforeLines, pack }) {
+  const request  = await submissionResponse(watcher.requests);
+  const answered = !!request && request.status !== null && !request.mocked;
+  const rejected = answered && request.status >= 400;
+  if (answered && !rejected) return { by: 'network', request, rejected, mocked: false };
+  if (!answered && request?.mocked) return { by: null, request, rejected, mocked: true };
+
+  const afterUrl = page.url();
+  if (afterUrl !== beforeUrl && new RegExp(pack.success_url_pattern, 'i').test(afterUrl)) return { by: 'url', request, rejected, mocked: false };
+
+  const seen = new Set(beforeLines);
+  const successRe = new RegExp(pack.success_pattern, 'i');
+  if ((await pageTextLines(page)).some(line => !seen.has(line) && successRe.test(line))) return { by: 'dom', request, rejected, mocked: false };
+  return { by: null, request, rejected, mocked: false };
+}
+
+module.exports = {
+  MOCK_HEADER,
+  SUBMISSION_URL_PATTERN,
+  urlWithoutQuery,
+  hasQuery,
+  fulfillWithMock,
+  formFieldValues,
+  submissionMatcher,
+  watchSubmissionRequests,
+  submissionResponse,
+  pageTextLines,
+  confirmSubmission
+};
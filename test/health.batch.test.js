@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-batch-'));
+process.env.LOG_LEVEL = 'silent';
+// One worker, so a pause or cancel right after the start leaves clients queued
+process.env.HEALTH_MAX_CONCURRENT = '1';
+process.env.HEALTH_CALLBACK_SECRET = 'test-secret';
+process.env.HEALTH_CALLBACK_RETRY_MS = '10';
+process.env.HEALTH_CALLBACK_ATTEMPTS = '3';
+const jobStore = require('../health.store');
+const runners = require('../health.runners');
+
+// Clients whose URL fails before a browser is launched, so each check errors at once
+const BAD_URL = 'http://';
+
+function persistJob(jobId, clients, records = []) {
+  jobStore.saveJob(jobId, {
+    total: clients.length, startedAt: new Date().toISOString(), callbackUrl: null, callbackMode: 'job',
+    clients: clients.map((c, i) => ({ url: BAD_URL, _index: i, ...c }))
+  });
+  for (const write of records) write(jobId);
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out waiting');
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+test('restore finalises, keeps or resumes persisted jobs', async () => {
+  const done = id => jobStore.saveResult(id, { index: 0, url: BAD_URL, ok: false }, 'error');
+  const paused = id => jobStore.saveStatus(id, { status: 'paused' });
+  const cancelled = id => { jobStore.saveStatus(id, { status: 'cancelled' }); jobStore.saveClientStates(id, [0], 'cancelled'); };
+
+  persistJob('restore-paused-done', [{ state: 'queued' }], [done, paused]);
+  persistJob('restore-paused-queued', [{ state: 'queued' }, { state: 'queued' }], [done, paused]);
+  persistJob('restore-cancelled', [{ state: 'queued' }], [cancelled]);
+  persistJob('restore-running', [{ state: 'running' }, { state: 'queued' }]);
+
+  runners.restoreBatchJobs();
+
+  // Paused after its last client finished: nothing will resume it, so it completes
+  assert.equal(runners.getBatchJob('restore-paused-done').status, 'complete');
+  assert.ok(runners.getBatchJob('restore-paused-done').completedAt);
+  // Paused with work left stays paused until resumed
+  assert.equal(runners.getBatchJob('restore-paused-queued').status, 'paused');
+  assert.equal(runners.getBatchJob('restore-paused-queued').completedAt, null);
+  assert.ok(runners.getBatchJob('restore-cancelled').completedAt);
+
+  // Interrupted clients are re-queued and the job runs to completion
+  const running = runners.getBatchJob('restore-running');
+  await waitFor(() => running.status === 'complete');
+  assert.equal(running.completed, 2);
+});
+
+test('pause stops taking clients and resume finishes the job', async () => {
+  runners.runBatchHealthCheck('pause-resume', [BAD_URL, BAD_URL, BAD_URL]);
+  const job = runners.getBatchJob('pause-resume');
+  assert.equal(runners.pauseBatchJob('pause-resume').job, job);
+  assert.equal(runners.pauseBatchJob('pause-resume').code, 409);
+  await job.workers;
+  assert.equal(job.status, 'paused');
+  assert.deepEqual(runners.getClientStateCounts(job), { queued: 2, running: 0, done: 0, error: 1, cancelled: 0 });
+
+  runners.resumeBatchJob('pause-resume');
+  await job.workers;
+  assert.equal(job.status, 'complete');
+  assert.equal(job.completed, 3);
+});
+
+test('a job paused while its last client runs still completes', async () => {
+  runners.runBatchHealthCheck('pause-last', [BAD_URL]);
+  const job = runners.getBatchJob('pause-last');
+  runners.pauseBatchJob('pause-last');
+  await job.workers;
+  assert.equal(job.status, 'complete');
+});
+
+test('cancel drops queued clients and keeps finished ones', async () => {
+  runners.runBatchHealthCheck('cancel', [BAD_URL, BAD_URL, BAD_URL]);
+  const job = runners.getBatchJob('cancel');
+  runners.cancelBatchJob('cancel');
+  await waitFor(() => job.completedAt);
+  assert.equal(job.status, 'cancelled');
+  assert.deepEqual(runners.getClientStateCounts(job), { queued: 0, running: 0, done: 0, error: 1, cancelled: 2 });
+  assert.equal(runners.resumeBatchJob('cancel').code, 409);
+  assert.equal(runners.cancelBatchJob('missing').code, 404);
+});
+
+test('retry re-runs only the clients that errored', async () => {
+  await runners.runBatchHealthCheck('retry', [{ url: BAD_URL, client_name: 'Acme' }, BAD_URL]);
+  const job = runners.getBatchJob('retry');
+  assert.equal(job.status, 'complete');
+  const firstRun = job.results.map(r => r.completedAt);
+
+  const { requeued } = runners.retryFailedBatchClients('retry');
+  assert.equal(requeued, 2);
+  assert.equal(job.status, 'running');
+  await job.workers;
+  assert.equal(job.status, 'complete');
+  assert.equal(job.results.length, 2);
+  assert.equal(job.results[0].client_name, 'Acme');
+  assert.ok(job.results.every((r, i) => r.completedAt >= firstRun[i]));
+});
+
+// Callback receiver answering with the given status codes in turn (200 once they run out)
+async function callbackReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, json: JSON.parse(body) });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { received, url: `http://127.0.0.1:${server.address().port}/cb`, close: () => server.close() };
+}
+
+test('job callbacks are signed and retried until delivered', async () => {
+  const receiver = await callbackReceiver([500]);
+  try {
+    await runners.runBatchHealthCheck('callback-job', [BAD_URL], receiver.url);
+    const job = runners.getBatchJob('callback-job');
+    await waitFor(() => runners.getCallbackStatus(job).delivered === 1);
+
+    assert.equal(receiver.received.length, 2);
+    const [first, second] = receiver.received;
+    assert.equal(first.headers['x-health-delivery'], second.headers['x-health-delivery']);
+    assert.equal(second.headers['x-health-job-id'], 'callback-job');
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'test-secret')
+      .update(`${second.headers['x-health-timestamp']}.${second.body}`).digest('hex');
+    assert.equal(second.headers['x-health-signature'], expected);
+    assert.equal(second.json.type, 'job_complete');
+    assert.equal(second.json.results.length, 1);
+
+    const status = runners.getCallbackStatus(job);
+    assert.equal(status.signed, true);
+    assert.equal(status.attempts, 2);
+    assert.deepEqual(status.deliveries.map(d => [d.attempt, d.ok, d.status_code]), [[1, false, 500], [2, true, 200]]);
+  } finally {
+    receiver.close();
+  }
+});
+
+test('callbacks give up after the configured attempts', async () => {
+  const receiver = await callbackReceiver([503, 503, 503]);
+  try {
+    await runners.runBatchHealthCheck('callback-fail', [BAD_URL], receiver.url);
+    const job = runners.getBatchJob('callback-fail');
+    await waitFor(() => runners.getCallbackStatus(job).attempts === 3);
+    assert.equal(runners.getCallbackStatus(job).delivered, 0);
+    assert.equal(receiver.received.length, 3);
+  } finally {
+    receiver.close();
+  }
+});
+
+test('per_site callbacks post each result, then a final callback without results', async () => {
+  const receiver = await callbackReceiver();
+  try {
+    await runners.runBatchHealthCheck('callback-sites', [BAD_URL, BAD_URL], receiver.url, { callbackMode: 'per_site' });
+    await waitFor(() => receiver.received.length === 3);
+    const types = receiver.received.map(r => r.json.type);
+    assert.deepEqual(types.filter(t => t === 'site_result').length, 2);
+    const final = receiver.received.find(r => r.json.type === 'job_complete').json;
+    assert.equal(final.results, undefined);
+    assert.equal(final.counts.completed, 2);
+  } finally {
+    receiver.close();
+  }
+});
+
+test('summary aggregates grades, failures, GTM containers and durations', () => {
+  const job = {
+    total: 4, completed: 4, clients: [],
+    results: [
+      { index: 0, url: 'https://a.test', client_name: 'A', grade: 'T1', overall_status: 'PASS', duration_ms: 1000,
+        tracking: { tags_found: { gtm: ['GTM-1'] } } },
+      { index: 1, url: 'https://b.test', grade: 'T2', overall_status: 'NEEDS_IMPROVEMENT', duration_ms: 3000,
+        failure_detail: [{ category: 'forms' }, { category: 'forms' }, { category: 'phones' }],
+        tracking: { tags_found: { gtm: ['GTM-1', 'GTM-2'] } } },
+      { index: 2, url: 'https://c.test', grade: 'FAIL', overall_status: 'FAIL', duration_ms: 2000,
+        failure_detail: [{ category: 'forms' }], tracking: { tags_found: { gtm: [] } } },
+      // Errored checks carry grade T2 but count as ERROR and are left out of GTM stats
+      { index: 3, url: 'https://d.test', ok: false, grade: 'T2', overall_status: 'ERROR' }
+    ]
+  };
+  const summary = runners.getBatchSummary(job, { topN: 2 });
+  assert.equal(summary.sites, 4);
+  assert.deepEqual(summary.grades, { T1: 1, T2: 1, T3: 0, FAIL: 1, ERROR: 1 });
+  assert.deepEqual(summary.overall_status, { PASS: 1, NEEDS_IMPROVEMENT: 1, FAIL: 1, ERROR: 1 });
+  assert.deepEqual(summary.top_failure_categories, [{ category: 'forms', sites: 2 }, { category: 'phones', sites: 1 }]);
+  assert.deepEqual(summary.gtm_containers, [{ id: 'GTM-1', sites: 2 }, { id: 'GTM-2', sites: 1 }]);
+  assert.equal(summary.sites_without_gtm, 1);
+  assert.equal(summary.sites_with_multiple_gtm, 1);
+  assert.equal(summary.median_duration_ms, 2000);
+  assert.deepEqual(summary.slowest_sites.map(s => s.index), [1, 2]);
+  assert.equal(summary.slowest_sites[0].client_name, undefined);
+
+  const counts = runners.getBatchCounts(job);
+  assert.deepEqual(counts.grades, { T1: 1, T2: 1, FAIL: 1, ERROR: 1 });
+});
+
+test('summary of a job with no results', () => {
+  const summary = runners.getBatchSummary({ results: [] });
+  assert.equal(summary.sites, 0);
+  assert.equal(summary.median_duration_ms, null);
+  assert.deepEqual(summary.slowest_sites, []);
+});
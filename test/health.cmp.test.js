@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { chromium } = require('playwright');
+const { CMP_ADAPTERS, detectCmps, runConsentAction } = require('../health.cmp');
+const { getLocalePack } = require('../health.locales');
+
+// These tests drive real pages, so they need Playwright's Chromium (npx playwright install chromium)
+const NO_BROWSER = !fs.existsSync(chromium.executablePath()) && 'Playwright Chromium is not installed';
+const browserTest = (name, fn) => test(name, { skip: NO_BROWSER }, fn);
+
+let browser, page;
+test.before(async () => {
+  if (!NO_BROWSER) browser = await chromium.launch({ args: ['--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'] });
+});
+test.after(() => browser?.close());
+test.beforeEach(async () => { if (browser) page = await browser.newPage(); });
+test.afterEach(() => page?.close());
+
+// Buttons record their own click, so a test can tell which one was pressed
+const CLICKED = "<script>document.addEventListener('click', e => { window.clicked = e.target.closest('button, a')?.id || null; }, true);</script>";
+const clicked = () => page.evaluate(() => window.clicked || null);
+
+test('every adapter has an id, a name and accept and reject selectors', () => {
+  assert.equal(new Set(CMP_ADAPTERS.map(a => a.id)).size, CMP_ADAPTERS.length);
+  for (const a of CMP_ADAPTERS) {
+    assert.ok(a.name && a.accept.length && a.reject.length, a.id);
+  }
+  assert.equal(CMP_ADAPTERS.at(-1).id, 'generic');
+});
+
+browserTest('detects CMPs by markup and globals, in registry order', async () => {
+  await page.setContent('<p>No banner</p>');
+  assert.deepEqual(await detectCmps(page), []);
+  await page.setContent("<div id='CybotCookiebotDialog'></div><script>window.Didomi = {};</script>");
+  assert.deepEqual((await detectCmps(page)).map(a => a.id), ['cookiebot', 'didomi']);
+});
+
+browserTest('accepts and rejects through the detected adapter', async () => {
+  const banner = `${CLICKED}<div id='onetrust-banner-sdk'>
+    <button id='onetrust-reject-all-handler'>Reject All</button><button id='onetrust-accept-btn-handler'>Accept All</button></div>`;
+  await page.setContent(banner);
+  const accepted = await runConsentAction(page, 'accept');
+  assert.deepEqual(accepted, { clicked: true, cmp: { id: 'onetrust', name: 'OneTrust' }, clicked_by: 'onetrust', frame_url: null });
+  assert.equal(await clicked(), 'onetrust-accept-btn-handler');
+
+  await page.setContent(banner);
+  assert.equal((await runConsentAction(page, 'reject')).clicked, true);
+  assert.equal(await clicked(), 'onetrust-reject-all-handler');
+});
+
+browserTest('finds buttons inside an open shadow root', async () => {
+  await page.setContent(`${CLICKED}<div id='usercentrics-root'></div><script>
+    const root = document.getElementById('usercentrics-root').attachShadow({ mode: 'open' });
+    root.innerHTML = "<button id='deny' data-testid='uc-deny-all-button'>Deny</button>";
+    root.addEventListener('click', e => { window.clicked = e.target.id; });
+  </script>`);
+  const result = await runConsentAction(page, 'reject');
+  assert.equal(result.clicked_by, 'usercentrics');
+  assert.equal(await clicked(), 'deny');
+});
+
+browserTest('clicks inside the CMP iframe and reports its URL', async () => {
+  const frameUrl = 'https://cdn.privacy-mgmt.com/index.html?message_id=1';
+  await page.route(frameUrl, route => route.fulfill({ contentType: 'text/html',
+    body: "<button class='sp_choice_type_11' onclick='parent.postMessage(\"accepted\", \"*\")'>Accept all</button>" }));
+  await page.setContent(`<script>window._sp_ = {}; addEventListener('message', e => { window.clicked = e.data; });</script><iframe src='${frameUrl}'></iframe>`);
+  await page.waitForSelector('iframe');
+  await page.frames()[1].waitForSelector('button');
+
+  const result = await runConsentAction(page, 'accept');
+  assert.equal(result.cmp.id, 'sourcepoint');
+  assert.equal(result.frame_url, frameUrl);
+  await page.waitForFunction(() => window.clicked === 'accepted');
+});
+
+browserTest('the generic adapter accepts by label without clicking a refusal', async () => {
+  await page.setContent(`${CLICKED}<div class='banner'>
+    <button id='without'>Continue without accepting</button><button id='continue'>Continue</button></div>`);
+  const result = await runConsentAction(page, 'accept');
+  assert.deepEqual([result.clicked, result.cmp, result.clicked_by], [true, null, 'generic']);
+  assert.equal(await clicked(), 'continue');
+});
+
+browserTest('uses the locale pack labels for the generic adapter', async () => {
+  const fr = getLocalePack('fr');
+  await page.setContent(`${CLICKED}<div><button id='refuser'>Continuer sans accepter</button><button id='accepter'>Tout accepter</button></div>`);
+  await runConsentAction(page, 'accept', { labels: fr.consent_accept, rejectLabels: fr.consent_reject });
+  assert.equal(await clicked(), 'accepter');
+
+  await page.setContent(`${CLICKED}<div><button id='accepter'>Tout accepter</button><button id='refuser'>Tout refuser</button></div>`);
+  await runConsentAction(page, 'reject', { labels: fr.consent_reject });
+  assert.equal(await clicked(), 'refuser');
+});
+
+browserTest('reports nothing clicked when there is no banner', async () => {
+  await page.setContent('<button>Buy now</button>');
+  assert.deepEqual(await runConsentAction(page, 'accept'), { clicked: false, cmp: null, clicked_by: null, frame_url: null });
+});
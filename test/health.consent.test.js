@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-consent-'));
+process.env.LOG_LEVEL = 'silent';
+delete process.env.HEALTH_REJECT_PASS;
+delete process.env.HEALTH_GLOBAL_TIMEOUT;
+const { decodeGcs, decodeGcd, auditConsentMode, classifyAndParseBeacons, normaliseCheckOptions, checkTimeoutMs } = require('../health.runners');
+
+test('decodes gcs into ad and analytics storage', () => {
+  assert.deepEqual(decodeGcs('G100'), { ad_storage: 'denied', analytics_storage: 'denied' });
+  assert.deepEqual(decodeGcs('G101'), { ad_storage: 'denied', analytics_storage: 'granted' });
+  assert.deepEqual(decodeGcs('G1-1'), { ad_storage: null, analytics_storage: 'granted' });
+  assert.equal(decodeGcs('G2xx'), null);
+  assert.equal(decodeGcs(null), null);
+});
+
+test('decodes gcd into default, update and effective state per type', () => {
+  const gcd = decodeGcd('13r3r3p3l5l1');
+  assert.deepEqual(gcd.ad_storage, { default: 'denied', update: 'granted', effective: 'granted' });
+  assert.deepEqual(gcd.ad_user_data, { default: 'denied', update: null, effective: 'denied' });
+  assert.deepEqual(gcd.ad_personalization, { default: null, update: null, effective: null });
+  assert.equal(decodeGcd('13r3'), null);
+  assert.equal(decodeGcd(undefined), null);
+});
+
+// Runs the audit's page scan against a stand-in window holding this dataLayer
+function pageWith(dataLayer, ics = null) {
+  return {
+    evaluate: async fn => {
+      globalThis.window = { dataLayer, ...(ics ? { google_tag_data: { ics: { entries: ics } } } : {}) };
+      try { return fn(); } finally { delete globalThis.window; }
+    }
+  };
+}
+// gtag() pushes its arguments object, not an array
+const gtag = (...args) => (function () { return arguments; })(...args);
+const ga4 = query => classifyAndParseBeacons(`https://www.google-analytics.com/g/collect?v=2&tid=G-1&cid=1.1&${query}`)[0];
+
+const DENIED = { ad_storage: 'denied', analytics_storage: 'denied', ad_user_data: 'denied', ad_personalization: 'denied' };
+const GRANTED = { ad_storage: 'granted', analytics_storage: 'granted', ad_user_data: 'granted', ad_personalization: 'granted' };
+
+test('a v2 default before GTM with cookieless pings passes', async () => {
+  const page = pageWith([gtag('consent', 'default', DENIED), { event: 'gtm.js' }, gtag('consent', 'update', GRANTED)]);
+  const beacons = [ga4('en=page_view&gcs=G100'), ga4('en=page_view&gcs=G111')];
+  const audit = await auditConsentMode(page, beacons, 1, true);
+  assert.equal(audit.status, 'PASS');
+  assert.equal(audit.behaviour, 'COOKIELESS_PINGS_BEFORE_CONSENT');
+  assert.equal(audit.default_before_gtm, true);
+  assert.equal(audit.v2_signals, true);
+  assert.equal(audit.update_found, true);
+  assert.deepEqual(audit.before_consent.gcs, ['G100']);
+  assert.deepEqual(audit.after_consent.gcs, ['G111']);
+});
+
+test('tags blocked until consent', async () => {
+  const page = pageWith([gtag('consent', 'default', DENIED), { event: 'gtm.js' }, gtag('consent', 'update', GRANTED)]);
+  const audit = await auditConsentMode(page, [ga4('en=page_view&gcs=G111')], 0, true);
+  assert.equal(audit.behaviour, 'BLOCKED_UNTIL_CONSENT');
+  assert.equal(audit.status, 'PASS');
+});
+
+test('reports v1-only, late and granted defaults, early hits and a missing update', async () => {
+  const page = pageWith([{ event: 'gtm.js' }, gtag('consent', 'default', { ad_storage: 'granted', analytics_storage: 'denied' })]);
+  const beacons = [ga4('en=page_view&gcs=G110'), classifyAndParseBeacons('https://www.facebook.com/tr/?id=1&ev=PageView')[0]];
+  const audit = await auditConsentMode(page, beacons, 2, true);
+  assert.equal(audit.status, 'FAIL');
+  assert.equal(audit.behaviour, 'FIRES_BEFORE_CONSENT');
+  assert.equal(audit.v2_signals, false);
+  assert.deepEqual(audit.issues.map(i => i.issue),
+    ['CONSENT_MODE_V1_ONLY', 'GRANTED_BY_DEFAULT', 'DEFAULT_AFTER_GTM', 'FIRES_BEFORE_CONSENT', 'NO_CONSENT_UPDATE']);
+  assert.equal(audit.before_consent.pixel_hits, 1);
+});
+
+test('no consent default at all', async () => {
+  const audit = await auditConsentMode(pageWith([{ event: 'gtm.js' }]), [], 0, true);
+  assert.equal(audit.default_found, false);
+  assert.deepEqual(audit.issues.map(i => i.issue), ['NO_CONSENT_DEFAULT']);
+});
+
+test('reads consent set by a GTM consent template', async () => {
+  const page = pageWith([{ event: 'gtm.js' }], {
+    ad_storage: { default: false, update: true }, analytics_storage: { default: false, update: true },
+    ad_user_data: { default: false }, ad_personalization: { default: false }
+  });
+  const audit = await auditConsentMode(page, [], 0, true);
+  assert.equal(audit.default_found, true);
+  assert.equal(audit.defaults.ad_storage, 'denied');
+  assert.equal(audit.updates.analytics_storage, 'granted');
+  assert.equal(audit.v2_signals, true);
+  assert.equal(audit.status, 'PASS');
+});
+
+test('is not tested when no banner was accepted', async () => {
+  const audit = await auditConsentMode(pageWith([]), [ga4('en=page_view')], 0, false);
+  assert.equal(audit.behaviour, 'NO_BANNER_FOUND');
+  assert.equal(audit.status, 'NOT_TESTED');
+  assert.equal(audit.before_consent.hits, 1);
+});
+
+test('the reject pass is opt-in and extends the global timeout', () => {
+  const { settings } = normaliseCheckOptions({});
+  assert.equal(settings.reject_pass, false);
+  assert.equal(checkTimeoutMs(settings), 120000);
+
+  const withPass = normaliseCheckOptions({ reject_pass: true, nav_timeout_ms: 10000, consent_wait_ms: 2000 }).settings;
+  assert.equal(checkTimeoutMs(withPass), 120000 + 2 * 10000 + 3 * 2000 + 5000);
+  assert.equal(checkTimeoutMs(), 120000);
+});
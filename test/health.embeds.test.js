@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-embeds-'));
+process.env.LOG_LEVEL = 'silent';
+const { chromium } = require('playwright');
+const { EMBED_ADAPTERS, embedSubmissionMatcher } = require('../health.embeds');
+const runners = require('../health.runners');
+
+const adapter = id => EMBED_ADAPTERS.find(a => a.id === id);
+// Stand-ins for Playwright frames and requests
+const frame = parent => ({ parentFrame: () => parent });
+const request = (method, url, from = null) => ({ method: () => method, url: () => url, frame: () => from });
+
+test('matches non-GET requests to the vendor endpoints', () => {
+  const main = frame(null);
+  const matches = embedSubmissionMatcher({ adapter: adapter('hubspot'), frame: main, form_index: 0 });
+  assert.equal(matches(request('POST', 'https://forms.hsforms.com/submissions/v3/public/submit/formsnext/multipart/1/abc', main)), true);
+  assert.equal(matches(request('GET', 'https://forms.hsforms.com/submissions/v3/public/submit/formsnext/multipart/1/abc', main)), false);
+  // An inline form shares the host page's frame, so only the endpoints count
+  assert.equal(matches(request('POST', 'https://acme.test/api/chat', main)), false);
+});
+
+test('matches non-GET requests from inside the vendor iframe and the frames it nests', () => {
+  const main = frame(null);
+  const embedFrame = frame(main);
+  const nested = frame(embedFrame);
+  const matches = embedSubmissionMatcher({ adapter: adapter('typeform'), frame: embedFrame, form_index: null });
+  assert.equal(matches(request('POST', 'https://api.typeform.com/responses', embedFrame)), true);
+  assert.equal(matches(request('PUT', 'https://api.typeform.com/responses', nested)), true);
+  assert.equal(matches(request('POST', 'https://acme.test/api/chat', main)), false);
+  assert.equal(matches(request('POST', 'https://acme.test/api/chat', null)), false);
+});
+
+// ── In a browser: a Jotform-style iframe that posts its submission and then signals it ──
+const NO_BROWSER = !fs.existsSync(chromium.executablePath()) && 'Playwright Chromium is not installed';
+const browserTest = (name, fn) => test(name, { skip: NO_BROWSER }, fn);
+
+// Served under /jotform.com/ so the adapter recognises the frame and its submit endpoint
+const HOST_PAGE = "<!doctype html><html><body><h1>Contact</h1><iframe src='/jotform.com/form' width='600' height='400'></iframe></body></html>";
+const EMBED_PAGE = `<!doctype html><html><body>
+  <form id="jf" onsubmit="event.preventDefault();
+    fetch('/jotform.com/submit/1', { method: 'POST', body: new FormData(this) })
+      .then(() => parent.postMessage({ action: 'submission-completed' }, '*'));">
+    <label for="email">Email</label><input id="email" name="email" type="email">
+    <button type="submit">Submit</button>
+  </form></body></html>`;
+
+let browser, server, site;
+const received = [];
+test.before(async () => {
+  if (NO_BROWSER) return;
+  server = http.createServer((req, res) => {
+    if (req.method === 'POST') received.push(req.url);
+    req.resume();
+    req.on('end', () => {
+      res.setHeader('content-type', req.method === 'POST' ? 'application/json' : 'text/html');
+      res.end(req.method === 'POST' ? '{"success":true}' : req.url === '/jotform.com/form' ? EMBED_PAGE : HOST_PAGE);
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  site = `http://127.0.0.1:${server.address().port}`;
+  browser = await chromium.launch({ args: ['--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'] });
+});
+test.after(async () => {
+  await browser?.close();
+  server?.close();
+});
+
+async function testEmbed(options) {
+  const { settings } = runners.normaliseCheckOptions({ form_wait_ms: 1000, ...options });
+  const beacons = [];
+  const { context, page } = await runners.openCheckPage(browser, beacons);
+  try {
+    await page.goto(`${site}/contact`);
+    await page.waitForSelector('iframe');
+    await page.frames()[1].waitForSelector('form');
+    const forms = await runners.testAllFormsOnPage(page, beacons, `${site}/contact`, null, undefined, settings);
+    assert.equal(forms.third_party_forms.length, 1);
+    return forms.third_party_forms[0];
+  } finally {
+    await context.close();
+  }
+}
+
+browserTest('by default the embed submission gets the mock and never reaches the vendor', async () => {
+  received.length = 0;
+  const embed = await testEmbed({});
+  assert.deepEqual(received, []);
+  assert.equal(embed.vendor, 'jotform');
+  assert.equal(embed.form_mode, 'submit');
+  assert.equal(embed.submission_delivered, false);
+  assert.deepEqual(embed.intercepted_requests.map(r => r.method), ['POST']);
+  // The frame signals success off the mocked answer, which is not confirmation
+  assert.equal(embed.status, 'NOT_TESTED');
+  assert.match(embed.reason, /form_mode submit answers the Jotform submission with a mock/);
+});
+
+browserTest('live mode lets the embed submission through to the vendor', async () => {
+  received.length = 0;
+  const embed = await testEmbed({ form_mode: 'live' });
+  assert.deepEqual(received, ['/jotform.com/submit/1']);
+  assert.equal(embed.submission_delivered, true);
+  assert.equal(embed.intercepted_requests, undefined);
+  assert.equal(embed.status, 'FAIL');
+  assert.equal(embed.success_signal, 'submission-completed');
+});
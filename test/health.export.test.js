@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { exportResults } = require('../health.export');
+
+const RESULTS = [
+  { client_name: 'Acme, "North"', cid: 'c1', url: 'https://acme.test', grade: 'T1', overall_status: 'PASS', why: 'line one\nline two' },
+  { client_name: '=HYPERLINK("x")', cid: '-5', url: 'https://b.test', grade: 'FAIL', overall_status: 'FAIL', why: '@risk', duration_ms: 1200 }
+];
+
+// Entries of a zip archive from its central directory, inflated
+function unzip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'end of central directory record');
+  const count = buf.readUInt16LE(end + 10);
+  let at = buf.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(at), 0x02014b50);
+    const compressedSize = buf.readUInt32LE(at + 20);
+    const size = buf.readUInt32LE(at + 24);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const localAt = buf.readUInt32LE(at + 42);
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLength);
+
+    assert.equal(buf.readUInt32LE(localAt), 0x04034b50);
+    const dataAt = localAt + 30 + buf.readUInt16LE(localAt + 26) + buf.readUInt16LE(localAt + 28);
+    const data = zlib.inflateRawSync(buf.subarray(dataAt, dataAt + compressedSize));
+    assert.equal(data.length, size);
+    entries[name] = data.toString('utf8');
+    at += 46 + nameLength + buf.readUInt16LE(at + 30) + buf.readUInt16LE(at + 32);
+  }
+  return entries;
+}
+
+test('CSV leads with passthrough metadata and quotes commas, quotes and newlines', () => {
+  const { body, contentType, extension } = exportResults(RESULTS, 'csv');
+  assert.equal(extension, 'csv');
+  assert.match(contentType, /^text\/csv/);
+  const lines = body.split('\r\n');
+  assert.ok(lines[0].startsWith('client_name,cid,url,grade,overall_status,why,'));
+  assert.ok(lines[1].startsWith('"Acme, ""North""",c1,https://acme.test,T1,PASS,"line one\nline two",'));
+  assert.equal(body.endsWith('\r\n'), true);
+});
+
+test('CSV neutralises formula text but leaves negative numbers alone', () => {
+  const { body } = exportResults(RESULTS, 'csv');
+  const row = body.split('\r\n')[2];
+  assert.ok(row.startsWith(`"'=HYPERLINK(""x"")",-5,https://b.test,FAIL,FAIL,'@risk,`));
+});
+
+test('CSV neutralises cells that start with a tab or carriage return', () => {
+  const { body } = exportResults([{ url: 'https://c.test', why: '\t=cmd|x', grade: '\r@SUM(A1)' }], 'csv');
+  const row = body.split('\r\n')[1];
+  assert.ok(row.startsWith(`https://c.test,"'\r@SUM(A1)",,'\t=cmd|x,`));
+});
+
+test('CSV of no results is empty', () => {
+  assert.equal(exportResults([], 'csv').body, '');
+});
+
+test('XLSX is a zip holding a one-sheet workbook', () => {
+  const { body, extension } = exportResults(RESULTS, 'xlsx');
+  assert.equal(extension, 'xlsx');
+  const entries = unzip(body);
+  assert.deepEqual(Object.keys(entries).sort(), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+  ]);
+  assert.match(entries['xl/workbook.xml'], /<sheet name="Health Checks" sheetId="1" r:id="rId1"\/>/);
+
+  const sheet = entries['xl/worksheets/sheet1.xml'];
+  assert.equal((sheet.match(/<row /g) || []).length, 3);
+  assert.match(sheet, /<c r="A1" t="inlineStr"><is><t xml:space="preserve">client_name<\/t><\/is><\/c>/);
+  assert.match(sheet, /<t xml:space="preserve">Acme, &quot;North&quot;<\/t>/);
+  // Numbers are numeric cells
+  assert.match(sheet, /<c r="[A-Z]+3"><v>1200<\/v><\/c>/);
+});
+
+test('rejects unknown and prototype formats', () => {
+  assert.throws(() => exportResults(RESULTS, 'pdf'), /Unsupported export format: pdf/);
+  assert.throws(() => exportResults(RESULTS, 'constructor'), /Unsupported export format/);
+});
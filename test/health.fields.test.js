@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-fields-'));
+process.env.LOG_LEVEL = 'silent';
+for (const env of ['HEALTH_TEST_EMAIL', 'HEALTH_TEST_PHONE', 'HEALTH_TEST_MESSAGE']) delete process.env[env];
+const { chromium } = require('playwright');
+const { classifyField, fieldCandidates, detectFieldType, fillFormFieldSmart, testValuesFor } = require('../health.runners');
+const { getLocalePack } = require('../health.locales');
+
+const values = testValuesFor(getLocalePack('en'));
+// A describeField() result with nothing set, for the overrides to fill in
+const field = overrides => ({
+  tag: 'input', input_type: 'text', name: '', id: '', placeholder: '', aria_label: '', label: '', labelled_by: '',
+  autocomplete: '', inputmode: '', pattern: null, minlength: null, maxlength: null, min: null, max: null, step: null,
+  intl_phone: false, ...overrides
+});
+
+test('autocomplete wins over the input type, which wins over the label', () => {
+  assert.equal(classifyField(field({ autocomplete: 'section-a shipping postal-code', label: 'Email' })), 'postcode');
+  assert.equal(classifyField(field({ input_type: 'tel', label: 'Your email' })), 'phone');
+  assert.equal(classifyField(field({ inputmode: 'numeric', label: 'Company' })), 'number');
+  assert.equal(classifyField(field({ label: 'Company name' })), 'company');
+});
+
+test('reads the words of the label, aria-label, name, id and placeholder in keyword order', () => {
+  assert.equal(classifyField(field({ name: 'your-surname' })), 'lastName');
+  assert.equal(classifyField(field({ labelled_by: 'Mobile number' })), 'phone');
+  assert.equal(classifyField(field({ placeholder: 'How can we help?' })), 'message');
+  assert.equal(classifyField(field({ label: 'Date of birth' })), 'birthday');
+  assert.equal(classifyField(field({ aria_label: 'Your name' })), 'fullName');
+  assert.equal(classifyField(field({ tag: 'textarea' })), 'message');
+  assert.equal(classifyField(field({})), 'text');
+  assert.equal(classifyField(field({ tag: 'select', label: 'Email' })), 'select');
+  assert.equal(classifyField(field({ input_type: 'checkbox', label: 'Email me' })), 'checkbox');
+});
+
+test('numbers and dates are kept inside min, max and step', () => {
+  assert.equal(fieldCandidates({ ...field({ min: '5', max: '50', step: '5' }), type: 'number' }, values)[0], '5');
+  assert.equal(fieldCandidates({ ...field({ min: '2', step: '3' }), type: 'number' }, { ...values, number: '4' })[0], '5');
+  assert.deepEqual(fieldCandidates({ ...field({ min: '2030-01-01' }), type: 'date' }, values), ['2030-01-01']);
+  assert.deepEqual(fieldCandidates({ ...field({}), type: 'week' }, { ...values, date: '2026-01-01' }), ['2026-W01']);
+});
+
+test('text values follow the mask, the pattern and the length limits', () => {
+  assert.equal(fieldCandidates({ ...field({ placeholder: '(###) ###-####' }), type: 'phone' }, values)[0], '(770) 090-0123');
+  assert.equal(fieldCandidates({ ...field({ intl_phone: true }), type: 'phone' }, values)[0], '+44 7700 900123');
+  assert.deepEqual(fieldCandidates({ ...field({ pattern: '[0-9]{5}' }), type: 'postcode' }, values), ['10001', '75001']);
+  assert.equal(fieldCandidates({ ...field({ maxlength: 4 }), type: 'fullName' }, values)[0], values.fullName.slice(0, 4));
+  const [long] = fieldCandidates({ ...field({ minlength: 60 }), type: 'message' }, values);
+  assert.equal(long.length, 60);
+  assert.ok(long.startsWith(values.message));
+});
+
+// ── In a browser: describing real fields and filling them until they are valid ──
+const NO_BROWSER = !fs.existsSync(chromium.executablePath()) && 'Playwright Chromium is not installed';
+const browserTest = (name, fn) => test(name, { skip: NO_BROWSER }, fn);
+
+let browser, page;
+test.before(async () => {
+  if (!NO_BROWSER) browser = await chromium.launch({ args: ['--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'] });
+});
+test.after(() => browser?.close());
+test.beforeEach(async () => { if (browser) page = await browser.newPage(); });
+test.afterEach(() => page?.close());
+
+async function fill(selector) {
+  const el = page.locator(selector);
+  const info = await detectFieldType(el);
+  await fillFormFieldSmart(el, info, values);
+  return { type: info.type, value: await el.inputValue(), valid: await el.evaluate(e => e.validity.valid) };
+}
+
+browserTest('labels come from for=, aria-labelledby and plugin wrappers', async () => {
+  await page.setContent(`<form>
+    <label for="a">Your email address</label><input id="a" name="input_1">
+    <span id="lbl">Telephone</span><input id="b" name="input_2" aria-labelledby="lbl">
+    <div class="gfield"><label class="gfield_label">Company</label><div><input id="c" name="input_3"></div></div>
+  </form>`);
+  assert.equal((await fill('#a')).type, 'email');
+  assert.equal((await fill('#b')).type, 'phone');
+  const company = await fill('#c');
+  assert.deepEqual(company, { type: 'company', value: values.company, valid: true });
+});
+
+browserTest('falls back to another format until the field is valid', async () => {
+  await page.setContent(`<form>
+    <label for="tel">Phone</label><input id="tel" type="tel" pattern="\\+44[0-9]{10}">
+    <label for="qty">How many</label><input id="qty" type="number" min="10" max="20" step="5">
+    <label for="pc">Postcode</label><input id="pc" pattern="[A-Z0-9]{7}">
+    <label for="when">Preferred date</label><input id="when" type="date" min="2099-01-01">
+  </form>`);
+  assert.deepEqual(await fill('#tel'), { type: 'phone', value: '+447700900123', valid: true });
+  assert.deepEqual(await fill('#qty'), { type: 'number', value: '10', valid: true });
+  assert.deepEqual(await fill('#pc'), { type: 'postcode', value: 'SW1A1AA', valid: true });
+  assert.deepEqual(await fill('#when'), { type: 'date', value: '2099-01-01', valid: true });
+});
+
+browserTest('picks the first real option of a select and leaves hidden fields alone', async () => {
+  await page.setContent(`<form>
+    <select id="s"><option value="">Please choose</option><option disabled>Sold out</option><option value="q">Quote</option></select>
+    <input id="h" type="hidden" name="token" value="abc">
+  </form>`);
+  await fillFormFieldSmart(page.locator('#s'), await detectFieldType(page.locator('#s')), values);
+  assert.equal(await page.locator('#s').inputValue(), 'q');
+  await fillFormFieldSmart(page.locator('#h'), await detectFieldType(page.locator('#h')), values);
+  assert.equal(await page.locator('#h').inputValue(), 'abc');
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-forms-'));
+process.env.LOG_LEVEL = 'silent';
+const { chromium } = require('playwright');
+const runners = require('../health.runners');
+const { MOCK_HEADER } = require('../health.submissions');
+
+// A stand-in for a Playwright route, recording what the handler did with it
+function fakeRoute(method, url, type = 'fetch') {
+  const route = {
+    outcome: null,
+    request: () => ({ method: () => method, url: () => url, resourceType: () => type, postData: () => null }),
+    fulfill: response => { route.outcome = ['fulfill', response]; },
+    fallback: () => { route.outcome = ['fallback']; },
+    continue: () => { route.outcome = ['continue']; }
+  };
+  return route;
+}
+const matchesSubmit = req => req.url().endsWith('/submit');
+
+test('submit mode answers the submission with the mock and lets the rest fall back', () => {
+  const intercepted = [];
+  const handler = runners.submissionMock(matchesSubmit, intercepted);
+  const submission = fakeRoute('POST', 'https://acme.test/submit');
+  handler(submission);
+  assert.equal(submission.outcome[0], 'fulfill');
+  assert.equal(submission.outcome[1].headers[MOCK_HEADER], '1');
+  assert.deepEqual(intercepted, [{ method: 'POST', url: 'https://acme.test/submit', type: 'fetch' }]);
+
+  const other = fakeRoute('POST', 'https://chat.test/ping');
+  handler(other);
+  assert.deepEqual(other.outcome, ['fallback']);
+});
+
+test('live mode lets only the submission through to the site', () => {
+  const delivered = [];
+  const handler = runners.submissionPassthrough(matchesSubmit, delivered);
+  const submission = fakeRoute('POST', 'https://acme.test/submit', 'document');
+  handler(submission);
+  assert.deepEqual(submission.outcome, ['continue']);
+  assert.deepEqual(delivered, [{ method: 'POST', url: 'https://acme.test/submit', type: 'document' }]);
+
+  const other = fakeRoute('POST', 'https://chat.test/ping');
+  handler(other);
+  assert.deepEqual(other.outcome, ['fallback']);
+});
+
+test('intercept mode mocks every non-GET request and a GET to the action', () => {
+  const intercepted = [];
+  const handler = runners.submissionInterceptor('https://acme.test/search', intercepted);
+  const routes = {
+    put:       fakeRoute('PUT', 'https://api.acme.test/leads'),
+    getSubmit: fakeRoute('GET', 'https://acme.test/search?q=test', 'document'),
+    getPage:   fakeRoute('GET', 'https://acme.test/thanks', 'document'),
+    analytics: fakeRoute('POST', 'https://www.google-analytics.com/g/collect?v=2'),
+    script:    fakeRoute('POST', 'https://acme.test/app.js', 'script')
+  };
+  for (const route of Object.values(routes)) handler(route);
+  assert.equal(routes.put.outcome[0], 'fulfill');
+  assert.equal(routes.getSubmit.outcome[0], 'fulfill');
+  assert.deepEqual(routes.getPage.outcome, ['fallback']);
+  assert.deepEqual(routes.analytics.outcome, ['fallback']);
+  assert.deepEqual(routes.script.outcome, ['fallback']);
+  assert.deepEqual(intercepted.map(r => r.method), ['PUT', 'GET']);
+});
+
+test('live is an accepted form mode; submit stays the default', () => {
+  assert.equal(runners.normaliseCheckOptions({}).settings.form_mode, 'submit');
+  assert.equal(runners.normaliseCheckOptions({ form_mode: 'live' }).settings.form_mode, 'live');
+  assert.match(runners.normaliseCheckOptions({ form_mode: 'real' }).error, /submit, intercept, live, dry_run/);
+});
+
+// ── In a browser, against a local site that records what reaches it ──
+const NO_BROWSER = !fs.existsSync(chromium.executablePath()) && 'Playwright Chromium is not installed';
+const browserTest = (name, fn) => test(name, { skip: NO_BROWSER }, fn);
+
+const CONTACT_PAGE = `<!doctype html><html><body>
+  <form id="contact" action="/submit" method="post">
+    <label for="name">Name</label><input id="name" name="name" required>
+    <label for="email">Email</label><input id="email" name="email" type="email" required>
+    <label for="message">Message</label><textarea id="message" name="message" required></textarea>
+    <button type="submit">Send</button>
+  </form></body></html>`;
+
+let browser, server, site;
+const received = [];
+test.before(async () => {
+  if (NO_BROWSER) return;
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      if (req.method === 'POST') received.push({ url: req.url, body });
+      res.setHeader('content-type', 'text/html');
+      res.end(req.url === '/submit' ? '<p>Thanks, we will be in touch.</p>' : CONTACT_PAGE);
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  site = `http://127.0.0.1:${server.address().port}`;
+  browser = await chromium.launch({ args: ['--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'] });
+});
+test.after(async () => {
+  await browser?.close();
+  server?.close();
+});
+
+async function testContactForm(options) {
+  const { settings } = runners.normaliseCheckOptions({ form_wait_ms: 1000, ...options });
+  const beacons = [];
+  const { context, page } = await runners.openCheckPage(browser, beacons);
+  try {
+    await page.goto(`${site}/contact`);
+    const forms = await runners.testAllFormsOnPage(page, beacons, `${site}/contact`, null, undefined, settings);
+    assert.equal(forms.first_party_forms.length, 1);
+    return forms.first_party_forms[0];
+  } finally {
+    await context.close();
+  }
+}
+
+browserTest('submit mode never sends the enquiry to the site', async () => {
+  received.length = 0;
+  const form = await testContactForm({});
+  assert.equal(received.length, 0);
+  assert.equal(form.form_mode, 'submit');
+  assert.equal(form.submission_delivered, false);
+  assert.equal(form.intercepted_requests.length, 1);
+  assert.equal(form.status, 'NOT_TESTED');
+  assert.match(form.reason, /answered by the check's mock.*form_mode "live"/);
+});
+
+browserTest('live mode delivers the enquiry and confirms it', async () => {
+  received.length = 0;
+  const form = await testContactForm({ form_mode: 'live' });
+  assert.equal(received.length, 1);
+  assert.equal(received[0].url, '/submit');
+  assert.match(received[0].body, /email=/);
+  assert.equal(form.form_mode, 'live');
+  assert.equal(form.submission_delivered, true);
+  assert.equal(form.intercepted_requests, undefined);
+  assert.equal(form.submission_confirmed_by, 'network');
+  assert.equal(form.status, 'FAIL');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-ga4-'));
+process.env.LOG_LEVEL = 'silent';
+delete process.env.HEALTH_REQUIRED_PARAMS;
+const { classifyAndParseBeacons, requiredParamsFor, checkRequiredParams } = require('../health.runners');
+
+const COLLECT = 'https://region1.google-analytics.com/g/collect';
+
+test('parses event and user parameters from a GA4 hit', () => {
+  const [hit] = classifyAndParseBeacons(`${COLLECT}?v=2&tid=G-111&gtm=45je&cid=1.2&sid=99&dl=https%3A%2F%2Facme.test%2F&dt=Home` +
+    '&en=click_call&ep.link_url=tel%3A0161&epn.value=25&up.plan=pro&upn.visits=3');
+  assert.equal(hit.type, 'GA4');
+  assert.equal(hit.event_name, 'click_call');
+  assert.equal(hit.tid, 'G-111');
+  assert.equal(hit.gtmHash, '45je');
+  assert.deepEqual(hit.params, { link_url: 'tel:0161', value: 25 });
+  assert.deepEqual(hit.user_properties, { plan: 'pro', visits: 3 });
+  assert.equal(hit.page_location, 'https://acme.test/');
+  assert.equal(hit.page_title, 'Home');
+  assert.equal(hit.client_id, '1.2');
+  assert.equal(hit.session_id, '99');
+});
+
+test('splits a batched POST body into one hit per line', () => {
+  const hits = classifyAndParseBeacons(`${COLLECT}?v=2&tid=G-111&dl=https%3A%2F%2Facme.test%2F`,
+    'en=page_view\r\nen=generate_lead&ep.form_id=contact&dl=https%3A%2F%2Facme.test%2Fthanks\n');
+  assert.deepEqual(hits.map(h => h.event_name), ['page_view', 'generate_lead']);
+  assert.deepEqual(hits.map(h => h.hit_index), [0, 1]);
+  assert.equal(hits[0].page_location, 'https://acme.test/');
+  assert.equal(hits[1].page_location, 'https://acme.test/thanks');
+  assert.deepEqual(hits[1].params, { form_id: 'contact' });
+  assert.ok(hits.every(h => h.tid === 'G-111'));
+});
+
+test('parses Measurement Protocol JSON bodies', () => {
+  const hits = classifyAndParseBeacons(`${COLLECT}?tid=G-222`, JSON.stringify({
+    client_id: 7, user_properties: { tier: { value: 'gold' } },
+    events: [{ name: 'sign_up', params: { method: 'form' } }, { name: 'purchase' }]
+  }));
+  assert.deepEqual(hits.map(h => h.event_name), ['sign_up', 'purchase']);
+  assert.equal(hits[0].client_id, '7');
+  assert.deepEqual(hits[0].params, { method: 'form' });
+  assert.deepEqual(hits[1].user_properties, { tier: 'gold' });
+});
+
+test('non-GA4 Google requests and unrelated URLs', () => {
+  const [gtm] = classifyAndParseBeacons('https://www.googletagmanager.com/gtm.js?id=GTM-AAA');
+  assert.equal(gtm.type, 'GTM');
+  assert.equal(gtm.tid, 'GTM-AAA');
+  assert.deepEqual(classifyAndParseBeacons('https://cdn.acme.test/app.js'), []);
+});
+
+test('clicks need link_url and forms need form_id by default', () => {
+  assert.deepEqual(requiredParamsFor(null), { phone: ['link_url'], email: ['link_url'], form: ['form_id'] });
+  assert.deepEqual(requiredParamsFor({ required_params: { form: ['form_id', 'form_name'], phone: [] } }),
+    { phone: [], email: ['link_url'], form: ['form_id', 'form_name'] });
+});
+
+test('HEALTH_REQUIRED_PARAMS replaces the defaults', () => {
+  const read = env => JSON.parse(execFileSync(process.execPath, ['-e',
+    'process.stdout.write(JSON.stringify(require("./health.runners").requiredParamsFor(null)))'],
+  { cwd: path.join(__dirname, '..'), env: { ...process.env, ...env } }).toString());
+  assert.deepEqual(read({ HEALTH_REQUIRED_PARAMS: 'form:form_name, form:form_id' }), { phone: [], email: [], form: ['form_name', 'form_id'] });
+  assert.deepEqual(read({ HEALTH_REQUIRED_PARAMS: '' }), { phone: [], email: [], form: [] });
+});
+
+test('flags passing items whose events lack a required parameter', () => {
+  const item = { status: 'PASS', event_params: [{ event_name: 'click_call', params: { link_text: 'Call' } }] };
+  assert.deepEqual(checkRequiredParams(item, ['link_url']), ['link_url']);
+  assert.deepEqual(item.missing_params, ['link_url']);
+
+  const carried = { status: 'PASS', event_params: [{ params: {} }, { params: { link_url: 'tel:1' } }] };
+  assert.deepEqual(checkRequiredParams(carried, ['link_url']), []);
+  // Failing or untested items have no events to check
+  assert.deepEqual(checkRequiredParams({ status: 'FAIL', event_params: [] }, ['link_url']), []);
+  assert.deepEqual(checkRequiredParams(item, []), []);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-grading-'));
+process.env.LOG_LEVEL = 'silent';
+const { gradeResult, checkExpectations, assertionFailureDetail } = require('../health.runners');
+
+const detail = (grade_impact, category = grade_impact) => ({ category, grade_impact, summary: category });
+const FOUND = { totalFound: 3, hasNonClickable: false, anyPassed: true };
+
+test('grades a clean run T1', () => {
+  assert.deepEqual(gradeResult([], FOUND).grade, 'T1');
+  assert.equal(gradeResult([], FOUND).overall_status, 'PASS');
+});
+
+test('grades FAIL when nothing that was tested converted', () => {
+  const { grade, overall_status } = gradeResult([detail('FAIL')], { ...FOUND, anyPassed: false });
+  assert.equal(grade, 'FAIL');
+  assert.equal(overall_status, 'NO_CONVERSIONS_TRACKED');
+  assert.equal(gradeResult([detail('FAIL')], FOUND).grade, 'T2');
+});
+
+test('T2 findings beat untestable items', () => {
+  assert.equal(gradeResult([detail('T3')], FOUND).grade, 'T3');
+  const { grade, why } = gradeResult([detail('T3', 'Captcha'), detail('T2', 'Consent Mode')], FOUND);
+  assert.equal(grade, 'T2');
+  assert.match(why, /Consent Mode/);
+  assert.doesNotMatch(why, /Captcha/);
+});
+
+test('no CTAs grades T3 unless there is a T2 finding', () => {
+  const none = { totalFound: 0, hasNonClickable: false, anyPassed: false };
+  assert.equal(gradeResult([], none).grade, 'T3');
+  assert.equal(gradeResult([], none).overall_status, 'NOT_TESTED');
+
+  const { grade, overall_status, why } = gradeResult([detail('T2', 'Expected Configuration')], none);
+  assert.equal(grade, 'T2');
+  assert.equal(overall_status, 'TRACKING_ISSUES_FOUND');
+  assert.match(why, /No actionable CTAs.*Expected Configuration/);
+});
+
+const RESULTS = {
+  tracking: { tags_found: { gtm: ['GTM-AAA'], ga4: ['G-111'], unlinked_ga4: [] } },
+  ctas: { phones: { not_clickable_items: [{ raw: '0161 496 0001' }] }, emails: { not_clickable_items: [] } }
+};
+const TESTED = {
+  phoneItems: [{ href: 'tel:+441614960000', status: 'PASS', ga4_events: ['click_call'] }],
+  emailItems: [{ href: 'mailto:hello@acme.test?subject=Hi', status: 'PASS', ga4_events: ['email_click'] }],
+  formResults: []
+};
+const byName = assertions => Object.fromEntries(assertions.items.map(i => [i.name, i]));
+
+test('expected configuration passes when the site matches', () => {
+  const assertions = checkExpectations({
+    gtm_id: 'gtm-aaa', ga4_ids: ['G-111'], phone_event: ['click_call', 'phone_click'], email_event: 'email_click',
+    phones: ['0161 496 0000', '+44 161 496 0001'], emails: 'HELLO@acme.test'
+  }, RESULTS, TESTED);
+  assert.deepEqual([assertions.passed, assertions.failed, assertions.not_tested], [6, 0, 0]);
+  assert.equal(assertionFailureDetail(assertions), null);
+});
+
+test('missing and unexpected IDs both fail', () => {
+  const items = byName(checkExpectations({ gtm_id: 'GTM-BBB' }, RESULTS, TESTED));
+  assert.equal(items.gtm_id.status, 'FAIL');
+  assert.match(items.gtm_id.message, /Expected GTM-BBB but found GTM-AAA/);
+  assert.match(items.gtm_id.message, /Unexpected GTM-AAA also installed/);
+
+  const extra = { ...RESULTS, tracking: { tags_found: { gtm: ['GTM-AAA', 'GTM-ZZZ'], ga4: ['G-111'], unlinked_ga4: ['G-222'] } } };
+  const extraItems = byName(checkExpectations({ gtm_id: 'GTM-AAA', ga4_id: 'G-111' }, extra, TESTED));
+  assert.equal(extraItems.gtm_id.status, 'FAIL');
+  assert.deepEqual(extraItems.gtm_id.unexpected, ['GTM-ZZZ']);
+  assert.equal(extraItems.gtm_id.message, 'Unexpected GTM-ZZZ also installed');
+  assert.deepEqual(extraItems.ga4_id.unexpected, ['G-222']);
+});
+
+test('event names, contacts and unknown keys', () => {
+  const assertions = checkExpectations(
+    { phone_event: 'phone_click', form_event: 'generate_lead', emails: ['sales@acme.test'], gtm: 'GTM-AAA' },
+    RESULTS, TESTED);
+  const items = byName(assertions);
+  assert.equal(items.phone_event.status, 'FAIL');
+  assert.match(items.phone_event.message, /1 of 1 phone links fired click_call instead of phone_click/);
+  assert.equal(items.form_event.status, 'NOT_TESTED');
+  assert.equal(items.emails.status, 'FAIL');
+  assert.deepEqual(assertions.ignored_keys, ['gtm']);
+});
+
+test('failed assertions become one T2 failure_detail entry', () => {
+  const assertions = checkExpectations({ gtm_id: 'GTM-BBB', phone_event: 'phone_click', form_event: 'x' }, RESULTS, TESTED);
+  const entry = assertionFailureDetail(assertions);
+  assert.equal(entry.grade_impact, 'T2');
+  assert.equal(entry.category, 'Expected Configuration');
+  assert.deepEqual(entry.items.map(i => i.raw), ['gtm_id', 'phone_event']);
+  assert.ok(entry.items.every(i => i.fix));
+  // A clean site with a failed assertion can't grade T1 — or T3 when nothing was found
+  assert.equal(gradeResult([entry], FOUND).grade, 'T2');
+  assert.equal(gradeResult([entry], { totalFound: 0, hasNonClickable: false, anyPassed: false }).grade, 'T2');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-history-'));
+process.env.HEALTH_HISTORY_MAX_RUNS = '10';
+const history = require('../health.history');
+
+const HISTORY_DIR = path.join(process.env.HEALTH_DATA_DIR, 'history');
+
+function result(grade, { options = { form_mode: 'submit' }, gtm = ['GTM-1'], phones = [], ...rest } = {}) {
+  return {
+    grade, options, timestamp: new Date().toISOString(),
+    tracking: { tags_found: { gtm } },
+    ctas: { phones: { items: phones } },
+    ...rest
+  };
+}
+
+test('site keys ignore scheme, www, query, hash and trailing slash', () => {
+  assert.equal(history.siteKey('http://www.Acme.com/'), 'acme.com');
+  assert.equal(history.siteKey('https://acme.com/locations/leeds/?utm=x#top'), 'acme.com/locations/leeds');
+  assert.equal(history.siteKey('acme.com'), 'acme.com');
+  assert.equal(history.siteKey('http://'), null);
+});
+
+test('comparison keys ignore test values and the lead webhook', () => {
+  const base = result('T1', { options: { form_mode: 'submit', test_values: { name: 'A' } } });
+  const other = result('T1', { options: { form_mode: 'submit', lead_webhook: 'https://hooks.test' } });
+  assert.equal(history.comparisonKey(base), history.comparisonKey(other));
+  assert.notEqual(history.comparisonKey(base), history.comparisonKey(result('T1', { options: { form_mode: 'dry_run' } })));
+  assert.notEqual(history.comparisonKey(base), history.comparisonKey(base, { gtm: ['GTM-1'] }));
+});
+
+test('diffs a run against the previous one with the same settings', () => {
+  const phone = status => ({ href: 'tel:0161 496 0000', status });
+  const first = history.recordRun('https://diff.test', result('T1', { phones: [phone('PASS')] }));
+  assert.equal(first.changes, null);
+  assert.equal(first.regressed, false);
+
+  // A dry run starts its own baseline
+  assert.equal(history.recordRun('https://diff.test', result('FAIL', { options: { form_mode: 'dry_run' } })).changes, null);
+
+  const second = history.recordRun('https://www.diff.test/', result('T2', { gtm: [], phones: [phone('FAIL')] }));
+  assert.equal(second.regressed, true);
+  assert.deepEqual(second.changes.grade, { from: 'T1', to: 'T2', change: 'worse' });
+  assert.deepEqual(second.changes.gtm_containers, { added: [], removed: ['GTM-1'] });
+  assert.deepEqual(second.changes.ctas_stopped_firing.map(c => c.status), ['FAIL']);
+  assert.deepEqual(second.changes.regressions.map(r => r.type), ['grade', 'cta_stopped_firing', 'gtm_container_removed']);
+});
+
+test('errored checks are stored but neither diffed nor used as the baseline', () => {
+  history.recordRun('https://errors.test', result('T1'));
+  const errored = history.recordRun('https://errors.test', result('T2', { ok: false, overall_status: 'ERROR' }));
+  assert.equal(errored.changes, null);
+  const next = history.recordRun('https://errors.test', result('T1'));
+  assert.equal(next.changes.grade.from, 'T1');
+  assert.equal(history.loadHistory('errors.test').total, 3);
+});
+
+test('loads the newest runs first, up to the limit, and trims old runs', () => {
+  for (let i = 0; i < 12; i++) history.recordRun('https://many.test', result('T1', { run: i }));
+  const all = history.loadHistory('many.test', { limit: 50 });
+  assert.equal(all.total, 10);
+  assert.deepEqual(all.runs.map(r => r.result.run), [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  const page = history.loadHistory('https://many.test/', { limit: 3 });
+  assert.equal(page.total, 10);
+  assert.deepEqual(page.runs.map(r => r.result.run), [11, 10, 9]);
+  assert.deepEqual(history.loadHistory('none.test'), { site: 'none.test', total: 0, runs: [] });
+});
+
+test('reads the tail of a history larger than one read chunk', () => {
+  const padding = 'x'.repeat(30 * 1024);
+  for (let i = 0; i < 5; i++) history.recordRun('https://big.test', result('T1', { run: i, padding }));
+  assert.deepEqual(history.loadHistory('big.test', { limit: 4 }).runs.map(r => r.result.run), [4, 3, 2, 1]);
+});
+
+test('long URLs get a short hashed file name', () => {
+  const url = `https://long.test/${'segment/'.repeat(60)}`;
+  history.recordRun(url, result('T1'));
+  history.recordRun(url, result('T1'));
+  assert.equal(history.loadHistory(url).total, 2);
+  for (const name of fs.readdirSync(HISTORY_DIR)) assert.ok(name.length < 64, name);
+});
+
+test('histories named by the encoded key are picked up', () => {
+  const record = { site: 'legacy.test', checked_at: '2026-01-01T00:00:00.000Z', result: result('T1') };
+  fs.writeFileSync(path.join(HISTORY_DIR, 'legacy.test.jsonl'), JSON.stringify(record) + '\n');
+  assert.equal(history.loadHistory('legacy.test').total, 1);
+  assert.equal(fs.existsSync(path.join(HISTORY_DIR, 'legacy.test.jsonl')), false);
+
+  const next = history.recordRun('legacy.test', result('T2'));
+  assert.equal(next.changes.grade.from, 'T1');
+  assert.equal(history.loadHistory('legacy.test').total, 2);
+});
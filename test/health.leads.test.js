@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-leads-'));
+process.env.LOG_LEVEL = 'silent';
+process.env.HEALTH_CALLBACK_SECRET = 'test-secret';
+const { createLeadToken, tagTestValues, notifyTestLead, recordTestLead } = require('../health.runners');
+
+// Webhook receiver answering with the given status codes in turn (200 once they run out)
+async function leadReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, json: JSON.parse(body) });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { received, url: `http://127.0.0.1:${server.address().port}/leads`, close: () => server.close() };
+}
+
+test('each check gets its own run token', () => {
+  const token = createLeadToken();
+  assert.match(token, /^hc-[0-9a-f]{10}$/);
+  assert.notEqual(createLeadToken(), token);
+});
+
+test('tags the email with a plus address and the message with the token', () => {
+  const values = { email: 'test-automation@example.com', message: 'Hello', phone: '07700900123' };
+  assert.deepEqual(tagTestValues(values, 'hc-1a2b3c4d5e'),
+    { email: 'test-automation+hc-1a2b3c4d5e@example.com', message: 'Hello [hc-1a2b3c4d5e]' });
+  assert.equal(tagTestValues({ ...values, email: 'qa+acme@example.com' }, 'hc-1').email, 'qa+acme-hc-1@example.com');
+  assert.equal(tagTestValues({ ...values, email: 'not-an-email' }, 'hc-1').email, 'not-an-email');
+});
+
+test('the lead webhook is signed like batch callbacks', async () => {
+  const receiver = await leadReceiver();
+  try {
+    const outcome = await notifyTestLead(receiver.url, { event: 'test_lead_submitted', token: 'hc-1' });
+    assert.deepEqual(outcome, { ok: true, status_code: 200, error: null });
+
+    const [{ headers, body, json }] = receiver.received;
+    assert.deepEqual(json, { event: 'test_lead_submitted', token: 'hc-1' });
+    assert.equal(headers['x-health-event'], 'test_lead_submitted');
+    assert.match(headers['x-health-delivery'], /^[0-9a-f-]{36}$/);
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'test-secret')
+      .update(`${headers['x-health-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-health-signature'], expected);
+  } finally {
+    receiver.close();
+  }
+});
+
+test('a failed webhook is reported once, never thrown', async () => {
+  const receiver = await leadReceiver([500]);
+  try {
+    assert.deepEqual(await notifyTestLead(receiver.url, {}), { ok: false, status_code: 500, error: 'HTTP 500' });
+    assert.equal(receiver.received.length, 1);
+  } finally {
+    receiver.close();
+  }
+  const unreachable = await notifyTestLead(receiver.url, {});
+  assert.equal(unreachable.ok, false);
+  assert.equal(unreachable.status_code, null);
+  assert.ok(unreachable.error);
+});
+
+test('records a delivered submission and tells the webhook about it', async () => {
+  const results = { url: 'https://acme.test/', test_lead: { token: 'hc-1a2b3c4d5e', email: 'qa+hc-1a2b3c4d5e@acme.test', submissions: [] } };
+  const form = {
+    status: 'PASS', submitted_at: '2026-10-19T09:00:00.000Z', submission_delivered: true,
+    submission_request: { method: 'POST', url: 'https://acme.test/contact/send', status: 200 }
+  };
+  const receiver = await leadReceiver();
+  try {
+    const submission = await recordTestLead(results, form, 'https://acme.test/contact', { client_name: 'Acme' }, receiver.url);
+    assert.deepEqual(submission, {
+      page_url: 'https://acme.test/contact', submitted_at: form.submitted_at,
+      form: { kind: 'form', vendor: null, frame_url: null, request_url: 'https://acme.test/contact/send', status: 'PASS' },
+      webhook: { ok: true, status_code: 200, error: null }
+    });
+    const [{ json }] = receiver.received;
+    assert.equal(json.event, 'test_lead_submitted');
+    assert.equal(json.token, 'hc-1a2b3c4d5e');
+    assert.equal(json.email, 'qa+hc-1a2b3c4d5e@acme.test');
+    assert.equal(json.site_url, 'https://acme.test/');
+    assert.deepEqual(json.client, { client_name: 'Acme' });
+    assert.deepEqual(json.form, submission.form);
+  } finally {
+    receiver.close();
+  }
+
+  const embed = await recordTestLead(results, { status: 'FAIL', submitted_at: form.submitted_at, vendor: 'hubspot', frame_url: 'https://share.hsforms.com/1' },
+    'https://acme.test/contact', null, null);
+  assert.equal(embed.form.kind, 'embed');
+  assert.equal(embed.form.vendor, 'hubspot');
+  assert.equal(embed.webhook, null);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LOCALES, SUPPORTED_LOCALES, normaliseLocale, getLocalePack, resolveLocale } = require('../health.locales');
+
+test('normalises BCP 47 tags to a supported pack', () => {
+  assert.equal(normaliseLocale('fr-BE'), 'fr');
+  assert.equal(normaliseLocale(' DE_at '), 'de');
+  assert.equal(normaliseLocale('nl'), 'nl');
+  assert.equal(normaliseLocale('pt-BR'), null);
+  assert.equal(normaliseLocale(null), null);
+  assert.deepEqual(SUPPORTED_LOCALES, ['en', 'fr', 'de', 'es', 'nl']);
+});
+
+test('the request locale wins over the page, then English', () => {
+  assert.deepEqual(resolveLocale('es', 'fr-FR'), { code: 'es', source: 'request', page_lang: 'fr-FR' });
+  assert.deepEqual(resolveLocale(null, 'fr-FR'), { code: 'fr', source: 'page', page_lang: 'fr-FR' });
+  assert.deepEqual(resolveLocale('xx', 'ja'), { code: 'en', source: 'default', page_lang: 'ja' });
+  assert.deepEqual(resolveLocale(undefined, ''), { code: 'en', source: 'default', page_lang: null });
+});
+
+test('every pack defines every field, and its patterns compile', () => {
+  const fields = Object.keys(LOCALES.en);
+  for (const [code, pack] of Object.entries(LOCALES)) {
+    assert.deepEqual(Object.keys(pack).sort(), [...fields].sort(), code);
+    for (const key of ['submit_pattern', 'success_pattern', 'success_url_pattern']) {
+      assert.doesNotThrow(() => new RegExp(pack[key], 'i'), `${code}.${key}`);
+    }
+  }
+});
+
+test('non-English packs are merged over English', () => {
+  const fr = getLocalePack('fr-CA');
+  assert.equal(fr.code, 'fr');
+  assert.equal(fr.browser_locale, 'fr-FR');
+  assert.equal(fr.consent_accept[0], 'Tout accepter');
+  assert.ok(fr.consent_accept.includes('Accept All'));
+  assert.ok(fr.contact_paths.includes('/nous-contacter') && fr.contact_paths.includes('/contact'));
+  assert.equal(new Set(fr.contact_paths).size, fr.contact_paths.length);
+  assert.match('Merci pour votre message', new RegExp(fr.success_pattern, 'i'));
+  assert.match('Thank you', new RegExp(fr.success_pattern, 'i'));
+  assert.equal(fr.test_values.city, 'Paris');
+
+  const en = getLocalePack('unknown');
+  assert.equal(en.code, 'en');
+  assert.deepEqual(en.consent_accept, LOCALES.en.consent_accept);
+});
+
+test('no accept label would click a refusal', () => {
+  for (const code of SUPPORTED_LOCALES) {
+    const pack = getLocalePack(code);
+    // "Continuer" / "Continuar" / "Weiter" open "continue without accepting" refusals
+    for (const label of pack.consent_accept) {
+      assert.ok(!/^(continuer|continuar|weiter|verder)$/i.test(label), `${code}: ${label}`);
+    }
+    // An accept label is never itself a refusal (prefixes are excluded at click time)
+    for (const label of pack.consent_accept) {
+      assert.ok(!pack.consent_reject.includes(label), `${code}: ${label}`);
+    }
+  }
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-options-'));
+process.env.LOG_LEVEL = 'silent';
+for (const env of ['HEALTH_MAX_PAGES', 'HEALTH_MAX_PHONE_TESTS', 'HEALTH_NAV_TIMEOUT', 'HEALTH_LEAD_WEBHOOK', 'HEALTH_REJECT_PASS']) delete process.env[env];
+const { normaliseCheckOptions } = require('../health.runners');
+
+test('no options resolve to the env-var defaults', () => {
+  for (const options of [undefined, null, {}]) {
+    const { settings, error } = normaliseCheckOptions(options);
+    assert.equal(error, undefined);
+    assert.equal(settings.max_phone_tests, 1);
+    assert.equal(settings.nav_timeout_ms, 15000);
+    assert.equal(settings.skip_forms, false);
+    assert.equal(settings.form_mode, 'submit');
+    assert.deepEqual(settings.pages, []);
+    assert.deepEqual(settings.test_values, {});
+    assert.equal(settings.lead_webhook, null);
+  }
+});
+
+test('overrides are validated and merged over the defaults', () => {
+  const { settings } = normaliseCheckOptions({
+    max_pages: 2, max_phone_tests: 3, poll_ms: 500, skip_duplicate_test: true, form_mode: 'dry_run',
+    pages: [' /contact ', 'https://acme.test/quote'], test_values: { email: 'qa@acme.test' },
+    lead_webhook: 'https://hooks.acme.test/leads'
+  });
+  assert.equal(settings.max_pages, 2);
+  assert.equal(settings.max_phone_tests, 3);
+  assert.equal(settings.poll_ms, 500);
+  assert.equal(settings.skip_duplicate_test, true);
+  assert.equal(settings.form_mode, 'dry_run');
+  assert.deepEqual(settings.pages, ['/contact', 'https://acme.test/quote']);
+  assert.deepEqual(settings.test_values, { email: 'qa@acme.test' });
+  assert.equal(settings.lead_webhook, 'https://hooks.acme.test/leads');
+  // Untouched options keep their defaults
+  assert.equal(settings.max_email_tests, 1);
+});
+
+test('rejects bad options with a message naming the option', () => {
+  const cases = [
+    ['x', /options must be an object/],
+    [[], /options must be an object/],
+    [{ colour: 'red' }, /Unknown option\(s\): colour/],
+    [{ max_pages: 0 }, /options\.max_pages must be an integer between 1 and 10/],
+    [{ max_phone_tests: 21 }, /options\.max_phone_tests must be an integer between 1 and 20/],
+    [{ nav_timeout_ms: 1500.5 }, /options\.nav_timeout_ms/],
+    [{ poll_ms: '1000' }, /options\.poll_ms/],
+    [{ skip_forms: 'yes' }, /options\.skip_forms must be true or false/],
+    [{ form_mode: 'maybe' }, /options\.form_mode must be one of/],
+    [{ pages: '/contact' }, /options\.pages must be an array of up to 10/],
+    [{ pages: Array(11).fill('/x') }, /options\.pages/],
+    [{ pages: ['  '] }, /options\.pages/],
+    [{ test_values: { shoe_size: '9' } }, /options\.test_values\.shoe_size must be a string and one of/],
+    [{ test_values: { email: 5 } }, /options\.test_values\.email/],
+    [{ lead_webhook: 'ftp://hooks.test' }, /options\.lead_webhook must be an http\(s\) URL/]
+  ];
+  for (const [options, message] of cases) {
+    const { settings, error } = normaliseCheckOptions(options);
+    assert.equal(settings, undefined, JSON.stringify(options));
+    assert.match(error, message);
+  }
+});
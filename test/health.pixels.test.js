@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-pixels-'));
+process.env.LOG_LEVEL = 'silent';
+const { classifyAndParseBeacons, summarisePixels, clickAndPollForEvent } = require('../health.runners');
+
+const one = (url, body) => {
+  const hits = classifyAndParseBeacons(url, body);
+  assert.equal(hits.length, 1, url);
+  return hits[0];
+};
+
+test('Google Ads conversions and remarketing hits', () => {
+  const conversion = one('https://www.googleadservices.com/pagead/conversion/123456/?label=AbC&value=10&gcs=G111');
+  assert.equal(conversion.type, 'GOOGLE_ADS');
+  assert.equal(conversion.vendor, 'Google Ads');
+  assert.equal(conversion.tid, 'AW-123456');
+  assert.equal(conversion.conversion, true);
+  assert.deepEqual(conversion.params, { label: 'AbC', value: '10' });
+  assert.equal(conversion.gcs, 'G111');
+
+  const remarketing = one('https://googleads.g.doubleclick.net/pagead/viewthroughconversion/123456/?random=1');
+  assert.equal(remarketing.event_name, 'remarketing');
+  assert.equal(remarketing.conversion, false);
+});
+
+test('Meta Pixel events, with automatic events not counted as conversions', () => {
+  const lead = one('https://www.facebook.com/tr/?id=999&ev=Lead&cd[content_name]=Contact');
+  assert.equal(lead.type, 'META');
+  assert.equal(lead.tid, '999');
+  assert.equal(lead.event_name, 'Lead');
+  assert.equal(lead.conversion, true);
+  assert.deepEqual(lead.params, { content_name: 'Contact' });
+
+  for (const ev of ['PageView', 'SubscribedButtonClick']) {
+    assert.equal(one(`https://www.facebook.com/tr?id=999&ev=${ev}`).conversion, false, ev);
+  }
+});
+
+test('Microsoft UET, LinkedIn Insight and TikTok hits', () => {
+  const uet = one('https://bat.bing.com/action/0?ti=555&evt=custom&ea=phone_call&ec=contact');
+  assert.deepEqual([uet.type, uet.tid, uet.event_name, uet.conversion], ['UET', '555', 'phone_call', true]);
+  assert.equal(one('https://bat.bing.com/action/0?ti=555&evt=pageLoad').conversion, false);
+
+  const linkedin = one('https://px.ads.linkedin.com/collect?pid=42&conversionId=77');
+  assert.deepEqual([linkedin.type, linkedin.tid, linkedin.event_name, linkedin.conversion], ['LINKEDIN', '42', 'conversion', true]);
+  assert.equal(one('https://px.ads.linkedin.com/collect?pid=42').conversion, false);
+
+  const tiktok = one('https://analytics.tiktok.com/api/v2/pixel', JSON.stringify({
+    event: 'Contact', context: { pixel: { code: 'TT1' } }, properties: { value: 5 }
+  }));
+  assert.deepEqual([tiktok.type, tiktok.tid, tiktok.event_name, tiktok.conversion], ['TIKTOK', 'TT1', 'Contact', true]);
+  assert.deepEqual(tiktok.params, { value: 5 });
+});
+
+test('pixel loader scripts are not beacons', () => {
+  assert.deepEqual(classifyAndParseBeacons('https://connect.facebook.net/en_US/fbevents.js'), []);
+  assert.deepEqual(classifyAndParseBeacons('https://analytics.tiktok.com/i18n/pixel/events.js'), []);
+});
+
+test('summarises pixel IDs by vendor', () => {
+  const beacons = [
+    one('https://www.facebook.com/tr/?id=1&ev=PageView'),
+    one('https://www.facebook.com/tr/?id=1&ev=Lead'),
+    one('https://www.facebook.com/tr/?id=2&ev=Lead'),
+    one('https://www.googleadservices.com/pagead/conversion/9/?label=x')
+  ];
+  assert.deepEqual(summarisePixels(beacons), { google_ads: ['AW-9'], meta_pixel: ['1', '2'] });
+  assert.deepEqual(summarisePixels([]), {});
+});
+
+// A page whose click does nothing, so the test controls which beacons "fire"
+const PAGE = { locator: () => ({ first: () => ({ click: async () => {} }) }) };
+const GA4 = 'https://www.google-analytics.com/g/collect?v=2&tid=G-1';
+
+test('a click tracked only by an ad pixel is reported as other_pixel', async () => {
+  const beacons = [one('https://www.facebook.com/tr/?id=1&ev=PageView')];
+  const from = beacons.length;
+  beacons.push(one('https://www.googleadservices.com/pagead/conversion/9/?label=call'), ...classifyAndParseBeacons(`${GA4}&en=page_view`));
+
+  const result = await clickAndPollForEvent(PAGE, beacons, 'a', from, 'tel:0161', 'phone', 50);
+  assert.equal(result.fired, true);
+  assert.equal(result.match_tier, 'other_pixel');
+  assert.deepEqual(result.ga4_events, []);
+  assert.deepEqual(result.other_conversions, [{ vendor: 'Google Ads', id: 'AW-9', event_name: 'conversion', params: { label: 'call' } }]);
+  assert.deepEqual(result.generic_events_seen, ['page_view']);
+});
+
+test('a GA4 event wins over ad pixels and lists them alongside', async () => {
+  const beacons = [
+    ...classifyAndParseBeacons(`${GA4}&en=click_call&ep.link_url=tel%3A0161`),
+    one('https://www.facebook.com/tr/?id=1&ev=Contact')
+  ];
+  const result = await clickAndPollForEvent(PAGE, beacons, 'a', 0, 'tel:0161', 'phone', 50);
+  assert.equal(result.match_tier, 'exact');
+  assert.deepEqual(result.ga4_events, ['click_call']);
+  assert.deepEqual(result.other_conversions.map(c => c.vendor), ['Meta Pixel']);
+
+  const nothing = await clickAndPollForEvent(PAGE, [one('https://www.facebook.com/tr/?id=1&ev=PageView')], 'a', 0, 'tel:0161', 'phone', 50);
+  assert.equal(nothing.fired, false);
+});
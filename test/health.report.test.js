@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderReportHtml } = require('../health.report');
+
+const RESULT = {
+  url: 'https://acme.test',
+  client_name: 'Acme <Plumbing>',
+  timestamp: '2026-01-01T09:00:00.000Z',
+  grade: 'T2',
+  why: 'Phone clicks are not tracked',
+  pages_visited: ['https://acme.test/', 'https://acme.test/contact'],
+  category_scores: { forms: '1/1', calls: '0/1', emails: '—' },
+  tracking: { tags_found: { gtm: ['GTM-ABC123'], ga4: ['G-XYZ'] }, pixels: { meta_pixel: ['123'] } },
+  failure_detail: [{
+    category: 'phones', grade_impact: 'T2', summary: 'Phone link fires no GA4 event', fix: 'Add a click trigger',
+    items: [{ display_text: '0161 496 0000', status: 'FAIL', page_url: 'https://acme.test/', reason: 'No event' }]
+  }],
+  ctas: {
+    phones: {
+      items: [{ page_url: 'https://acme.test/', display_text: '0161 496 0000', status: 'FAIL', ga4_events: [], duplicate_fire_test: { result: 'DUPLICATE_FIRED' } }],
+      not_clickable_items: [{ page_url: 'https://acme.test/contact', raw: '0161 496 0001' }]
+    }
+  },
+  forms: { pages: [{ page_url: 'https://acme.test/contact', first_party_forms: [{ status: 'PASS', ga4_events: ['generate_lead'] }], third_party_forms: [{ vendor_name: 'HubSpot', status: 'NOT_TESTED', reason: 'Dry run' }] }] }
+};
+
+test('renders the grade, why and summary', () => {
+  const html = renderReportHtml(RESULT);
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /T2 — Issues found/);
+  assert.match(html, /<strong>Why:<\/strong> Phone clicks are not tracked/);
+  assert.match(html, /<dt>Google Tag Manager<\/dt><dd>GTM-ABC123<\/dd>/);
+  assert.match(html, /Meta Pixel \(123\)/);
+});
+
+test('escapes client-supplied text', () => {
+  const html = renderReportHtml(RESULT);
+  assert.ok(html.includes('Acme &lt;Plumbing&gt;'));
+  assert.ok(!html.includes('<Plumbing>'));
+  assert.ok(renderReportHtml(RESULT, { clientName: '"Quoted" & co' }).includes('&quot;Quoted&quot; &amp; co'));
+});
+
+test('lists every failure with its fix', () => {
+  const html = renderReportHtml(RESULT);
+  assert.match(html, /Phone link fires no GA4 event/);
+  assert.match(html, /How to fix: Add a click trigger/);
+  assert.match(html, /Reason: No event/);
+  assert.match(renderReportHtml({ ...RESULT, failure_detail: [] }), /No issues found\./);
+});
+
+test('groups CTAs and forms by the page they were found on', () => {
+  const html = renderReportHtml(RESULT);
+  const [home, contact] = html.split('<section class="page">').slice(1);
+  assert.match(home, /https:\/\/acme\.test\/<\/h3>/);
+  assert.match(home, /Fires twice — double counts/);
+  assert.match(contact, /Phone \(plain text\)/);
+  assert.match(contact, /HubSpot form/);
+  assert.match(contact, /generate_lead/);
+});
+
+test('errored checks are reported as a failed check', () => {
+  const html = renderReportHtml({ url: 'https://down.test', ok: false, grade: 'T2', overall_status: 'ERROR' });
+  assert.match(html, /<div class="label">Check failed<\/div>/);
+  assert.match(html, /No pages were checked\./);
+});
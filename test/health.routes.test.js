@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-routes-'));
+process.env.LOG_LEVEL = 'silent';
+// One worker, so a pause right after the start leaves clients queued
+process.env.HEALTH_MAX_CONCURRENT = '1';
+const express = require('express');
+const runners = require('../health.runners');
+const healthRoutes = require('../health.routes');
+
+// Clients whose URL fails before a browser is launched, so each check errors at once
+const BAD_URL = 'http://';
+
+let base, server;
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/health', healthRoutes);
+  server = app.listen(0);
+  await new Promise(r => server.once('listening', r));
+  base = `http://127.0.0.1:${server.address().port}/health`;
+
+  await runners.runBatchHealthCheck('routes-job', [
+    { url: BAD_URL, client_name: 'Acme', cid: '1' },
+    { url: BAD_URL, client_name: 'Beta', cid: '2' },
+    { url: BAD_URL, client_name: 'Acme', cid: '3' }
+  ]);
+});
+test.after(() => server.close());
+
+const getJson = async url => {
+  const res = await fetch(`${base}${url}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test('filters results on passthrough metadata and result fields', async () => {
+  const { status, body } = await getJson('/batch/routes-job?client_name=Acme');
+  assert.equal(status, 200);
+  assert.equal(body.matched, 2);
+  assert.deepEqual(body.results.map(r => r.cid), ['1', '3']);
+
+  const none = await getJson('/batch/routes-job?state=done');
+  assert.equal(none.body.matched, 0);
+  const errored = await getJson('/batch/routes-job?state=error,done&cid=2');
+  assert.deepEqual(errored.body.results.map(r => r.cid), ['2']);
+});
+
+test('pages through results with limit and cursor', async () => {
+  const first = await getJson('/batch/routes-job?limit=2');
+  assert.equal(first.body.returned, 2);
+  assert.equal(first.body.next_cursor, 1);
+
+  const second = await getJson(`/batch/routes-job?limit=2&cursor=${first.body.next_cursor}`);
+  assert.deepEqual(second.body.results.map(r => r.index), [2]);
+  assert.equal(second.body.next_cursor, null);
+});
+
+test('since returns only results completed after it', async () => {
+  const all = await getJson('/batch/routes-job');
+  const again = await getJson(`/batch/routes-job?since=${encodeURIComponent(all.body.next_since)}`);
+  assert.equal(again.body.matched, 0);
+  assert.equal(again.body.next_since, all.body.next_since);
+});
+
+test('rejects unknown, repeated and malformed parameters', async () => {
+  for (const query of ['colour=red', 'format=csv', 'client_name=Acme&client_name=Beta', 'limit=0', 'limit=2001', 'cursor=x', 'since=yesterday', 'expected=x']) {
+    const { status, body } = await getJson(`/batch/routes-job?${query}`);
+    assert.equal(status, 400, query);
+    assert.equal(body.ok, false);
+  }
+  assert.equal((await getJson('/batch/missing')).status, 404);
+});
+
+test('export takes format alongside the same filters', async () => {
+  const res = await fetch(`${base}/batch/routes-job/export?format=csv&client_name=Beta`);
+  assert.equal(res.status, 200);
+  const lines = (await res.text()).trim().split('\r\n');
+  assert.equal(lines.length, 2);
+  assert.ok(lines[1].startsWith('Beta,2,'));
+
+  assert.equal((await fetch(`${base}/batch/routes-job/export?format=pdf`)).status, 400);
+  assert.equal((await fetch(`${base}/batch/routes-job/export?format=toString`)).status, 400);
+  assert.equal((await fetch(`${base}/batch/routes-job/export?colour=red`)).status, 400);
+});
+
+// Server-Sent Events as [event, data] pairs, read until the server ends the stream
+async function readEvents(url, onOpen = () => {}) {
+  const res = await fetch(`${base}${url}`);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  onOpen();
+  const text = await res.text();
+  return text.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+    const [event, data] = block.split('\n');
+    return [event.slice('event: '.length), JSON.parse(data.slice('data: '.length))];
+  });
+}
+
+test('events replay a finished job and end with complete', async () => {
+  const events = await readEvents('/batch/routes-job/events');
+  assert.deepEqual(events.map(([e]) => e), ['result', 'result', 'result', 'complete']);
+  const complete = events[3][1];
+  assert.equal(complete.status, 'complete');
+  assert.equal(complete.completed, 3);
+  assert.equal(complete.summary.sites, 3);
+});
+
+test('events stream live results and status changes', async () => {
+  runners.runBatchHealthCheck('routes-live', [BAD_URL, BAD_URL]);
+  runners.pauseBatchJob('routes-live');
+  await runners.getBatchJob('routes-live').workers;
+
+  const events = await readEvents('/batch/routes-live/events', () => runners.resumeBatchJob('routes-live'));
+  assert.deepEqual(events.map(([e]) => e), ['result', 'status', 'result', 'complete']);
+  assert.equal(events[1][1].status, 'running');
+  assert.deepEqual(events.map(([, d]) => d.index).filter(i => i !== undefined), [0, 1]);
+});
+
+test('events reject a bad since and an unknown job', async () => {
+  assert.equal((await fetch(`${base}/batch/routes-job/events?since=soon`)).status, 400);
+  assert.equal((await fetch(`${base}/batch/missing/events`)).status, 404);
+});
+
+test('evidence is saved under the run and served back', async () => {
+  const evidence = runners.createEvidence(true);
+  assert.equal(evidence.mode, 'fail');
+  assert.equal(runners.evidenceWanted(evidence, 'FAIL'), true);
+  assert.equal(runners.evidenceWanted(evidence, 'PASS'), false);
+  assert.equal(runners.evidenceWanted(runners.createEvidence({ mode: 'all' }), 'PASS'), true);
+  assert.equal(runners.createEvidence(null), null);
+
+  const saved = runners.saveEvidence(evidence, 'phone',
+    { screenshot: Buffer.from('before'), dom_snippet: '<a href="tel:1">Call</a>' },
+    { screenshot: Buffer.from('after') });
+  assert.equal(saved.dom_snippet, '<a href="tel:1">Call</a>');
+  assert.equal(saved.before_screenshot, `/health/evidence/${evidence.run_id}/1-phone-before.jpg`);
+  assert.equal(saved.after_screenshot, `/health/evidence/${evidence.run_id}/1-phone-after.jpg`);
+
+  const res = await fetch(`${base}${saved.after_screenshot.slice('/health'.length)}`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'after');
+  assert.equal((await fetch(`${base}/evidence/${evidence.run_id}/9-missing.jpg`)).status, 404);
+  assert.equal((await fetch(`${base}/evidence/${evidence.run_id}/notes.txt`)).status, 400);
+  assert.equal((await fetch(`${base}/evidence/not-a-run/1-phone-after.jpg`)).status, 400);
+});
+
+test('old evidence is pruned', async () => {
+  const evidence = runners.createEvidence({ mode: 'all' });
+  const saved = runners.saveEvidence(evidence, 'form', { screenshot: Buffer.from('x') }, null);
+  runners.pruneEvidence(60 * 60 * 1000);
+  assert.equal((await fetch(`${base}${saved.before_screenshot.slice('/health'.length)}`)).status, 200);
+  runners.pruneEvidence(-1);
+  assert.equal((await fetch(`${base}${saved.before_screenshot.slice('/health'.length)}`)).status, 404);
+});
+
+test('run and batch reject invalid options', async () => {
+  const post = async (url, body) => {
+    const res = await fetch(`${base}${url}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+  const run = await post('/run', { action: 'tracking_health_check_site', url: 'https://acme.test', options: { max_pages: 0 } });
+  assert.equal(run.status, 400);
+  assert.match(run.body.error, /options\.max_pages/);
+
+  const batch = await post('/batch', { clients: [{ url: 'https://a.test' }, { url: 'https://b.test', options: { colour: 'red' } }] });
+  assert.equal(batch.status, 400);
+  assert.match(batch.body.error, /Unknown option\(s\): colour .*\(client https:\/\/b\.test\)/);
+
+  const merged = await post('/batch', { clients: [{ url: 'https://a.test', options: { max_pages: 2 } }], options: { skip_forms: 'no' } });
+  assert.equal(merged.status, 400);
+  assert.match(merged.body.error, /options\.skip_forms/);
+});
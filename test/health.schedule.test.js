@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-schedule-'));
+const { parseCron, nextCronRun } = require('../health.schedule');
+
+const next = (expression, timeZone, from) => nextCronRun(parseCron(expression), timeZone, new Date(from))?.toISOString() ?? null;
+
+test('parses lists, ranges, steps and names', () => {
+  const cron = parseCron('0,30 9-17/4 1 jan-mar mon-fri');
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.month], [1, 2, 3]);
+  assert.deepEqual([...cron.dow], [1, 2, 3, 4, 5]);
+  assert.equal(cron.domAny, false);
+  assert.equal(cron.dowAny, false);
+});
+
+test('expands */n and a start/n step to the end of the field', () => {
+  assert.deepEqual([...parseCron('*/15 * * * *').minute], [0, 15, 30, 45]);
+  assert.deepEqual([...parseCron('50/5 * * * *').minute], [50, 55]);
+});
+
+test('treats day of week 7 as Sunday and expands macros', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').dow], [0]);
+  assert.deepEqual([...parseCron('@weekly').dow], [0]);
+  assert.deepEqual([...parseCron('@hourly').hour].length, 24);
+});
+
+test('rejects malformed expressions with a readable message', () => {
+  assert.throws(() => parseCron('* * * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute must be between 0 and 59/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+  assert.throws(() => parseCron('0 0 * * 5-1'), /Invalid range/);
+  assert.throws(() => parseCron('0 0 * foo *'), /Invalid month value/);
+});
+
+test('next run is strictly after from', () => {
+  assert.equal(next('*/15 * * * *', 'UTC', '2026-01-01T10:07:30Z'), '2026-01-01T10:15:00.000Z');
+  assert.equal(next('*/15 * * * *', 'UTC', '2026-01-01T10:15:00Z'), '2026-01-01T10:30:00.000Z');
+  assert.equal(next('0 * * * *', 'UTC', '2026-12-31T23:30:00Z'), '2027-01-01T00:00:00.000Z');
+});
+
+test('next run is in the schedule\'s time zone', () => {
+  // 09:00 New York on the next weekday (Friday 2 January 2026 is already past 09:00)
+  assert.equal(next('0 9 * * 1-5', 'America/New_York', '2026-01-02T15:00:00Z'), '2026-01-05T14:00:00.000Z');
+});
+
+test('either day field matches when both are restricted', () => {
+  // The 13th or any Friday — Friday 2 January comes first
+  assert.equal(next('0 0 13 * 5', 'UTC', '2026-01-01T00:00:00Z'), '2026-01-02T00:00:00.000Z');
+  // With day of month *, the weekday alone decides
+  assert.equal(next('0 0 * * 5', 'UTC', '2026-01-02T00:00:00Z'), '2026-01-09T00:00:00.000Z');
+});
+
+test('a date that never comes gives null', () => {
+  assert.equal(next('0 0 31 2 *', 'UTC', '2026-01-01T00:00:00Z'), null);
+});
+
+test('keeps local time across the DST change', () => {
+  // 06:00 London is 06:00 GMT before 29 March 2026 and 05:00 UTC after
+  assert.equal(next('0 6 * * *', 'Europe/London', '2026-03-28T12:00:00Z'), '2026-03-29T05:00:00.000Z');
+  assert.equal(next('0 6 * * *', 'Europe/London', '2026-10-24T12:00:00Z'), '2026-10-25T06:00:00.000Z');
+});
+
+test('skips a time the clocks jump over when DST starts', () => {
+  // 01:30 does not exist in London on 29 March 2026
+  assert.equal(next('30 1 * * *', 'Europe/London', '2026-03-28T12:00:00Z'), '2026-03-30T00:30:00.000Z');
+});
+
+test('runs once in the hour the clocks repeat when DST ends', () => {
+  // 01:30 happens twice in London on 25 October 2026: 00:30 UTC (BST) and 01:30 UTC (GMT)
+  assert.equal(next('30 1 * * *', 'Europe/London', '2026-10-24T12:00:00Z'), '2026-10-25T00:30:00.000Z');
+  assert.equal(next('30 1 * * *', 'Europe/London', '2026-10-25T00:30:00Z'), '2026-10-26T01:30:00.000Z');
+  // Schedules that run every hour keep running through the repeated one
+  assert.equal(next('*/15 * * * *', 'Europe/London', '2026-10-25T01:00:00Z'), '2026-10-25T01:15:00.000Z');
+});
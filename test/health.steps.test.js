@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-steps-'));
+process.env.LOG_LEVEL = 'silent';
+const { chromium } = require('playwright');
+const { driveFormSteps, testValuesFor } = require('../health.runners');
+const { getLocalePack } = require('../health.locales');
+
+// These tests drive real forms, so they need Playwright's Chromium (npx playwright install chromium)
+const NO_BROWSER = !fs.existsSync(chromium.executablePath()) && 'Playwright Chromium is not installed';
+const browserTest = (name, fn) => test(name, { skip: NO_BROWSER }, fn);
+
+let browser, page;
+test.before(async () => {
+  if (!NO_BROWSER) browser = await chromium.launch({ args: ['--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'] });
+});
+test.after(() => browser?.close());
+test.beforeEach(async () => { if (browser) page = await browser.newPage(); });
+test.afterEach(() => page?.close());
+
+const pack = getLocalePack('en');
+const values = testValuesFor(pack);
+const drive = (advance = true) => driveFormSteps(page, page.locator('form').first(), 0, values, pack, advance);
+const valueOf = selector => page.locator(selector).inputValue();
+
+// Two steps shown one at a time; onNext decides whether the Next button moves on
+const twoStepForm = (onNext = "step1.hidden = true; step2.hidden = false;") => `<form>
+  <div id="step1">
+    <label for="name">Name</label><input id="name" name="name">
+    <label for="email">Email</label><input id="email" name="email" type="email">
+    <button type="button" class="wpforms-page-next" onclick="${onNext}">Next</button>
+  </div>
+  <div id="step2" hidden>
+    <label for="message">Message</label><textarea id="message" name="message"></textarea>
+    <button type="submit">Send</button>
+  </div>
+</form>`;
+
+browserTest('fills each step and clicks Next until the submit button shows', async () => {
+  await page.setContent(twoStepForm());
+  const result = await drive();
+  assert.equal(result.steps, 1);
+  assert.equal(result.blocked, null);
+  assert.equal(await result.submit.innerText(), 'Send');
+  assert.equal(await valueOf('#email'), values.email);
+  assert.equal(await valueOf('#message'), values.message);
+});
+
+browserTest('finds a Next button by its label', async () => {
+  await page.setContent(twoStepForm().replace(' class="wpforms-page-next"', ''));
+  const result = await drive();
+  assert.equal(result.steps, 1);
+  assert.ok(result.submit);
+});
+
+browserTest('answers radio groups, required checkboxes and the fields they reveal', async () => {
+  await page.setContent(`<style>.styled input { position: absolute; opacity: 0; width: 0; height: 0; }</style><form>
+    <label for="name">Name</label><input id="name" name="name">
+    <input type="radio" id="call-yes" name="callback" value="yes" onchange="document.getElementById('when').hidden = false">
+    <label for="call-yes">Call me back</label>
+    <input type="radio" id="call-no" name="callback" value="no"><label for="call-no">No thanks</label>
+    <div id="when" hidden><label for="time">Best time to call</label><input id="time" name="best_time"></div>
+    <label class="styled"><input type="checkbox" id="terms" name="terms" required> I accept the terms</label>
+    <button type="submit">Send</button>
+  </form>`);
+  const result = await drive();
+  assert.equal(result.steps, 0);
+  assert.ok(result.submit);
+  assert.equal(await page.locator('#call-yes').isChecked(), true);
+  assert.equal(await page.locator('#terms').isChecked(), true);
+  assert.notEqual(await valueOf('#time'), '');
+});
+
+browserTest('stops when validation keeps the form on the same step', async () => {
+  await page.setContent(twoStepForm("document.getElementById('err').textContent = 'Please check this step';")
+    .replace('<div id="step1">', '<div id="step1"><p class="error" id="err"></p>'));
+  const result = await drive();
+  assert.deepEqual({ ...result, submit: null }, { submit: null, steps: 0, blocked: 'Validation blocked step 1 of the form' });
+});
+
+browserTest('stops when Next does nothing', async () => {
+  await page.setContent(twoStepForm(''));
+  const result = await drive();
+  assert.equal(result.submit, null);
+  assert.equal(result.blocked, 'Next button did not advance past step 1');
+});
+
+browserTest('without advance only the first step is filled', async () => {
+  await page.setContent(twoStepForm());
+  const result = await drive(false);
+  assert.deepEqual(result, { submit: null, steps: 0, blocked: null });
+  assert.equal(await valueOf('#email'), values.email);
+  assert.equal(await valueOf('#message'), '');
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HEALTH_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-store-'));
+const jobStore = require('../health.store');
+
+const JOBS_DIR = path.join(jobStore.DATA_DIR, 'batch-jobs');
+const loadJob = jobId => new Map(jobStore.loadJobs()).get(jobId);
+
+function startJob(jobId, clients = [{ url: 'https://a.test' }, { url: 'https://b.test' }, { url: 'https://c.test' }]) {
+  jobStore.saveJob(jobId, {
+    total: clients.length, startedAt: '2026-01-01T00:00:00.000Z',
+    callbackUrl: 'https://hooks.test/done', callbackMode: 'each', scheduleId: 'sch_1', clients
+  });
+}
+
+test('replays the job record into a running job', () => {
+  startJob('job-start');
+  const job = loadJob('job-start');
+  assert.equal(job.status, 'running');
+  assert.equal(job.total, 3);
+  assert.equal(job.completed, 0);
+  assert.equal(job.callbackMode, 'each');
+  assert.equal(job.scheduleId, 'sch_1');
+  assert.deepEqual(job.clients.map(c => c.state), ['queued', 'queued', 'queued']);
+});
+
+test('replays results, keeping the latest per client, sorted by index', () => {
+  startJob('job-results');
+  jobStore.saveResult('job-results', { index: 2, grade: 'T2' });
+  jobStore.saveResult('job-results', { index: 0, grade: 'T3' }, 'error');
+  jobStore.saveResult('job-results', { index: 0, grade: 'T1' });
+  const job = loadJob('job-results');
+  assert.equal(job.completed, 2);
+  assert.deepEqual(job.results, [{ index: 0, grade: 'T1' }, { index: 2, grade: 'T2' }]);
+  assert.deepEqual(job.clients.map(c => c.state), ['done', 'queued', 'done']);
+});
+
+test('a retry re-queues clients and drops their old results', () => {
+  startJob('job-retry');
+  jobStore.saveResult('job-retry', { index: 0, grade: 'T3' }, 'error');
+  jobStore.saveResult('job-retry', { index: 1, grade: 'T1' });
+  jobStore.saveClientStates('job-retry', [0], 'queued');
+  const job = loadJob('job-retry');
+  assert.deepEqual(job.results, [{ index: 1, grade: 'T1' }]);
+  assert.equal(job.completed, 1);
+  assert.deepEqual(job.clients.map(c => c.state), ['queued', 'done', 'queued']);
+});
+
+test('a cancel changes client states but keeps finished results', () => {
+  startJob('job-cancel');
+  jobStore.saveResult('job-cancel', { index: 0, grade: 'T1' });
+  jobStore.saveClientStates('job-cancel', [1, 2], 'cancelled');
+  jobStore.saveClientStates('job-cancel', [], 'queued'); // nothing to write
+  const job = loadJob('job-cancel');
+  assert.deepEqual(job.clients.map(c => c.state), ['done', 'cancelled', 'cancelled']);
+  assert.equal(job.completed, 1);
+});
+
+test('the last status record wins', () => {
+  startJob('job-status');
+  jobStore.saveStatus('job-status', { status: 'paused' });
+  jobStore.saveStatus('job-status', { status: 'failed', completedAt: '2026-01-01T01:00:00.000Z', error: 'boom' });
+  const job = loadJob('job-status');
+  assert.equal(job.status, 'failed');
+  assert.equal(job.completedAt, '2026-01-01T01:00:00.000Z');
+  assert.equal(job.error, 'boom');
+});
+
+test('replays callback attempts in order', () => {
+  startJob('job-callback');
+  jobStore.saveCallbackAttempt('job-callback', { attempt: 1, ok: false });
+  jobStore.saveCallbackAttempt('job-callback', { attempt: 2, ok: true });
+  assert.deepEqual(loadJob('job-callback').callbackDeliveries.map(a => a.attempt), [1, 2]);
+});
+
+test('skips a torn last line and terminates it for the next append', () => {
+  startJob('job-torn');
+  jobStore.saveResult('job-torn', { index: 0, grade: 'T1' });
+  fs.appendFileSync(path.join(JOBS_DIR, 'job-torn.jsonl'), '{"type":"result","result":{"ind');
+  assert.equal(loadJob('job-torn').completed, 1);
+
+  jobStore.saveResult('job-torn', { index: 1, grade: 'T2' });
+  assert.deepEqual(loadJob('job-torn').results.map(r => r.index), [0, 1]);
+});
+
+test('ignores files without a job record and deletes jobs', () => {
+  fs.writeFileSync(path.join(JOBS_DIR, 'job-orphan.jsonl'), '{"type":"status","status":"complete"}\n');
+  assert.equal(loadJob('job-orphan'), undefined);
+
+  startJob('job-delete');
+  jobStore.deleteJob('job-delete');
+  assert.equal(loadJob('job-delete'), undefined);
+});
+
+test('replays a large batch in client order', () => {
+  const clients = Array.from({ length: 20000 }, (_, i) => ({ url: `https://site${i}.test` }));
+  startJob('job-large', clients);
+  const lines = clients.map((_, i) => JSON.stringify({ type: 'result', result: { index: clients.length - 1 - i }, state: 'done' }));
+  fs.appendFileSync(path.join(JOBS_DIR, 'job-large.jsonl'), lines.join('\n') + '\n');
+
+  const job = loadJob('job-large');
+  assert.equal(job.completed, 20000);
+  assert.equal(job.results[0].index, 0);
+  assert.equal(job.results[19999].index, 19999);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const submissions = require('../health.submissions');
+
+const PACK = { success_pattern: 'thank you|message (has been )?sent', success_url_pattern: 'thank|success' };
+
+function fakeRequest({ url, method = 'POST', type = 'fetch', body = null, status = 200, mocked = false, noResponse = false }) {
+  const headers = mocked ? { [submissions.MOCK_HEADER]: '1' } : {};
+  return {
+    url: () => url,
+    method: () => method,
+    resourceType: () => type,
+    postData: () => body,
+    response: async () => noResponse ? null : { status: () => status, headers: () => headers }
+  };
+}
+
+function fakePage({ url = 'https://site.test/contact', lines = [] } = {}) {
+  const page = new EventEmitter();
+  page.url = () => url;
+  page.evaluate = async () => lines;
+  return page;
+}
+
+const matcher = submissions.submissionMatcher({
+  actionUrl: 'https://site.test/contact',
+  pageUrl: 'https://site.test/contact',
+  fieldValues: ['Health Check', 'test@example.com'],
+  ignore: url => url.includes('google-analytics.com')
+});
+
+test('matches a POST to the form action whatever its body', () => {
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/contact', type: 'document' })), true);
+});
+
+test('matches a GET to the form action only with a query string', () => {
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/contact?name=x', method: 'GET', type: 'document' })), true);
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/contact', method: 'GET', type: 'document' })), false);
+});
+
+test('ignores GETs to WordPress REST routes', () => {
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/wp-json/wp/v2/pages', method: 'GET' })), false);
+});
+
+test('ignores heartbeats and beacons that carry no form values', () => {
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/wp-admin/admin-ajax.php', body: 'action=heartbeat&interval=60' })), false);
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/track', type: 'other', body: '{"visible":true}' })), false);
+});
+
+test('matches plugin and same-origin posts carrying the typed values in any encoding', () => {
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/wp-admin/admin-ajax.php', body: 'action=send&name=Health+Check' })), true);
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/wp-json/contact-form-7/v1/contact-forms/5/feedback', body: 'your-email=test%40example.com' })), true);
+  assert.equal(matcher(fakeRequest({ url: 'https://site.test/api/enquiry', body: '{"name":"Health Check"}' })), true);
+});
+
+test('ignores form values posted to another origin or to analytics', () => {
+  assert.equal(matcher(fakeRequest({ url: 'https://crm.example/api', body: 'name=Health+Check' })), false);
+  assert.equal(matcher(fakeRequest({ url: 'https://www.google-analytics.com/g/collect', body: 'Health Check' })), false);
+});
+
+test('watcher records only matching requests until stopped', () => {
+  const page = fakePage();
+  const watcher = submissions.watchSubmissionRequests(page, matcher);
+  page.emit('request', fakeRequest({ url: 'https://site.test/contact' }));
+  page.emit('request', fakeRequest({ url: 'https://site.test/wp-admin/admin-ajax.php', body: 'action=heartbeat' }));
+  watcher.stop();
+  page.emit('request', fakeRequest({ url: 'https://site.test/contact' }));
+  assert.equal(watcher.requests.length, 1);
+});
+
+test('a site response confirms by network', async () => {
+  const watcher = { requests: [fakeRequest({ url: 'https://site.test/contact', status: 200 })] };
+  const confirmed = await submissions.confirmSubmission(fakePage(), watcher, { beforeUrl: 'https://site.test/contact', beforeLines: [], pack: PACK });
+  assert.equal(confirmed.by, 'network');
+  assert.equal(confirmed.mocked, false);
+  assert.equal(confirmed.request.status, 200);
+});
+
+test('a response from the check\'s own mock never confirms', async () => {
+  const watcher = { requests: [fakeRequest({ url: 'https://site.test/contact', mocked: true })] };
+  // The mock's thank-you page is on screen, and still proves nothing
+  const page = fakePage({ lines: ['Thank you — your message has been sent.'] });
+  const confirmed = await submissions.confirmSubmission(page, watcher, { beforeUrl: 'https://site.test/contact', beforeLines: [], pack: PACK });
+  assert.equal(confirmed.by, null);
+  assert.equal(confirmed.mocked, true);
+  assert.equal(confirmed.rejected, false);
+  assert.equal(confirmed.request.mocked, true);
+});
+
+test('a site response is preferred over a mocked one', async () => {
+  const watcher = { requests: [
+    fakeRequest({ url: 'https://site.test/contact', mocked: true }),
+    fakeRequest({ url: 'https://site.test/wp-admin/admin-ajax.php', status: 200 })
+  ] };
+  const confirmed = await submissions.confirmSubmission(fakePage(), watcher, { beforeUrl: 'https://site.test/contact', beforeLines: [], pack: PACK });
+  assert.equal(confirmed.by, 'network');
+  assert.equal(confirmed.request.url, 'https://site.test/wp-admin/admin-ajax.php');
+});
+
+test('a 4xx response is rejected unless the page confirms', async () => {
+  const watcher = { requests: [fakeRequest({ url: 'https://site.test/contact', status: 422 })] };
+  const confirmed = await submissions.confirmSubmission(fakePage(), watcher, { beforeUrl: 'https://site.test/contact', beforeLines: [], pack: PACK });
+  assert.equal(confirmed.by, null);
+  assert.equal(confirmed.rejected, true);
+});
+
+test('new success text confirms by dom, text already on the page does not', async () => {
+  const page = fakePage({ lines: ['Contact us', 'Thank you for your message'] });
+  const fresh = await submissions.confirmSubmission(page, { requests: [] }, { beforeUrl: page.url(), beforeLines: ['Contact us'], pack: PACK });
+  assert.equal(fresh.by, 'dom');
+  const stale = await submissions.confirmSubmission(page, { requests: [] }, { beforeUrl: page.url(), beforeLines: ['Contact us', 'Thank you for your message'], pack: PACK });
+  assert.equal(stale.by, null);
+});
+
+test('a thank-you URL confirms by url', async () => {
+  const page = fakePage({ url: 'https://site.test/thank-you' });
+  const confirmed = await submissions.confirmSubmission(page, { requests: [] }, { beforeUrl: 'https://site.test/contact', beforeLines: [], pack: PACK });
+  assert.equal(confirmed.by, 'url');
+});